@@ -0,0 +1,166 @@
+import admin from "firebase-admin"
+import db from "./db.js"
+
+// Extract the bearer token from an "Authorization: Bearer <token>" header value
+export const extractBearerToken = (header) => {
+  if (!header || typeof header !== "string") return null
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+// Verify a Firebase ID token and return the caller identity attached to requests/sockets
+export const verifyFirebaseToken = async (token) => {
+  const decoded = await admin.auth().verifyIdToken(token)
+  return {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    claims: decoded,
+  }
+}
+
+// Require a valid Firebase ID token; attaches the caller identity as req.user
+export const authenticate = async (req, res, next) => {
+  const token = extractBearerToken(req.get("Authorization"))
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authorization header with a Bearer token is required",
+    })
+  }
+
+  try {
+    req.user = await verifyFirebaseToken(token)
+    next()
+  } catch (err) {
+    console.error("🔒 Token verification failed:", err.code || err.message)
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired authentication token",
+    })
+  }
+}
+
+// Require that the UID named by the request (param, query or body) belongs to the caller.
+// A missing UID is left to the route's own validation so existing 400 responses are unchanged.
+// Handlers store and look up the UID as sent, so one padded with whitespace is rejected, not trimmed.
+export const requireSelf = (getUid) => (req, res, next) => {
+  const claimed = getUid(req)
+  if (claimed === undefined || claimed === null || claimed === "") return next()
+
+  if (typeof claimed === "string" && claimed.trim() !== claimed) {
+    return res.status(400).json({ success: false, error: "UID must not have leading or trailing whitespace" })
+  }
+  if (typeof claimed !== "string" || claimed !== req.user?.uid) {
+    return res.status(403).json({
+      success: false,
+      error: "You are not allowed to access resources of another account",
+    })
+  }
+  next()
+}
+
+// Require that the caller is the customer and/or restaurant on the order named by req.params[param].
+// Sets req.orderParty to "customer" or "restaurant" for the handler.
+export const requireOrderParty =
+  (param = "id", parties = ["customer", "restaurant"]) =>
+  async (req, res, next) => {
+    try {
+      const [rows] = await db.query("SELECT id, customer_uid, restaurant_uid FROM orders WHERE id = ?", [
+        req.params[param],
+      ])
+      if (rows.length === 0) {
+        return res.status(404).json({ success: false, error: "Order not found" })
+      }
+
+      const order = rows[0]
+      const uid = req.user?.uid
+      if (parties.includes("customer") && order.customer_uid === uid) {
+        req.orderParty = "customer"
+        return next()
+      }
+      if (parties.includes("restaurant") && order.restaurant_uid === uid) {
+        req.orderParty = "restaurant"
+        return next()
+      }
+
+      return res.status(403).json({
+        success: false,
+        error: "You are not allowed to access this order",
+      })
+    } catch (err) {
+      console.error("Order ownership check failed:", err)
+      return res.status(500).json({
+        success: false,
+        error: "Order ownership check failed",
+        details: err?.message || "Unknown error",
+      })
+    }
+  }
+
+// Admin roles and the permissions each one carries
+export const ADMIN_ROLES = ["super_admin", "verifier", "support"]
+
+const ROLE_PERMISSIONS = {
+  super_admin: [
+    "restaurants:view",
+    "restaurants:verify",
+    "orders:manage",
+    "admins:manage",
+    "coupons:manage",
+    "delivery_zones:manage",
+    "reviews:moderate",
+    "food_categories:manage",
+  ],
+  verifier: ["restaurants:view", "restaurants:verify"],
+  support: ["restaurants:view", "orders:manage", "reviews:moderate"],
+}
+
+// UIDs listed in SUPER_ADMIN_UIDS are always super admins, so the first grant can be made
+const bootstrapSuperAdmins = () =>
+  (process.env.SUPER_ADMIN_UIDS || "")
+    .split(",")
+    .map((uid) => uid.trim())
+    .filter(Boolean)
+
+export const getAdminRole = async (uid) => {
+  if (!uid) return null
+  if (bootstrapSuperAdmins().includes(uid)) return "super_admin"
+  const [rows] = await db.query("SELECT role FROM admin_users WHERE uid = ?", [uid])
+  return rows.length > 0 ? rows[0].role : null
+}
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || []
+
+// Require an admin role carrying the given permission; sets req.adminRole for the handler.
+// Must run after authenticate.
+export const requireAdminPermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await getAdminRole(req.user?.uid)
+    if (!role) {
+      return res.status(403).json({ success: false, error: "Admin access required" })
+    }
+    if (!getRolePermissions(role).includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role "${role}" is not allowed to perform this action`,
+      })
+    }
+    req.adminRole = role
+    next()
+  } catch (err) {
+    console.error("Admin role check failed:", err)
+    return res.status(500).json({
+      success: false,
+      error: "Admin role check failed",
+      details: err?.message || "Unknown error",
+    })
+  }
+}
+
+// Let the owner of the UID named by the request through, otherwise require an admin with the permission.
+// Must run after authenticate.
+export const requireSelfOrAdminPermission = (getUid, permission) => (req, res, next) => {
+  const claimed = getUid(req)
+  if (typeof claimed === "string" && claimed === req.user?.uid) return next()
+  return requireAdminPermission(permission)(req, res, next)
+}
@@ -0,0 +1,63 @@
+// Customer cancellation policy, per order status:
+//   free - full refund
+//   fee  - refund minus CANCELLATION_FEE_PERCENT of the order total
+//   none - the customer can no longer cancel
+// Orders the restaurant has not seen yet can always be cancelled for free. Anything past
+// preparing is never customer-cancellable (the state machine forbids it too).
+//
+// Configured with CANCELLATION_POLICY_PENDING (default free), CANCELLATION_POLICY_PREPARING
+// (default none) and CANCELLATION_FEE_PERCENT (default 25).
+
+export const CANCELLATION_POLICIES = ["free", "fee", "none"]
+
+const policyFromEnv = (name, fallback) => {
+  const value = String(process.env[name] || "").trim().toLowerCase()
+  return CANCELLATION_POLICIES.includes(value) ? value : fallback
+}
+
+// Unset or empty uses the default; 0 is a valid setting (no fee)
+const envNumber = (name, fallback) => {
+  const value = process.env[name]
+  if (value === undefined || value.trim() === "") return fallback
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+export const CANCELLATION_FEE_PERCENT = Math.min(Math.max(envNumber("CANCELLATION_FEE_PERCENT", 25), 0), 100)
+
+const POLICY_BY_STATUS = {
+  payment_pending: "free",
+  pending_restaurant_online: "free",
+  pending: policyFromEnv("CANCELLATION_POLICY_PENDING", "free"),
+  preparing: policyFromEnv("CANCELLATION_POLICY_PREPARING", "none"),
+}
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+export const getCancellationPolicy = (status) => POLICY_BY_STATUS[status] || "none"
+
+// What cancelling this order right now would cost the customer.
+// refundable is what is still refundable on the order (total minus earlier refunds).
+// Returns { allowed, policy, reason?, fee, refund_amount }. COD and unpaid orders never pay a
+// fee because nothing was collected to keep it from.
+export const getCancellationQuote = (order, refundable = 0) => {
+  const policy = getCancellationPolicy(order.status)
+  if (policy === "none") {
+    return {
+      allowed: false,
+      policy,
+      reason: `Orders can no longer be cancelled once they are ${order.status.replace(/_/g, " ")}`,
+      fee: 0,
+      refund_amount: 0,
+    }
+  }
+
+  const paid = order.payment_status === "success" && refundable > 0
+  const fee = paid && policy === "fee" ? Math.min(roundCurrency((Number(order.total_price) * CANCELLATION_FEE_PERCENT) / 100), refundable) : 0
+  return {
+    allowed: true,
+    policy,
+    fee,
+    refund_amount: paid ? roundCurrency(refundable - fee) : 0,
+  }
+}
@@ -0,0 +1,37 @@
+import db from "./db.js"
+
+// Cash on delivery skips the payment gateway; each restaurant can turn it off or cap the order value.
+
+const COD_PAYMENT_METHODS = new Set(["cod", "cash", "cash_on_delivery"])
+
+export class CashOnDeliveryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "CashOnDeliveryError"
+    this.statusCode = statusCode
+  }
+}
+
+export const isCashOnDelivery = (paymentMethod) => COD_PAYMENT_METHODS.has(String(paymentMethod || "").trim().toLowerCase())
+
+// Per-restaurant payment settings; restaurants without a preferences row accept COD with no cap
+export const getRestaurantPaymentPreferences = async (restaurantUid, conn = db) => {
+  const [rows] = await conn.query(
+    "SELECT cod_enabled, cod_max_order_value FROM restaurant_preferences WHERE restaurant_uid = ?",
+    [restaurantUid],
+  )
+  return {
+    cod_enabled: rows.length > 0 ? (rows[0].cod_enabled === 0 ? 0 : 1) : 1,
+    cod_max_order_value: rows.length > 0 && rows[0].cod_max_order_value !== null ? Number(rows[0].cod_max_order_value) : null,
+  }
+}
+
+// COD must be enabled by the restaurant and the order total within its cap
+export const assertCashOnDeliveryAllowed = (preferences, orderTotal) => {
+  if (!preferences.cod_enabled) throw new CashOnDeliveryError("Cash on delivery is not available for this restaurant")
+  if (preferences.cod_max_order_value !== null && orderTotal > preferences.cod_max_order_value) {
+    throw new CashOnDeliveryError(
+      `Cash on delivery is only available for orders up to ₹${preferences.cod_max_order_value.toFixed(2)}`,
+    )
+  }
+}
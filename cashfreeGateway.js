@@ -0,0 +1,79 @@
+import axios from "axios"
+import { verifyWebhookSignature } from "./cashfreeWebhook.js"
+
+const CASHFREE_BASE_URLS = {
+  sandbox: "https://sandbox.cashfree.com/pg",
+  production: "https://api.cashfree.com/pg",
+}
+
+const CASHFREE_API_VERSION = "2023-08-01"
+
+// Cashfree implementation of the payment gateway interface (see paymentGateway.js)
+export const createCashfreeGateway = ({ environment = "production", appId, secretKey, webhookSecret }) => {
+  const baseUrl = CASHFREE_BASE_URLS[environment]
+  if (!baseUrl) {
+    throw new Error(`Unknown CASHFREE_ENV "${environment}" (expected sandbox or production)`)
+  }
+
+  const headers = {
+    "x-api-version": CASHFREE_API_VERSION,
+    "x-client-id": appId,
+    "x-client-secret": secretKey,
+    "Content-Type": "application/json",
+  }
+
+  return {
+    name: "cashfree",
+    environment,
+
+    async createOrder({ gatewayOrderId, amount, currency, customer, note, returnUrl, notifyUrl }) {
+      const response = await axios.post(
+        `${baseUrl}/orders`,
+        {
+          order_id: gatewayOrderId,
+          order_amount: amount,
+          order_currency: currency,
+          customer_details: {
+            customer_id: customer.id,
+            customer_name: customer.name,
+            customer_phone: customer.phone,
+            customer_email: customer.email,
+          },
+          order_meta: {
+            return_url: returnUrl,
+            notify_url: notifyUrl,
+          },
+          order_note: note,
+        },
+        { headers },
+      )
+      return {
+        cfOrderId: response.data.cf_order_id,
+        paymentSessionId: response.data.payment_session_id,
+      }
+    },
+
+    async fetchPayments(gatewayOrderId) {
+      const response = await axios.get(`${baseUrl}/orders/${gatewayOrderId}/payments`, { headers })
+      return Array.isArray(response.data) ? response.data : []
+    },
+
+    async createRefund(gatewayOrderId, { refundId, amount, note }) {
+      const response = await axios.post(
+        `${baseUrl}/orders/${gatewayOrderId}/refunds`,
+        {
+          refund_amount: amount,
+          refund_id: refundId,
+          refund_note: note,
+          refund_speed: "STANDARD",
+        },
+        { headers },
+      )
+      return response.data
+    },
+
+    verifyWebhook({ rawBody, signature, timestamp }) {
+      return verifyWebhookSignature({ rawBody, signature, timestamp, secret: webhookSecret })
+    },
+  }
+}
@@ -0,0 +1,41 @@
+import crypto from "crypto"
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+// Cashfree signs webhooks as base64(HMAC-SHA256(timestamp + rawBody, secret))
+export const computeWebhookSignature = (timestamp, rawBody, secret) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}${rawBody}`).digest("base64")
+
+// Cashfree sends x-webhook-timestamp in milliseconds; accept seconds too
+const timestampToMs = (timestamp) => {
+  const value = Number(timestamp)
+  if (!Number.isFinite(value) || value <= 0) return null
+  return value < 1e12 ? value * 1000 : value
+}
+
+export const verifyWebhookSignature = ({
+  rawBody,
+  signature,
+  timestamp,
+  secret = process.env.CASHFREE_WEBHOOK_SECRET,
+  toleranceSeconds = Number(process.env.CASHFREE_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) => {
+  if (!secret) return { valid: false, reason: "CASHFREE_WEBHOOK_SECRET is not configured" }
+  if (!signature || !timestamp) return { valid: false, reason: "Missing signature or timestamp header" }
+  if (rawBody === undefined || rawBody === null) return { valid: false, reason: "Raw body not captured" }
+
+  const timestampMs = timestampToMs(timestamp)
+  if (timestampMs === null) return { valid: false, reason: "Malformed timestamp header" }
+  if (Math.abs(now - timestampMs) > toleranceSeconds * 1000) {
+    return { valid: false, reason: `Timestamp outside the ${toleranceSeconds}s replay window` }
+  }
+
+  const expected = Buffer.from(computeWebhookSignature(timestamp, rawBody.toString(), secret))
+  const received = Buffer.from(String(signature))
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: "Signature mismatch" }
+  }
+
+  return { valid: true }
+}
@@ -0,0 +1,38 @@
+// Keyword matching between menu items and food categories, used for tag suggestions and the one-off
+// tag backfill in db.js. Keywords only match whole words, and never when negated
+// ("Chicken-free Paneer Tikka", "no onion", "without egg").
+
+const NEGATING_PREFIXES = ["no", "non", "without"]
+const NEGATING_SUFFIXES = ["free"]
+
+// Lowercase words separated by single spaces and padded, so keywords only match whole words
+const normalizeText = (value) =>
+  ` ${String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `
+
+const isNegated = (text, start, end) => {
+  const before = text.slice(0, start).trim().split(" ").pop()
+  const after = text.slice(end).trim().split(" ")[0]
+  return NEGATING_PREFIXES.includes(before) || NEGATING_SUFFIXES.includes(after)
+}
+
+// Whether keyword appears in the normalized text at least once without a negation
+const mentions = (text, keyword) => {
+  const needle = normalizeText(keyword)
+  if (needle.trim() === "") return false
+  for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + 1)) {
+    if (!isNegated(text, at + 1, at + needle.length - 1)) return true
+  }
+  return false
+}
+
+// Ids of the categories ({ id, searchKeywords }) whose keywords the item's name, description or
+// category mentions
+export const suggestTags = (item, categories) => {
+  const text = normalizeText([item.name, item.description, item.category].filter(Boolean).join(" "))
+  return categories
+    .filter((category) => category.searchKeywords.some((keyword) => mentions(text, keyword)))
+    .map((category) => category.id)
+}
@@ -0,0 +1,204 @@
+import db from "./db.js"
+
+// Coupons are funded by the platform or by one restaurant. Platform coupons may still target a
+// single restaurant (restaurant_uid set) or apply everywhere (restaurant_uid NULL).
+export const COUPON_FUNDERS = ["platform", "restaurant"]
+export const COUPON_DISCOUNT_TYPES = ["percentage", "flat"]
+
+// Order statuses that count as a placed order for first-order-only coupons
+const PLACED_ORDER_STATUSES = ["pending_restaurant_online", "pending", "preparing", "ready", "on_the_way", "delivered"]
+
+export class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "CouponError"
+    this.statusCode = statusCode
+  }
+}
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+export const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase()
+
+const optionalNumber = (body, field, { min = 0, integer = false } = {}) => {
+  const value = body[field]
+  if (value === undefined || value === null) return null
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new CouponError(`${field} must be ${integer ? "a whole number" : "a number"} >= ${min} or null`)
+  }
+  return value
+}
+
+const optionalDate = (body, field) => {
+  const value = body[field]
+  if (value === undefined || value === null || value === "") return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) throw new CouponError(`${field} must be a valid date`)
+  return date
+}
+
+// Validate a create/update payload. fundedBy and restaurantUid come from the route, never the body.
+export const normalizeCouponInput = (body, { fundedBy, restaurantUid = null }) => {
+  const code = normalizeCouponCode(body.code)
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw new CouponError("code must be 3-32 letters, digits, '-' or '_'")
+  }
+
+  const discountType = String(body.discount_type || "").trim().toLowerCase()
+  if (!COUPON_DISCOUNT_TYPES.includes(discountType)) {
+    throw new CouponError(`discount_type must be one of: ${COUPON_DISCOUNT_TYPES.join(", ")}`)
+  }
+  const discountValue = Number(body.discount_value)
+  if (!Number.isFinite(discountValue) || discountValue <= 0 || (discountType === "percentage" && discountValue > 100)) {
+    throw new CouponError(
+      discountType === "percentage" ? "discount_value must be between 0 and 100" : "discount_value must be greater than zero",
+    )
+  }
+
+  const validFrom = optionalDate(body, "valid_from")
+  const validUntil = optionalDate(body, "valid_until")
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    throw new CouponError("valid_until must be after valid_from")
+  }
+
+  return {
+    code,
+    description: typeof body.description === "string" ? body.description.trim().slice(0, 255) || null : null,
+    funded_by: fundedBy,
+    restaurant_uid: restaurantUid,
+    discount_type: discountType,
+    discount_value: roundCurrency(discountValue),
+    max_discount: optionalNumber(body, "max_discount"),
+    min_order_value: optionalNumber(body, "min_order_value") ?? 0,
+    first_order_only: body.first_order_only ? 1 : 0,
+    per_user_limit: optionalNumber(body, "per_user_limit", { min: 1, integer: true }),
+    total_usage_limit: optionalNumber(body, "total_usage_limit", { min: 1, integer: true }),
+    valid_from: validFrom,
+    valid_until: validUntil,
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1,
+  }
+}
+
+export const calculateDiscount = (coupon, subtotal) => {
+  let discount =
+    coupon.discount_type === "percentage" ? (subtotal * Number(coupon.discount_value)) / 100 : Number(coupon.discount_value)
+  if (coupon.max_discount !== null) discount = Math.min(discount, Number(coupon.max_discount))
+  return roundCurrency(Math.min(discount, subtotal))
+}
+
+// Check a coupon against a cart and return { coupon, discount }.
+// lock: true takes a row lock on the coupon (inside the caller's transaction) so concurrent
+// checkouts see each other's redemptions and usage limits hold.
+export const evaluateCoupon = async (conn, { code, restaurantUid, customerUid, subtotal, lock = false }) => {
+  const normalized = normalizeCouponCode(code)
+  const [rows] = await conn.query(`SELECT * FROM coupons WHERE code = ?${lock ? " FOR UPDATE" : ""}`, [normalized])
+  const coupon = rows[0]
+  if (!coupon || !coupon.is_active) throw new CouponError(`Coupon ${normalized} is not valid`, 404)
+
+  const now = new Date()
+  if (coupon.valid_from && new Date(coupon.valid_from) > now) throw new CouponError(`Coupon ${normalized} is not active yet`)
+  if (coupon.valid_until && new Date(coupon.valid_until) <= now) throw new CouponError(`Coupon ${normalized} has expired`)
+
+  if (coupon.restaurant_uid && coupon.restaurant_uid !== restaurantUid) {
+    throw new CouponError(`Coupon ${normalized} is not valid at this restaurant`)
+  }
+  if (subtotal < Number(coupon.min_order_value)) {
+    throw new CouponError(`Coupon ${normalized} needs a minimum order of ₹${Number(coupon.min_order_value).toFixed(2)}`)
+  }
+
+  if (coupon.total_usage_limit !== null) {
+    const [[{ used }]] = await conn.query(
+      "SELECT COUNT(*) AS used FROM coupon_redemptions WHERE coupon_id = ? AND status = 'applied'",
+      [coupon.id],
+    )
+    if (used >= coupon.total_usage_limit) throw new CouponError(`Coupon ${normalized} has been fully redeemed`)
+  }
+
+  if (coupon.per_user_limit !== null || coupon.first_order_only) {
+    if (!customerUid) throw new CouponError(`Sign in to use coupon ${normalized}`, 401)
+  }
+  if (coupon.per_user_limit !== null) {
+    const [[{ used }]] = await conn.query(
+      "SELECT COUNT(*) AS used FROM coupon_redemptions WHERE coupon_id = ? AND customer_uid = ? AND status = 'applied'",
+      [coupon.id, customerUid],
+    )
+    if (used >= coupon.per_user_limit) throw new CouponError(`You have already used coupon ${normalized}`)
+  }
+  if (coupon.first_order_only) {
+    const [[{ placed }]] = await conn.query("SELECT COUNT(*) AS placed FROM orders WHERE customer_uid = ? AND status IN (?)", [
+      customerUid,
+      PLACED_ORDER_STATUSES,
+    ])
+    if (placed > 0) throw new CouponError(`Coupon ${normalized} is only valid on your first order`)
+  }
+
+  const discount = calculateDiscount(coupon, subtotal)
+  if (!(discount > 0)) throw new CouponError(`Coupon ${normalized} gives no discount on this order`)
+  return { coupon, discount }
+}
+
+// Count a coupon against its limits for an order; call in the same transaction as evaluateCoupon({ lock: true })
+export const recordCouponRedemption = (conn, { couponId, orderId, customerUid, discount }) =>
+  conn.query(
+    `INSERT INTO coupon_redemptions (coupon_id, order_id, customer_uid, discount_amount, status)
+     VALUES (?, ?, ?, ?, 'applied')`,
+    [couponId, orderId, customerUid, discount],
+  )
+
+// Coupons used by an order that never completes become usable again
+export const releaseCouponRedemption = (conn, orderId) =>
+  conn.query("UPDATE coupon_redemptions SET status = 'released', released_at = NOW() WHERE order_id = ? AND status = 'applied'", [
+    orderId,
+  ])
+
+// Coupons with their live usage counts; restaurantUid limits the list to that restaurant's coupons
+export const listCoupons = async ({ restaurantUid = null, fundedBy = null } = {}) => {
+  const conditions = []
+  const params = []
+  if (restaurantUid) {
+    conditions.push("c.restaurant_uid = ?")
+    params.push(restaurantUid)
+  }
+  if (fundedBy) {
+    conditions.push("c.funded_by = ?")
+    params.push(fundedBy)
+  }
+  const [rows] = await db.query(
+    `SELECT c.*, COUNT(r.id) AS times_used, COALESCE(SUM(r.discount_amount), 0) AS total_discount
+     FROM coupons c
+     LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id AND r.status = 'applied'
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+    params,
+  )
+  return rows
+}
+
+// Insert or update a coupon. Returns the stored row; duplicate codes surface as a 409 CouponError.
+export const saveCoupon = async (coupon, { id = null, createdBy = null } = {}) => {
+  const fields = Object.keys(coupon)
+  try {
+    if (id === null) {
+      const [result] = await db.query(
+        `INSERT INTO coupons (${fields.join(", ")}, created_by) VALUES (${fields.map(() => "?").join(", ")}, ?)`,
+        [...fields.map((f) => coupon[f]), createdBy],
+      )
+      id = result.insertId
+    } else {
+      const [result] = await db.query(`UPDATE coupons SET ${fields.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`, [
+        ...fields.map((f) => coupon[f]),
+        id,
+      ])
+      if (result.affectedRows === 0) throw new CouponError("Coupon not found", 404)
+    }
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw new CouponError(`Coupon code ${coupon.code} already exists`, 409)
+    throw err
+  }
+  const [[saved]] = await db.query("SELECT * FROM coupons WHERE id = ?", [id])
+  return saved
+}
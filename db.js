@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 dotenv.config({ path: './.env' });
 import mysql from 'mysql2/promise';
+import { suggestTags } from './categoryKeywords.js';
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || '217.21.84.52',
@@ -31,6 +32,14 @@ async function initializeDatabase() {
   try {
     connection = await pool.getConnection();
 
+    // SCHEMA MIGRATIONS TABLE (one-off data migrations that must never run twice)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(100) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // RESTAURANT OWNER TABLE
     await connection.query(`
       CREATE TABLE IF NOT EXISTS restaurant_owners (
@@ -63,6 +72,36 @@ async function initializeDatabase() {
       }
     }
 
+    // Restaurant coordinates, set through /geo-location and used for delivery distance
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_owners
+        ADD COLUMN latitude DECIMAL(10,8) DEFAULT NULL,
+        ADD COLUMN longitude DECIMAL(11,8) DEFAULT NULL
+      `);
+      console.log('Added coordinate columns to restaurant_owners');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('Coordinate columns already exist in restaurant_owners');
+      } else {
+        console.error('Failed to add coordinate columns:', err);
+      }
+    }
+
+    // Bounding-box prefilter for nearby restaurant search
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_owners ADD INDEX idx_coordinates (latitude, longitude)
+      `);
+      console.log('Added idx_coordinates index to restaurant_owners');
+    } catch (err) {
+      if (err.code === 'ER_DUP_KEYNAME') {
+        console.log('idx_coordinates index already exists in restaurant_owners');
+      } else {
+        console.error('Failed to add idx_coordinates index:', err);
+      }
+    }
+
     // CATEGORIES TABLE
     await connection.query(`
       CREATE TABLE IF NOT EXISTS categories1 (
@@ -75,6 +114,21 @@ async function initializeDatabase() {
       )
     `);
 
+    // GST rate for items in this category; NULL uses the platform rate
+    try {
+      await connection.query(`
+        ALTER TABLE categories1
+        ADD COLUMN gst_rate DECIMAL(5,2) DEFAULT NULL COMMENT 'GST percent, NULL for the platform default'
+      `);
+      console.log('Added gst_rate column to categories1');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('gst_rate column already exists in categories1');
+      } else {
+        console.error('Failed to add gst_rate column:', err);
+      }
+    }
+
     // MENU ITEMS TABLE
     await connection.query(`
       CREATE TABLE IF NOT EXISTS menu_items1 (
@@ -97,6 +151,21 @@ async function initializeDatabase() {
       )
     `);
 
+    // Legacy add-ons column: ["Cheese"] or [{ name, price }], migrated into modifier groups below
+    try {
+      await connection.query(`
+        ALTER TABLE menu_items1
+        ADD COLUMN add_ons JSON DEFAULT NULL
+      `);
+      console.log('Added add_ons column to menu_items1');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('add_ons column already exists in menu_items1');
+      } else {
+        console.error('Failed to add add_ons column:', err);
+      }
+    }
+
     // Migrate food_type if needed
     try {
       await connection.query(`
@@ -118,6 +187,95 @@ async function initializeDatabase() {
       }
     }
 
+    // Packing charge per unit of this item; NULL uses the restaurant/platform packing fee
+    try {
+      await connection.query(`
+        ALTER TABLE menu_items1
+        ADD COLUMN packing_charge DECIMAL(10,2) DEFAULT NULL COMMENT 'Per unit, NULL for the restaurant default'
+      `);
+      console.log('Added packing_charge column to menu_items1');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('packing_charge column already exists in menu_items1');
+      } else {
+        console.error('Failed to add packing_charge column:', err);
+      }
+    }
+
+    // MENU MODIFIER GROUPS TABLE (variants such as size, add-on groups with min/max selections)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS menu_modifier_groups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        menu_item_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        group_type ENUM('variant','addon') NOT NULL DEFAULT 'addon',
+        min_select INT NOT NULL DEFAULT 0,
+        max_select INT NOT NULL DEFAULT 1,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_menu_item (menu_item_id),
+        FOREIGN KEY (menu_item_id) REFERENCES menu_items1(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // MENU MODIFIER OPTIONS TABLE
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS menu_modifier_options (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        group_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        price DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Variant: item price; add-on: added to the item price',
+        is_available TINYINT(1) NOT NULL DEFAULT 1,
+        sort_order INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (group_id) REFERENCES menu_modifier_groups(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // Move legacy add_ons JSON into an "Add-ons" group for items that have no groups yet
+    try {
+      const [legacyItems] = await connection.query(`
+        SELECT m.id, m.add_ons
+        FROM menu_items1 m
+        WHERE m.add_ons IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM menu_modifier_groups g WHERE g.menu_item_id = m.id)
+      `);
+      let migrated = 0;
+      for (const item of legacyItems) {
+        let addOns = item.add_ons;
+        if (typeof addOns === 'string') {
+          try {
+            addOns = JSON.parse(addOns);
+          } catch (_) {
+            addOns = [];
+          }
+        }
+        const options = (Array.isArray(addOns) ? addOns : [])
+          .map((a) => (typeof a === 'string' ? { name: a, price: 0 } : { name: a?.name, price: Number(a?.price) || 0 }))
+          .filter((a) => typeof a.name === 'string' && a.name.trim() !== '');
+        if (options.length === 0) continue;
+
+        const [group] = await connection.query(
+          `INSERT INTO menu_modifier_groups (menu_item_id, name, group_type, min_select, max_select)
+           VALUES (?, 'Add-ons', 'addon', 0, ?)`,
+          [item.id, options.length]
+        );
+        for (const [i, option] of options.entries()) {
+          await connection.query(
+            'INSERT INTO menu_modifier_options (group_id, name, price, sort_order) VALUES (?, ?, ?, ?)',
+            [group.insertId, option.name.trim(), Math.max(option.price, 0), i]
+          );
+        }
+        migrated++;
+      }
+      if (migrated > 0) {
+        console.log(`Migrated legacy add_ons of ${migrated} menu items into modifier groups`);
+      }
+    } catch (err) {
+      console.error('Failed to migrate legacy add_ons:', err);
+    }
+
     // Ensure is_deleted column
     try {
       await connection.query(`
@@ -147,6 +305,18 @@ async function initializeDatabase() {
       )
     `);
 
+    // CUSTOMER DEVICE TOKENS TABLE (FCM tokens of the customer app; restaurants use device_tokens)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS customer_device_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        customer_uid VARCHAR(255) NOT NULL,
+        token VARCHAR(512) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_token (token),
+        INDEX idx_customer (customer_uid)
+      )
+    `);
+
     // ORDERS TABLE (with customer_name and phone_number)
     await connection.query(`
       CREATE TABLE IF NOT EXISTS orders (
@@ -155,7 +325,7 @@ async function initializeDatabase() {
         customer_uid VARCHAR(255) NOT NULL,
         customer_name VARCHAR(255) NOT NULL,
         phone_number VARCHAR(20) NOT NULL,
-        status ENUM('pending','preparing','ready','on_the_way','delivered','cancelled') DEFAULT 'pending' NOT NULL,
+        status ENUM('payment_pending','pending_restaurant_online','pending','preparing','ready','on_the_way','delivered','cancelled','rejected') DEFAULT 'pending' NOT NULL,
         total_price DECIMAL(10,2) NOT NULL,
         delivery_address TEXT NOT NULL,
         payment_method VARCHAR(50) NOT NULL,
@@ -213,6 +383,258 @@ try {
   }
 }
 
+    // Track when cash was collected for cash-on-delivery orders
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN cash_collected_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set when a COD order is delivered'
+      `);
+      console.log('Added cash_collected_at column to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('cash_collected_at column already exists in orders');
+      } else {
+        console.error('Failed to add cash_collected_at column:', err);
+      }
+    }
+
+    // Who cancelled an order, why, and any fee kept, for cancellation analytics
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN cancelled_by ENUM('customer','restaurant','system','admin') DEFAULT NULL,
+        ADD COLUMN cancellation_reason VARCHAR(255) DEFAULT NULL,
+        ADD COLUMN cancellation_fee DECIMAL(10,2) DEFAULT NULL COMMENT 'Amount kept from the refund under the cancellation policy',
+        ADD COLUMN cancelled_at TIMESTAMP NULL DEFAULT NULL
+      `);
+      console.log('Added cancellation columns to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('Cancellation columns already exist in orders');
+      } else {
+        console.error('Failed to add cancellation columns:', err);
+      }
+    }
+
+    // RESTAURANT PREFERENCES TABLE
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS restaurant_preferences (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        restaurant_uid VARCHAR(255) NOT NULL UNIQUE,
+        order_notifications TINYINT(1) DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // Add cash-on-delivery settings if not exists
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_preferences
+        ADD COLUMN cod_enabled TINYINT(1) DEFAULT 1 NOT NULL COMMENT '1 if the restaurant accepts cash on delivery',
+        ADD COLUMN cod_max_order_value DECIMAL(10,2) DEFAULT NULL COMMENT 'Max COD order total, NULL for no cap'
+      `);
+      console.log('Added COD columns to restaurant_preferences');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('COD columns already exist in restaurant_preferences');
+      } else {
+        console.error('Failed to add COD columns:', err);
+      }
+    }
+
+    // Restaurant pricing overrides; NULL falls back to the platform defaults
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_preferences
+        ADD COLUMN delivery_base_fee DECIMAL(10,2) DEFAULT NULL,
+        ADD COLUMN delivery_base_distance_km DECIMAL(6,2) DEFAULT NULL COMMENT 'Distance covered by the base fee',
+        ADD COLUMN delivery_fee_per_km DECIMAL(10,2) DEFAULT NULL COMMENT 'Charged per started km beyond the base distance',
+        ADD COLUMN free_delivery_threshold DECIMAL(10,2) DEFAULT NULL COMMENT 'Subtotal from which delivery is free, 0 to disable',
+        ADD COLUMN packing_fee_per_item DECIMAL(10,2) DEFAULT NULL
+      `);
+      console.log('Added pricing columns to restaurant_preferences');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('Pricing columns already exist in restaurant_preferences');
+      } else {
+        console.error('Failed to add pricing columns:', err);
+      }
+    }
+
+    // Last open/closed state applied by the operating hours scheduler (NULL until it runs)
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_preferences
+        ADD COLUMN schedule_open TINYINT(1) DEFAULT NULL COMMENT 'Last state the hours scheduler applied'
+      `);
+      console.log('Added schedule_open column to restaurant_preferences');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('schedule_open column already exists in restaurant_preferences');
+      } else {
+        console.error('Failed to add schedule_open column:', err);
+      }
+    }
+
+    // How far a restaurant delivers; NULL uses DEFAULT_DELIVERY_RADIUS_KM
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_preferences
+        ADD COLUMN delivery_radius_km DECIMAL(5,2) DEFAULT NULL COMMENT 'Max delivery distance, NULL for platform default'
+      `);
+      console.log('Added delivery_radius_km column to restaurant_preferences');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('delivery_radius_km column already exists in restaurant_preferences');
+      } else {
+        console.error('Failed to add delivery_radius_km column:', err);
+      }
+    }
+
+    // RESTAURANT HOURS TABLE (weekly slots; closes_at <= opens_at runs past midnight)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS restaurant_hours (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        restaurant_uid VARCHAR(255) NOT NULL,
+        day_of_week TINYINT NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+        opens_at TIME NOT NULL,
+        closes_at TIME NOT NULL,
+        INDEX idx_restaurant_day (restaurant_uid, day_of_week),
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // RESTAURANT CLOSURES TABLE (holidays and other one-off closures)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS restaurant_closures (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        restaurant_uid VARCHAR(255) NOT NULL,
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME NOT NULL,
+        reason VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_restaurant_window (restaurant_uid, ends_at),
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // Acceptance deadline for pending orders, polled by the deadline scheduler
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN response_deadline DATETIME NULL DEFAULT NULL COMMENT 'Restaurant must accept before this time'
+      `);
+      console.log('Added response_deadline column to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('response_deadline column already exists in orders');
+      } else {
+        console.error('Failed to add response_deadline column:', err);
+      }
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE orders ADD INDEX idx_status_deadline (status, response_deadline)
+      `);
+      console.log('Added idx_status_deadline index to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_KEYNAME') {
+        console.log('idx_status_deadline index already exists in orders');
+      } else {
+        console.error('Failed to add idx_status_deadline index:', err);
+      }
+    }
+
+    // Keyset pagination of order lists (newest first, id as tiebreak)
+    for (const [name, columns] of [
+      ['idx_restaurant_created', 'restaurant_uid, created_at, id'],
+      ['idx_customer_created', 'customer_uid, created_at, id'],
+    ]) {
+      try {
+        await connection.query(`ALTER TABLE orders ADD INDEX ${name} (${columns})`);
+        console.log(`Added ${name} index to orders`);
+      } catch (err) {
+        if (err.code === 'ER_DUP_KEYNAME') {
+          console.log(`${name} index already exists in orders`);
+        } else {
+          console.error(`Failed to add ${name} index:`, err);
+        }
+      }
+    }
+
+    // Fee and tax breakdown the customer was charged
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN price_breakdown JSON DEFAULT NULL COMMENT 'subtotal, fees, GST/CGST/SGST and total at checkout'
+      `);
+      console.log('Added price_breakdown column to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('price_breakdown column already exists in orders');
+      } else {
+        console.error('Failed to add price_breakdown column:', err);
+      }
+    }
+
+    // When a paid order was first parked waiting for its restaurant to come online
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN parked_at DATETIME NULL DEFAULT NULL COMMENT 'First time the order entered pending_restaurant_online'
+      `);
+      console.log('Added parked_at column to orders');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('parked_at column already exists in orders');
+      } else {
+        console.error('Failed to add parked_at column:', err);
+      }
+    }
+
+    // Widen orders.status to every state in the order state machine
+    try {
+      await connection.query(`
+        ALTER TABLE orders
+        MODIFY COLUMN status ENUM('payment_pending','pending_restaurant_online','pending','preparing','ready','on_the_way','delivered','cancelled','rejected') DEFAULT 'pending' NOT NULL
+      `);
+      console.log('Ensured full status ENUM on orders');
+    } catch (err) {
+      console.error('Failed to widen orders.status ENUM:', err);
+    }
+
+    // Orders parked before parked_at existed start their max wait now
+    try {
+      await connection.query(`
+        UPDATE orders SET parked_at = NOW()
+        WHERE status = 'pending_restaurant_online' AND parked_at IS NULL
+      `);
+    } catch (err) {
+      console.error('Failed to backfill parked_at:', err);
+    }
+
+    // ORDER STATUS HISTORY TABLE
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        from_status VARCHAR(32) DEFAULT NULL COMMENT 'NULL for the entry written when the order is placed',
+        to_status VARCHAR(32) NOT NULL,
+        actor_type ENUM('customer','restaurant','system','admin') NOT NULL,
+        actor_uid VARCHAR(255) DEFAULT NULL COMMENT 'Firebase UID of the actor, NULL for system',
+        reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_history_order (order_id, created_at),
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
     // ORDER ITEMS TABLE
     await connection.query(`
       CREATE TABLE IF NOT EXISTS order_items (
@@ -220,6 +642,12 @@ try {
         order_id INT NOT NULL,
         menu_item_id INT NOT NULL,
         quantity INT NOT NULL,
+        item_name VARCHAR(255) DEFAULT NULL,
+        unit_price DECIMAL(10,2) DEFAULT NULL,
+        food_type TINYINT(1) DEFAULT NULL,
+        selected_add_ons JSON DEFAULT NULL,
+        selected_modifiers JSON DEFAULT NULL,
+        line_total DECIMAL(10,2) DEFAULT NULL,
         FOREIGN KEY (order_id) REFERENCES orders(id)
           ON DELETE CASCADE ON UPDATE CASCADE,
         FOREIGN KEY (menu_item_id) REFERENCES menu_items1(id)
@@ -227,6 +655,111 @@ try {
       )
     `);
 
+    // Snapshot of each line as it was sold, so menu edits never rewrite past orders
+    try {
+      await connection.query(`
+        ALTER TABLE order_items
+        ADD COLUMN item_name VARCHAR(255) DEFAULT NULL COMMENT 'Menu item name at order time',
+        ADD COLUMN unit_price DECIMAL(10,2) DEFAULT NULL COMMENT 'Menu item price at order time',
+        ADD COLUMN food_type TINYINT(1) DEFAULT NULL COMMENT '0 for Veg, 1 for Non-Veg at order time',
+        ADD COLUMN selected_add_ons JSON DEFAULT NULL COMMENT '[{ name, price }] chosen at order time',
+        ADD COLUMN line_total DECIMAL(10,2) DEFAULT NULL COMMENT '(unit_price + add-ons) * quantity'
+      `);
+      console.log('Added snapshot columns to order_items');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('Snapshot columns already exist in order_items');
+      } else {
+        console.error('Failed to add order_items snapshot columns:', err);
+      }
+    }
+
+    // Every modifier (variant and add-ons) chosen for the line
+    try {
+      await connection.query(`
+        ALTER TABLE order_items
+        ADD COLUMN selected_modifiers JSON DEFAULT NULL COMMENT '[{ group_id, group_name, group_type, option_id, name, price }]'
+      `);
+      console.log('Added selected_modifiers column to order_items');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('selected_modifiers column already exists in order_items');
+      } else {
+        console.error('Failed to add selected_modifiers column:', err);
+      }
+    }
+
+    // Backfill rows created before snapshots existed; the current menu is the best record left
+    try {
+      const [result] = await connection.query(`
+        UPDATE order_items oi
+        JOIN menu_items1 m ON oi.menu_item_id = m.id
+        SET oi.item_name = m.name,
+            oi.unit_price = m.price,
+            oi.food_type = m.food_type,
+            oi.selected_add_ons = JSON_ARRAY(),
+            oi.line_total = m.price * oi.quantity
+        WHERE oi.item_name IS NULL
+      `);
+      if (result.affectedRows > 0) {
+        console.log(`Backfilled ${result.affectedRows} order_items snapshots`);
+      }
+    } catch (err) {
+      console.error('Failed to backfill order_items snapshots:', err);
+    }
+
+    // REFUNDS TABLE
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        refund_id VARCHAR(64) NOT NULL UNIQUE COMMENT 'Idempotent refund id sent to Cashfree',
+        cf_refund_id VARCHAR(255) DEFAULT NULL COMMENT 'Cashfree Refund ID',
+        amount DECIMAL(10,2) NOT NULL,
+        refund_type ENUM('full','partial') DEFAULT 'full' NOT NULL,
+        reason VARCHAR(255),
+        items TEXT COMMENT 'JSON list of refunded order items for partial refunds',
+        status ENUM('pending','success','failed','cancelled') DEFAULT 'pending' NOT NULL,
+        status_description VARCHAR(255),
+        initiated_by VARCHAR(50) NOT NULL COMMENT 'restaurant, customer, system or admin',
+        processed_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_refund_order (order_id),
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // Per-restaurant order acceptance window
+    try {
+      await connection.query(`
+        ALTER TABLE restaurant_preferences
+        ADD COLUMN acceptance_window_seconds INT DEFAULT NULL COMMENT 'Seconds to accept a new order, NULL for platform default'
+      `);
+      console.log('Added acceptance_window_seconds column to restaurant_preferences');
+    } catch (err) {
+      if (err.code === 'ER_DUP_FIELDNAME') {
+        console.log('acceptance_window_seconds column already exists in restaurant_preferences');
+      } else {
+        console.error('Failed to add acceptance_window_seconds column:', err);
+      }
+    }
+
+    // ADMIN USERS TABLE (role-based access to /api/admin/*)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        uid VARCHAR(255) NOT NULL UNIQUE COMMENT 'Firebase Auth UID of the admin',
+        email VARCHAR(255),
+        role ENUM('super_admin','verifier','support') NOT NULL,
+        granted_by VARCHAR(255) COMMENT 'UID of the super admin who granted the role',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_admin_uid (uid)
+      )
+    `);
+
     // Ensure CHECK constraint for food_type
     try {
       await connection.query(`
@@ -246,6 +779,198 @@ try {
       console.log('CHECK constraint already exists or not supported:', err.code || err);
     }
 
+    // COUPONS TABLE
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(32) NOT NULL UNIQUE,
+        description VARCHAR(255) DEFAULT NULL,
+        funded_by ENUM('platform','restaurant') NOT NULL,
+        restaurant_uid VARCHAR(255) DEFAULT NULL COMMENT 'Only valid at this restaurant; NULL for every restaurant',
+        discount_type ENUM('percentage','flat') NOT NULL,
+        discount_value DECIMAL(10,2) NOT NULL,
+        max_discount DECIMAL(10,2) DEFAULT NULL,
+        min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+        first_order_only TINYINT(1) NOT NULL DEFAULT 0,
+        per_user_limit INT DEFAULT NULL,
+        total_usage_limit INT DEFAULT NULL,
+        valid_from DATETIME DEFAULT NULL,
+        valid_until DATETIME DEFAULT NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_by VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_restaurant (restaurant_uid),
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // COUPON REDEMPTIONS TABLE (one per order; released when the order is cancelled or rejected)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        coupon_id INT NOT NULL,
+        order_id INT NOT NULL UNIQUE,
+        customer_uid VARCHAR(255) NOT NULL,
+        discount_amount DECIMAL(10,2) NOT NULL,
+        status ENUM('applied','released') NOT NULL DEFAULT 'applied',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_coupon_customer (coupon_id, customer_uid, status),
+        FOREIGN KEY (coupon_id) REFERENCES coupons(id)
+          ON DELETE RESTRICT ON UPDATE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // DELIVERY ZONES TABLE (GeoJSON Polygon/MultiPolygon; bounding box columns prefilter point lookups)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS delivery_zones (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        restaurant_uid VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        geometry JSON NOT NULL,
+        min_latitude DECIMAL(10,8) NOT NULL,
+        max_latitude DECIMAL(10,8) NOT NULL,
+        min_longitude DECIMAL(11,8) NOT NULL,
+        max_longitude DECIMAL(11,8) NOT NULL,
+        delivery_fee DECIMAL(10,2) DEFAULT NULL COMMENT 'Replaces the distance-based fee; NULL keeps it',
+        min_order_value DECIMAL(10,2) DEFAULT NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_by VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_restaurant_active (restaurant_uid, is_active),
+        INDEX idx_bbox (is_active, min_latitude, max_latitude),
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // ORDER REVIEWS TABLE (one per delivered order; hidden reviews are excluded from aggregates)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_reviews (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL UNIQUE,
+        restaurant_uid VARCHAR(255) NOT NULL,
+        customer_uid VARCHAR(255) NOT NULL,
+        rating TINYINT NOT NULL COMMENT '1-5',
+        review_text TEXT DEFAULT NULL,
+        restaurant_reply TEXT DEFAULT NULL,
+        replied_at TIMESTAMP NULL DEFAULT NULL,
+        status ENUM('visible','hidden') NOT NULL DEFAULT 'visible',
+        moderation_reason VARCHAR(255) DEFAULT NULL,
+        moderated_by VARCHAR(255) DEFAULT NULL,
+        moderated_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_restaurant_status_created (restaurant_uid, status, created_at),
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+          ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (restaurant_uid) REFERENCES restaurant_owners(uid)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // ORDER ITEM RATINGS TABLE (thumbs up/down per order line of a review)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_item_ratings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        review_id INT NOT NULL,
+        order_item_id INT NOT NULL,
+        menu_item_id INT NOT NULL,
+        thumbs_up TINYINT(1) NOT NULL,
+        UNIQUE KEY unique_review_item (review_id, order_item_id),
+        INDEX idx_menu_item (menu_item_id),
+        FOREIGN KEY (review_id) REFERENCES order_reviews(id)
+          ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (order_item_id) REFERENCES order_items(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // FOOD CATEGORIES TABLE (home screen cuisines; slug is the id the apps filter by)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS food_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        slug VARCHAR(64) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        image_url VARCHAR(512) DEFAULT NULL,
+        keywords JSON NOT NULL,
+        display_order INT NOT NULL DEFAULT 0,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_active_order (is_active, display_order)
+      )
+    `);
+
+    // Seed the categories the app used to ship hard-coded, with the keywords the old restaurant filter
+    // matched on. The old display list also had broad words ("rice", "dal", "vegetarian", ...) that
+    // the filter never used; matching on them puts every fried rice in Biryani.
+    const twemoji = (code) => `https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/${code}.png`;
+    const defaultFoodCategories = [
+      ['chicken', 'Chicken', twemoji('1f414'), ['chicken', 'poultry', 'tandoori', 'butter chicken', 'grilled chicken', 'fried chicken']],
+      ['pizza', 'Pizza', twemoji('1f355'), ['pizza', 'margherita', 'pepperoni', 'cheese pizza', 'italian']],
+      ['biryani', 'Biryani', twemoji('1f35b'), ['biryani', 'pulao', 'dum biryani', 'hyderabadi', 'lucknowi', 'kolkata biriyani']],
+      ['thali', 'Thali', twemoji('1f372'), ['thali', 'complete meal', 'unlimited', 'gujarati', 'rajasthani', 'south indian thali', 'north indian thali', 'veg thali', 'chicken thali', 'mutton thali', 'egg thali', 'fish thali']],
+      ['chinese', 'Chinese', twemoji('1f35c'), ['chinese', 'noodles', 'fried rice', 'manchurian', 'chowmein', 'hakka', 'szechuan']],
+      ['north-indian', 'North Indian', twemoji('1f35b'), ['roti', 'naan', 'dal makhani', 'paneer', 'curry', 'punjabi']],
+      ['paneer', 'Paneer', twemoji('1f9c0'), ['paneer', 'cottage cheese', 'palak paneer', 'matar paneer', 'kadai paneer']],
+      ['chole-bhatura', 'Chole Bhatura', twemoji('1fad3'), ['chole', 'bhatura', 'chickpea', 'punjabi']],
+    ];
+    const [[{ foodCategoryCount }]] = await connection.query('SELECT COUNT(*) AS foodCategoryCount FROM food_categories');
+    if (foodCategoryCount === 0) {
+      for (const [index, [slug, name, imageUrl, keywords]] of defaultFoodCategories.entries()) {
+        await connection.query(
+          'INSERT INTO food_categories (slug, name, image_url, keywords, display_order) VALUES (?, ?, ?, ?, ?)',
+          [slug, name, imageUrl, JSON.stringify(keywords), (index + 1) * 10]
+        );
+      }
+      console.log(`Seeded ${defaultFoodCategories.length} food categories`);
+    }
+
+    // MENU ITEM FOOD CATEGORIES TABLE (explicit cuisine/dish tags; indexed by category for filtering)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS menu_item_food_categories (
+        menu_item_id INT NOT NULL,
+        food_category_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (menu_item_id, food_category_id),
+        INDEX idx_category_item (food_category_id, menu_item_id),
+        FOREIGN KEY (menu_item_id) REFERENCES menu_items1(id)
+          ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (food_category_id) REFERENCES food_categories(id)
+          ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    // Tag existing menu items from category keywords, once: restaurants own their tags afterwards, and
+    // an empty tag table later must not bring the keyword tags back.
+    try {
+      const [[tagBackfill]] = await connection.query(
+        "SELECT name FROM schema_migrations WHERE name = 'menu_item_food_categories_backfill'"
+      );
+      if (!tagBackfill) {
+        const [foodCategories] = await connection.query('SELECT id, keywords FROM food_categories WHERE is_active = 1');
+        const categories = foodCategories.map((row) => ({
+          id: row.id,
+          searchKeywords: typeof row.keywords === 'string' ? JSON.parse(row.keywords) : row.keywords,
+        }));
+        const [menuItems] = await connection.query('SELECT id, name, description, category FROM menu_items1 WHERE is_deleted = 0');
+        const tags = menuItems.flatMap((item) => suggestTags(item, categories).map((categoryId) => [item.id, categoryId]));
+        if (tags.length > 0) {
+          await connection.query('INSERT IGNORE INTO menu_item_food_categories (menu_item_id, food_category_id) VALUES ?', [tags]);
+          console.log(`Tagged menu items with ${tags.length} food categories from keywords`);
+        }
+        await connection.query("INSERT IGNORE INTO schema_migrations (name) VALUES ('menu_item_food_categories_backfill')");
+      }
+    } catch (err) {
+      console.error('Failed to backfill menu item tags:', err);
+    }
+
     // Ensure order_items FK to menu_items1 is RESTRICT
     try {
       const [fkRows] = await connection.query(`
@@ -278,9 +1003,26 @@ try {
     console.log('  - restaurant_owners');
     console.log('  - categories1');
     console.log('  - menu_items1');
+    console.log('  - menu_modifier_groups');
+    console.log('  - menu_modifier_options');
     console.log('  - customers');
+    console.log('  - customer_device_tokens');
     console.log('  - orders');
+    console.log('  - order_status_history');
     console.log('  - order_items');
+    console.log('  - restaurant_preferences');
+    console.log('  - restaurant_hours');
+    console.log('  - restaurant_closures');
+    console.log('  - refunds');
+    console.log('  - admin_users');
+    console.log('  - coupons');
+    console.log('  - coupon_redemptions');
+    console.log('  - delivery_zones');
+    console.log('  - order_reviews');
+    console.log('  - order_item_ratings');
+    console.log('  - food_categories');
+    console.log('  - menu_item_food_categories');
+    console.log('  - schema_migrations');
   } catch (err) {
     console.error('DB init failed:', err);
     throw err;
@@ -289,16 +1031,18 @@ try {
   }
 }
 
-// Test connection and initialize tables
-(async () => {
-  try {
-    await testConnection();
-    await initializeDatabase();
-  } catch (err) {
-    console.error('Startup failed:', err);
-    process.exit(1);
-  }
-})();
+// Test connection and initialize tables (skipped under the test runner, where queries are stubbed)
+if (process.env.NODE_ENV !== 'test') {
+  (async () => {
+    try {
+      await testConnection();
+      await initializeDatabase();
+    } catch (err) {
+      console.error('Startup failed:', err);
+      process.exit(1);
+    }
+  })();
+}
 
 export default pool;
 
@@ -0,0 +1,129 @@
+import db from "./db.js"
+
+// Home screen cuisines ("Chicken", "Momos", ...) managed by admins. The slug is the id the apps pass
+// as category_id; keywords drive the restaurant filter.
+
+export class FoodCategoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "FoodCategoryError"
+    this.statusCode = statusCode
+  }
+}
+
+const MAX_KEYWORDS = 50
+
+const parseKeywords = (value) => {
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = value ? JSON.parse(value) : []
+    return Array.isArray(parsed) ? parsed : []
+  } catch (_) {
+    return []
+  }
+}
+
+// Shape the apps already consume ({ id, name, imageUrl, searchKeywords }) plus admin fields
+const formatFoodCategory = (row) => ({
+  id: row.slug,
+  name: row.name,
+  imageUrl: row.image_url || "",
+  searchKeywords: parseKeywords(row.keywords),
+  display_order: row.display_order,
+  is_active: row.is_active === 1,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+})
+
+// Validate a create/update payload: { id (slug, create only), name, imageUrl?, searchKeywords, display_order?, is_active? }
+export const normalizeFoodCategoryInput = (body, { requireSlug = false } = {}) => {
+  const slug = String(body.id ?? "")
+    .trim()
+    .toLowerCase()
+  if (requireSlug && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+    throw new FoodCategoryError("id must be lowercase letters and digits separated by '-', e.g. \"chole-bhatura\"")
+  }
+
+  const name = typeof body.name === "string" ? body.name.trim() : ""
+  if (!name || name.length > 100) throw new FoodCategoryError("name is required (at most 100 characters)")
+
+  const imageUrl = body.imageUrl ?? body.image_url ?? null
+  if (imageUrl !== null && (typeof imageUrl !== "string" || !/^https?:\/\/\S+$/.test(imageUrl.trim()))) {
+    throw new FoodCategoryError("imageUrl must be an http(s) URL")
+  }
+
+  const rawKeywords = body.searchKeywords ?? body.keywords
+  if (!Array.isArray(rawKeywords) || rawKeywords.some((k) => typeof k !== "string")) {
+    throw new FoodCategoryError("searchKeywords must be an array of strings")
+  }
+  const keywords = [...new Set(rawKeywords.map((k) => k.trim().toLowerCase()).filter(Boolean))]
+  if (keywords.length === 0 || keywords.length > MAX_KEYWORDS) {
+    throw new FoodCategoryError(`searchKeywords needs between 1 and ${MAX_KEYWORDS} keywords`)
+  }
+
+  const displayOrder = body.display_order === undefined ? 0 : Number(body.display_order)
+  if (!Number.isInteger(displayOrder)) throw new FoodCategoryError("display_order must be a whole number")
+
+  return {
+    slug,
+    name,
+    image_url: imageUrl ? imageUrl.trim() : null,
+    keywords,
+    display_order: displayOrder,
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1,
+  }
+}
+
+export const listFoodCategories = async ({ includeInactive = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM food_categories ${includeInactive ? "" : "WHERE is_active = 1"} ORDER BY display_order, name`,
+  )
+  return rows.map(formatFoodCategory)
+}
+
+// One category by slug; inactive categories only when includeInactive
+export const getFoodCategory = async (slug, { includeInactive = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM food_categories WHERE slug = ?${includeInactive ? "" : " AND is_active = 1"}`,
+    [String(slug || "").trim().toLowerCase()],
+  )
+  return rows[0] ? formatFoodCategory(rows[0]) : null
+}
+
+export const createFoodCategory = async (category) => {
+  try {
+    await db.query(
+      `INSERT INTO food_categories (slug, name, image_url, keywords, display_order, is_active)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        category.slug,
+        category.name,
+        category.image_url,
+        JSON.stringify(category.keywords),
+        category.display_order,
+        category.is_active,
+      ],
+    )
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw new FoodCategoryError(`Food category ${category.slug} already exists`, 409)
+    throw err
+  }
+  return getFoodCategory(category.slug, { includeInactive: true })
+}
+
+// The slug is permanent: apps and saved filters refer to it
+export const updateFoodCategory = async (slug, category) => {
+  const [result] = await db.query(
+    `UPDATE food_categories
+     SET name = ?, image_url = ?, keywords = ?, display_order = ?, is_active = ?
+     WHERE slug = ?`,
+    [category.name, category.image_url, JSON.stringify(category.keywords), category.display_order, category.is_active, slug],
+  )
+  if (result.affectedRows === 0) throw new FoodCategoryError("Food category not found", 404)
+  return getFoodCategory(slug, { includeInactive: true })
+}
+
+export const deleteFoodCategory = async (slug) => {
+  const [result] = await db.query("DELETE FROM food_categories WHERE slug = ?", [slug])
+  if (result.affectedRows === 0) throw new FoodCategoryError("Food category not found", 404)
+}
@@ -0,0 +1,79 @@
+const EARTH_RADIUS_KM = 6371
+
+// Delivery time estimate: kitchen time plus riding time at an average city speed
+const AVERAGE_PREP_MINUTES = Number(process.env.AVERAGE_PREP_MINUTES) || 15
+const AVERAGE_RIDER_SPEED_KMH = Number(process.env.AVERAGE_RIDER_SPEED_KMH) || 20
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+export const isValidCoordinate = (latitude, longitude) =>
+  typeof latitude === "number" &&
+  typeof longitude === "number" &&
+  Number.isFinite(latitude) &&
+  Number.isFinite(longitude) &&
+  latitude >= -90 &&
+  latitude <= 90 &&
+  longitude >= -180 &&
+  longitude <= 180
+
+// Great-circle distance between two points in kilometres
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Ray casting over a GeoJSON linear ring of [longitude, latitude] positions
+const pointInRing = (latitude, longitude, ring) => {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > latitude !== yj > latitude && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Inside the outer ring and outside every hole
+const pointInPolygonRings = (latitude, longitude, rings) =>
+  pointInRing(latitude, longitude, rings[0]) && !rings.slice(1).some((hole) => pointInRing(latitude, longitude, hole))
+
+// Whether a point lies in a GeoJSON Polygon or MultiPolygon geometry
+export const pointInGeometry = (latitude, longitude, geometry) => {
+  if (geometry?.type === "Polygon") return pointInPolygonRings(latitude, longitude, geometry.coordinates)
+  if (geometry?.type === "MultiPolygon") {
+    return geometry.coordinates.some((rings) => pointInPolygonRings(latitude, longitude, rings))
+  }
+  return false
+}
+
+// SQL expression for the haversine distance in km from (?, ?) = (latitude, longitude) to a row's
+// columns; bind the parameters as [lat, lat, lng]
+export const haversineSql = (latColumn, lngColumn) =>
+  `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+      POW(SIN(RADIANS(${latColumn} - ?) / 2), 2) +
+      COS(RADIANS(?)) * COS(RADIANS(${latColumn})) * POW(SIN(RADIANS(${lngColumn} - ?) / 2), 2)
+    )))`
+
+// Latitude/longitude box around a point, used to prefilter rows before the exact distance check
+export const boundingBox = (latitude, longitude, radiusKm) => {
+  const latDelta = radiusKm / 111.32
+  const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(toRadians(latitude)), 0.01))
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta,
+  }
+}
+
+// { min, max, label } e.g. { min: 25, max: 30, label: "25-30 min" }, rounded to 5 minutes
+export const estimateDeliveryTime = (distanceKm) => {
+  const minutes = AVERAGE_PREP_MINUTES + (distanceKm / AVERAGE_RIDER_SPEED_KMH) * 60
+  const min = Math.max(5, Math.round(minutes / 5) * 5)
+  const max = min + 5
+  return { min, max, label: `${min}-${max} min` }
+}
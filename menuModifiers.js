@@ -0,0 +1,267 @@
+import db from "./db.js"
+
+// Modifier groups hang off a menu item:
+//   variant - pick exactly one option; its price replaces the item price (e.g. size: half/full)
+//   addon   - pick between min_select and max_select options; their prices are added
+export const MODIFIER_GROUP_TYPES = ["variant", "addon"]
+
+export class ModifierError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ModifierError"
+    this.statusCode = statusCode
+  }
+}
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+const toInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10)
+  return Number.isInteger(n) ? n : fallback
+}
+
+// Optional id of a stored group/option being edited; null for new ones
+const optionalId = (value, label) => {
+  if (value === undefined || value === null) return null
+  const id = Number(value)
+  if (!Number.isInteger(id) || id <= 0) throw new ModifierError(`${label} has an invalid id`)
+  return id
+}
+
+// Validate a modifier_groups payload from POST/PUT /api/menu and return it in storage shape.
+// Groups and options may carry the id from GET /api/menu to edit them in place; an option
+// without is_available keeps its stored availability (new options default to available).
+export const normalizeModifierGroups = (groups) => {
+  if (groups === undefined || groups === null) return []
+  if (!Array.isArray(groups)) throw new ModifierError("modifier_groups must be an array")
+
+  const normalized = groups.map((group, i) => {
+    const label = `Modifier group at index ${i}`
+    const name = typeof group?.name === "string" ? group.name.trim() : ""
+    if (!name) throw new ModifierError(`${label} must have a name`)
+
+    const type = String(group.type || "addon").trim().toLowerCase()
+    if (!MODIFIER_GROUP_TYPES.includes(type)) {
+      throw new ModifierError(`${label} has invalid type "${group.type}" (expected variant or addon)`)
+    }
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new ModifierError(`${label} must have at least one option`)
+    }
+    const seen = new Set()
+    const options = group.options.map((option, j) => {
+      const optionName = typeof option?.name === "string" ? option.name.trim() : ""
+      if (!optionName) throw new ModifierError(`Option ${j} of "${name}" must have a name`)
+      if (seen.has(optionName.toLowerCase())) throw new ModifierError(`Duplicate option "${optionName}" in "${name}"`)
+      seen.add(optionName.toLowerCase())
+
+      const price = Number(option.price ?? 0)
+      if (!Number.isFinite(price) || price < 0) {
+        throw new ModifierError(`Option "${optionName}" in "${name}" must have a non-negative price`)
+      }
+      const isAvailable =
+        option.is_available === undefined ? null : option.is_available === false || option.is_available === 0 ? 0 : 1
+      return {
+        id: optionalId(option.id, `Option "${optionName}" in "${name}"`),
+        name: optionName,
+        price: roundCurrency(price),
+        is_available: isAvailable,
+      }
+    })
+
+    // A variant is always exactly one choice
+    const minSelect = type === "variant" ? 1 : toInt(group.min_select, 0)
+    const maxSelect = type === "variant" ? 1 : toInt(group.max_select, options.length)
+    if (minSelect < 0 || maxSelect < 1 || minSelect > maxSelect || maxSelect > options.length) {
+      throw new ModifierError(
+        `${label} needs 0 <= min_select <= max_select <= ${options.length} options (got ${minSelect}-${maxSelect})`,
+      )
+    }
+
+    return { id: optionalId(group.id, label), name, type, min_select: minSelect, max_select: maxSelect, options }
+  })
+
+  if (normalized.filter((g) => g.type === "variant").length > 1) {
+    throw new ModifierError("A menu item can have at most one variant group")
+  }
+  return normalized
+}
+
+// Stored counterpart of each payload group/option (null for new ones): entries with an id must match
+// one of stored, the rest take the remaining stored entry with the same name
+const matchStored = (stored, entries, label) => {
+  const claimed = new Set()
+  const matches = entries.map((entry) => {
+    if (entry.id === null) return null
+    const match = stored.find((s) => s.id === entry.id)
+    if (!match) throw new ModifierError(`${label} ${entry.id} does not belong to this menu item`)
+    if (claimed.has(match.id)) throw new ModifierError(`${label} ${match.id} appears more than once`)
+    claimed.add(match.id)
+    return match
+  })
+  return entries.map((entry, i) => {
+    if (entry.id !== null) return matches[i]
+    const match = stored.find((s) => !claimed.has(s.id) && s.name.toLowerCase() === entry.name.toLowerCase())
+    if (match) claimed.add(match.id)
+    return match || null
+  })
+}
+
+// Save the full set of modifier groups of a menu item. Groups and options that still exist are
+// updated in place so their ids stay valid for cached menus and carts; only the ones left out of
+// groups are deleted. Past orders keep their own snapshot, so deletions never change them.
+export const saveModifierGroups = async (conn, menuItemId, groups) => {
+  const stored = (await getModifierGroups([menuItemId], conn)).get(Number(menuItemId)) || []
+  const storedGroups = matchStored(stored, groups, "Modifier group")
+
+  for (const [i, group] of groups.entries()) {
+    const existing = storedGroups[i]
+    let groupId
+    if (existing) {
+      groupId = existing.id
+      await conn.query(
+        `UPDATE menu_modifier_groups SET name = ?, group_type = ?, min_select = ?, max_select = ?, sort_order = ?
+         WHERE id = ?`,
+        [group.name, group.type, group.min_select, group.max_select, i, groupId],
+      )
+    } else {
+      const [result] = await conn.query(
+        `INSERT INTO menu_modifier_groups (menu_item_id, name, group_type, min_select, max_select, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [menuItemId, group.name, group.type, group.min_select, group.max_select, i],
+      )
+      groupId = result.insertId
+    }
+
+    const storedOptions = existing ? existing.options : []
+    const matchedOptions = matchStored(storedOptions, group.options, `Option in "${group.name}"`)
+    for (const [j, option] of group.options.entries()) {
+      const existingOption = matchedOptions[j]
+      if (existingOption) {
+        await conn.query(
+          `UPDATE menu_modifier_options SET name = ?, price = ?, is_available = COALESCE(?, is_available), sort_order = ?
+           WHERE id = ?`,
+          [option.name, option.price, option.is_available, j, existingOption.id],
+        )
+      } else {
+        await conn.query(
+          `INSERT INTO menu_modifier_options (group_id, name, price, is_available, sort_order)
+           VALUES (?, ?, ?, ?, ?)`,
+          [groupId, option.name, option.price, option.is_available ?? 1, j],
+        )
+      }
+    }
+    const keptOptions = new Set(matchedOptions.filter(Boolean).map((o) => o.id))
+    const removedOptions = storedOptions.filter((o) => !keptOptions.has(o.id)).map((o) => o.id)
+    if (removedOptions.length > 0) await conn.query("DELETE FROM menu_modifier_options WHERE id IN (?)", [removedOptions])
+  }
+
+  const keptGroups = new Set(storedGroups.filter(Boolean).map((g) => g.id))
+  const removedGroups = stored.filter((g) => !keptGroups.has(g.id)).map((g) => g.id)
+  if (removedGroups.length > 0) await conn.query("DELETE FROM menu_modifier_groups WHERE id IN (?)", [removedGroups])
+}
+
+// Modifier groups with their options for one or more menu items: Map(menu_item_id -> groups)
+export const getModifierGroups = async (menuItemIds, conn = db) => {
+  const ids = Array.isArray(menuItemIds) ? menuItemIds : [menuItemIds]
+  const byItem = new Map(ids.map((id) => [Number(id), []]))
+  if (ids.length === 0) return byItem
+
+  const [rows] = await conn.query(
+    `SELECT g.id AS group_id, g.menu_item_id, g.name AS group_name, g.group_type, g.min_select, g.max_select,
+            o.id AS option_id, o.name AS option_name, o.price, o.is_available
+     FROM menu_modifier_groups g
+     JOIN menu_modifier_options o ON o.group_id = g.id
+     WHERE g.menu_item_id IN (?)
+     ORDER BY g.menu_item_id, g.sort_order, g.id, o.sort_order, o.id`,
+    [ids],
+  )
+
+  const groups = new Map()
+  for (const row of rows) {
+    let group = groups.get(row.group_id)
+    if (!group) {
+      group = {
+        id: row.group_id,
+        name: row.group_name,
+        type: row.group_type,
+        min_select: row.min_select,
+        max_select: row.max_select,
+        options: [],
+      }
+      groups.set(row.group_id, group)
+      byItem.get(row.menu_item_id)?.push(group)
+    }
+    group.options.push({
+      id: row.option_id,
+      name: row.option_name,
+      price: Number(row.price),
+      is_available: row.is_available === 1,
+    })
+  }
+  return byItem
+}
+
+// Flat add-on list kept in menu responses for clients that predate modifier groups
+export const flattenAddOns = (groups) =>
+  groups
+    .filter((g) => g.type === "addon")
+    .flatMap((g) => g.options.map((o) => ({ id: o.id, name: o.name, price: o.price, is_available: o.is_available })))
+
+// Check a cart line's choices against the item's modifier groups and price them.
+// selection.option_ids picks options by id; selection.add_ons (names) is accepted for older clients.
+// Returns { unit_price, add_on_price, modifiers } where modifiers is the order-line snapshot.
+export const resolveModifiers = (menuItem, groups, { option_ids, add_ons } = {}) => {
+  const optionIndex = new Map()
+  groups.forEach((group) => group.options.forEach((option) => optionIndex.set(option.id, { group, option })))
+
+  const chosen = []
+  if (option_ids !== undefined && option_ids !== null) {
+    if (!Array.isArray(option_ids)) throw new ModifierError(`option_ids for ${menuItem.name} must be an array`)
+    option_ids.forEach((id) => {
+      const match = optionIndex.get(Number(id))
+      if (!match) throw new ModifierError(`Option ${id} does not belong to ${menuItem.name}`)
+      chosen.push(match)
+    })
+  }
+  if (Array.isArray(add_ons)) {
+    add_ons.forEach((choice) => {
+      const name = String(typeof choice === "string" ? choice : choice?.name || "").trim()
+      const match = [...optionIndex.values()].find(
+        (m) => m.group.type === "addon" && m.option.name.toLowerCase() === name.toLowerCase(),
+      )
+      if (!match) throw new ModifierError(`Add-on "${name}" is not available for ${menuItem.name}`)
+      chosen.push(match)
+    })
+  }
+
+  const seen = new Set()
+  for (const { option } of chosen) {
+    if (seen.has(option.id)) throw new ModifierError(`"${option.name}" was selected more than once for ${menuItem.name}`)
+    seen.add(option.id)
+    if (!option.is_available) throw new ModifierError(`"${option.name}" is currently unavailable for ${menuItem.name}`)
+  }
+
+  for (const group of groups) {
+    const count = chosen.filter((c) => c.group.id === group.id).length
+    if (count < group.min_select || count > group.max_select) {
+      const range = group.min_select === group.max_select ? `${group.min_select}` : `${group.min_select}-${group.max_select}`
+      throw new ModifierError(`Choose ${range} option(s) from "${group.name}" for ${menuItem.name}`)
+    }
+  }
+
+  const variant = chosen.find((c) => c.group.type === "variant")
+  const addOnTotal = chosen.filter((c) => c.group.type === "addon").reduce((sum, c) => sum + c.option.price, 0)
+  return {
+    unit_price: roundCurrency(variant ? variant.option.price : menuItem.price),
+    add_on_price: roundCurrency(addOnTotal),
+    modifiers: chosen.map(({ group, option }) => ({
+      group_id: group.id,
+      group_name: group.name,
+      group_type: group.type,
+      option_id: option.id,
+      name: option.name,
+      price: option.price,
+    })),
+  }
+}
@@ -0,0 +1,80 @@
+import db from "./db.js"
+import { listFoodCategories } from "./foodCategories.js"
+import { suggestTags } from "./categoryKeywords.js"
+
+// Menu items carry explicit food category tags (menu_item_food_categories) set by the restaurant.
+// Category keywords only power suggestions; filtering uses the tags.
+
+export class MenuTagError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "MenuTagError"
+    this.statusCode = statusCode
+  }
+}
+
+export const suggestMenuItemTags = async (item) => suggestTags(item, await listFoodCategories())
+
+// Food category ids for tag slugs; every tag must name an active category
+export const resolveTagIds = async (conn, tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    throw new MenuTagError("tags must be an array of food category ids")
+  }
+  const slugs = [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+  if (slugs.length === 0) return []
+
+  const [rows] = await conn.query("SELECT id, slug FROM food_categories WHERE slug IN (?) AND is_active = 1", [slugs])
+  const known = new Set(rows.map((row) => row.slug))
+  const unknown = slugs.filter((slug) => !known.has(slug))
+  if (unknown.length > 0) throw new MenuTagError(`Unknown food categories: ${unknown.join(", ")}`)
+  return rows.map((row) => row.id)
+}
+
+export const replaceMenuItemTags = async (conn, menuItemId, categoryIds) => {
+  await conn.query("DELETE FROM menu_item_food_categories WHERE menu_item_id = ?", [menuItemId])
+  if (categoryIds.length === 0) return
+  await conn.query("INSERT INTO menu_item_food_categories (menu_item_id, food_category_id) VALUES ?", [
+    categoryIds.map((categoryId) => [menuItemId, categoryId]),
+  ])
+}
+
+// Active tags for many menu items: Map(menu_item_id -> [slug])
+export const getMenuItemTags = async (menuItemIds, conn = db) => {
+  const tags = new Map(menuItemIds.map((id) => [id, []]))
+  if (menuItemIds.length === 0) return tags
+  const [rows] = await conn.query(
+    `SELECT t.menu_item_id, fc.slug
+     FROM menu_item_food_categories t
+     JOIN food_categories fc ON fc.id = t.food_category_id AND fc.is_active = 1
+     WHERE t.menu_item_id IN (?)
+     ORDER BY fc.display_order, fc.name`,
+    [menuItemIds],
+  )
+  rows.forEach((row) => tags.get(row.menu_item_id)?.push(row.slug))
+  return tags
+}
+
+// Available dishes tagged with an active category, grouped per restaurant: Map(restaurant_uid -> [dish])
+export const findTaggedDishes = async (categorySlug) => {
+  const [rows] = await db.query(
+    `SELECT m.id, m.restaurant_uid, m.name, m.price, m.image_url, m.food_type
+     FROM food_categories fc
+     JOIN menu_item_food_categories t ON t.food_category_id = fc.id
+     JOIN menu_items1 m ON m.id = t.menu_item_id
+     WHERE fc.slug = ? AND fc.is_active = 1 AND m.is_available = 1 AND m.is_deleted = 0
+     ORDER BY m.name`,
+    [categorySlug],
+  )
+  const dishes = new Map()
+  for (const row of rows) {
+    if (!dishes.has(row.restaurant_uid)) dishes.set(row.restaurant_uid, [])
+    dishes.get(row.restaurant_uid).push({
+      id: row.id,
+      name: row.name,
+      price: Number(row.price),
+      image_url: row.image_url,
+      food_type: row.food_type,
+    })
+  }
+  return dishes
+}
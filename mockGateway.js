@@ -0,0 +1,124 @@
+import axios from "axios"
+import crypto from "crypto"
+import { computeWebhookSignature, verifyWebhookSignature } from "./cashfreeWebhook.js"
+
+export const MOCK_PAYMENT_OUTCOMES = ["success", "failure", "timeout"]
+
+// Fully local stand-in for Cashfree. Orders, payments and refunds live in memory, and
+// webhooks are signed and POSTed to the notify URL exactly like Cashfree would, so the
+// real webhook handler runs end to end.
+export const createMockGateway = ({ defaultOutcome = "success", webhookDelayMs = 500, webhookSecret }) => {
+  if (!MOCK_PAYMENT_OUTCOMES.includes(defaultOutcome)) {
+    throw new Error(`Unknown MOCK_PAYMENT_OUTCOME "${defaultOutcome}" (expected ${MOCK_PAYMENT_OUTCOMES.join(", ")})`)
+  }
+
+  const orders = new Map() // gatewayOrderId -> { cfOrderId, amount, currency, notifyUrl, payments, refunds }
+
+  const fireWebhook = (notifyUrl, payload) => {
+    setTimeout(async () => {
+      const rawBody = JSON.stringify(payload)
+      const timestamp = String(Date.now())
+      try {
+        await axios.post(notifyUrl, rawBody, {
+          headers: {
+            "Content-Type": "application/json",
+            "x-webhook-timestamp": timestamp,
+            "x-webhook-signature": computeWebhookSignature(timestamp, rawBody, webhookSecret),
+          },
+        })
+        console.log(`🧪 Mock gateway delivered ${payload.type} to ${notifyUrl}`)
+      } catch (err) {
+        console.error(`🧪 Mock gateway failed to deliver ${payload.type}:`, err.response?.status || err.message)
+      }
+    }, webhookDelayMs)
+  }
+
+  const getOrder = (gatewayOrderId) => {
+    const entry = orders.get(gatewayOrderId)
+    if (!entry) throw new Error(`Mock gateway has no order ${gatewayOrderId}`)
+    return entry
+  }
+
+  return {
+    name: "mock",
+    environment: "local",
+
+    async createOrder({ gatewayOrderId, amount, currency, notifyUrl }) {
+      const cfOrderId = `mock_cf_${crypto.randomUUID()}`
+      orders.set(gatewayOrderId, { cfOrderId, amount, currency, notifyUrl, payments: [], refunds: [] })
+      return { cfOrderId, paymentSessionId: `mock_session_${crypto.randomUUID()}` }
+    },
+
+    async fetchPayments(gatewayOrderId) {
+      return orders.get(gatewayOrderId)?.payments || []
+    },
+
+    async createRefund(gatewayOrderId, { refundId, amount, note }) {
+      const entry = getOrder(gatewayOrderId)
+      const existing = entry.refunds.find((r) => r.refund_id === refundId)
+      if (existing) return existing
+
+      const refund = {
+        cf_refund_id: `mock_refund_${crypto.randomUUID()}`,
+        refund_id: refundId,
+        order_id: gatewayOrderId,
+        refund_amount: amount,
+        refund_currency: entry.currency,
+        refund_note: note,
+        refund_status: "PENDING",
+        status_description: "Refund queued by mock gateway",
+      }
+      entry.refunds.push(refund)
+
+      fireWebhook(entry.notifyUrl, {
+        type: "REFUND_STATUS_WEBHOOK",
+        event_time: new Date().toISOString(),
+        data: {
+          refund: {
+            ...refund,
+            refund_status: "SUCCESS",
+            status_description: "Refund processed by mock gateway",
+            processed_at: new Date().toISOString(),
+          },
+        },
+      })
+      return refund
+    },
+
+    verifyWebhook({ rawBody, signature, timestamp }) {
+      return verifyWebhookSignature({ rawBody, signature, timestamp, secret: webhookSecret })
+    },
+
+    // Mock only: simulate the customer finishing checkout with the given outcome.
+    // "timeout" leaves the payment unfinished and fires no webhook.
+    simulatePayment(gatewayOrderId, outcome = defaultOutcome) {
+      if (!MOCK_PAYMENT_OUTCOMES.includes(outcome)) {
+        throw new Error(`Unknown outcome "${outcome}" (expected ${MOCK_PAYMENT_OUTCOMES.join(", ")})`)
+      }
+      const entry = getOrder(gatewayOrderId)
+      if (outcome === "timeout") return null
+
+      const payment = {
+        cf_payment_id: `mock_payment_${crypto.randomUUID()}`,
+        order_id: gatewayOrderId,
+        payment_status: outcome === "success" ? "SUCCESS" : "FAILED",
+        payment_amount: entry.amount,
+        payment_currency: entry.currency,
+        payment_method: "mock",
+        payment_time: new Date().toISOString(),
+        payment_message: outcome === "success" ? "Simulated payment succeeded" : "Simulated payment failed",
+      }
+      entry.payments.unshift(payment)
+
+      fireWebhook(entry.notifyUrl, {
+        type: outcome === "success" ? "PAYMENT_SUCCESS_WEBHOOK" : "PAYMENT_FAILED_WEBHOOK",
+        event_time: new Date().toISOString(),
+        data: {
+          order: { order_id: gatewayOrderId, order_amount: entry.amount, order_currency: entry.currency },
+          payment: payment,
+        },
+      })
+      return payment
+    },
+  }
+}
@@ -0,0 +1,249 @@
+import db from "./db.js"
+
+// Weekly opening hours live in restaurant_hours (several slots per day; a slot whose closes_at is
+// not after opens_at runs past midnight) and one-off closures in restaurant_closures. Times are
+// wall-clock times in RESTAURANT_TIMEZONE.
+
+export const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || "Asia/Kolkata"
+
+const POLL_INTERVAL_MS = Number(process.env.OPERATING_HOURS_POLL_MS) || 60000
+const DAY_MS = 24 * 60 * 60 * 1000
+const LOOKAHEAD_DAYS = 8
+
+export class OperatingHoursError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "OperatingHoursError"
+    this.statusCode = statusCode
+  }
+}
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: RESTAURANT_TIMEZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  weekday: "short",
+})
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+const localParts = (date) => {
+  const parts = Object.fromEntries(partsFormatter.formatToParts(date).map((p) => [p.type, p.value]))
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  }
+}
+
+// Offset of the restaurant timezone from UTC at the given instant, in ms
+const zoneOffsetMs = (date) => {
+  const p = localParts(date)
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000
+}
+
+// Instant of a local wall-clock time (minutes after midnight) on a local calendar date
+const zonedInstant = (year, month, day, minutes) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes)
+  const first = guess - zoneOffsetMs(new Date(guess))
+  return new Date(guess - zoneOffsetMs(new Date(first)))
+}
+
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || "").trim())
+  if (!match) return null
+  const hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null
+  return hours * 60 + minutes
+}
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`
+
+// Validate a PUT /hours payload: [{ day_of_week: 0-6 (0 = Sunday), opens_at: "HH:MM", closes_at: "HH:MM" }]
+export const normalizeWeeklyHours = (slots) => {
+  if (!Array.isArray(slots)) throw new OperatingHoursError("hours must be an array")
+  const normalized = slots.map((slot, i) => {
+    const day = Number(slot?.day_of_week)
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new OperatingHoursError(`Slot ${i}: day_of_week must be 0 (Sunday) to 6 (Saturday)`)
+    }
+    const opens = parseTime(slot.opens_at)
+    const closes = parseTime(slot.closes_at)
+    if (opens === null || closes === null) {
+      throw new OperatingHoursError(`Slot ${i}: opens_at and closes_at must be HH:MM`)
+    }
+    if (opens === closes) throw new OperatingHoursError(`Slot ${i}: opens_at and closes_at must differ`)
+    return { day_of_week: day, opens: opens % (24 * 60), closes: closes % (24 * 60) }
+  })
+
+  // Slots on the same day must not overlap
+  for (let day = 0; day <= 6; day++) {
+    const sameDay = normalized
+      .filter((s) => s.day_of_week === day)
+      .map((s) => ({ start: s.opens, end: s.closes > s.opens ? s.closes : s.closes + 24 * 60 }))
+      .sort((a, b) => a.start - b.start)
+    for (let i = 1; i < sameDay.length; i++) {
+      if (sameDay[i].start < sameDay[i - 1].end) {
+        throw new OperatingHoursError(`Overlapping slots on ${WEEKDAYS[day]}`)
+      }
+    }
+  }
+
+  return normalized.map((s) => ({ day_of_week: s.day_of_week, opens_at: formatTime(s.opens), closes_at: formatTime(s.closes) }))
+}
+
+// Opening intervals from yesterday to LOOKAHEAD_DAYS ahead, minus closures, as [{ start, end }] Dates
+const openIntervals = (hours, closures, now) => {
+  const intervals = []
+  for (let offset = -1; offset < LOOKAHEAD_DAYS; offset++) {
+    const date = localParts(new Date(now.getTime() + offset * DAY_MS))
+    for (const slot of hours) {
+      if (slot.day_of_week !== date.weekday) continue
+      const opens = parseTime(slot.opens_at)
+      let closes = parseTime(slot.closes_at)
+      if (closes <= opens) closes += 24 * 60
+      intervals.push({
+        start: zonedInstant(date.year, date.month, date.day, opens),
+        end: zonedInstant(date.year, date.month, date.day, closes),
+      })
+    }
+  }
+
+  let open = intervals.sort((a, b) => a.start - b.start)
+  for (const closure of closures) {
+    const cStart = new Date(closure.starts_at)
+    const cEnd = new Date(closure.ends_at)
+    open = open.flatMap((iv) => {
+      if (cEnd <= iv.start || cStart >= iv.end) return [iv]
+      const pieces = []
+      if (cStart > iv.start) pieces.push({ start: iv.start, end: cStart })
+      if (cEnd < iv.end) pieces.push({ start: cEnd, end: iv.end })
+      return pieces
+    })
+  }
+  return open
+}
+
+// Where a restaurant stands in its schedule. Restaurants without hours have no schedule (all null).
+// Returns { has_schedule, is_open_now, opens_at, closes_at, next_open, closure } with ISO timestamps.
+export const computeScheduleStatus = (hours, closures = [], now = new Date()) => {
+  const activeClosure = closures.find((c) => new Date(c.starts_at) <= now && new Date(c.ends_at) > now) || null
+  if (hours.length === 0) {
+    return { has_schedule: false, is_open_now: null, opens_at: null, closes_at: null, next_open: null, closure: activeClosure }
+  }
+
+  const intervals = openIntervals(hours, closures, now)
+  const current = intervals.find((iv) => iv.start <= now && iv.end > now)
+  const next = intervals.find((iv) => iv.start > now)
+  const shown = current || next
+  return {
+    has_schedule: true,
+    is_open_now: Boolean(current),
+    opens_at: shown ? shown.start.toISOString() : null,
+    closes_at: shown ? shown.end.toISOString() : null,
+    next_open: current ? null : next ? next.start.toISOString() : null,
+    closure: activeClosure,
+  }
+}
+
+// Weekly hours and relevant closures for many restaurants in two queries: Map(uid -> { hours, closures })
+export const getSchedules = async (restaurantUids, conn = db) => {
+  const schedules = new Map(restaurantUids.map((uid) => [uid, { hours: [], closures: [] }]))
+  if (restaurantUids.length === 0) return schedules
+
+  const [hours] = await conn.query(
+    `SELECT restaurant_uid, day_of_week, TIME_FORMAT(opens_at, '%H:%i') AS opens_at, TIME_FORMAT(closes_at, '%H:%i') AS closes_at
+     FROM restaurant_hours
+     WHERE restaurant_uid IN (?)
+     ORDER BY day_of_week, opens_at`,
+    [restaurantUids],
+  )
+  const [closures] = await conn.query(
+    `SELECT id, restaurant_uid, starts_at, ends_at, reason
+     FROM restaurant_closures
+     WHERE restaurant_uid IN (?) AND ends_at > NOW() AND starts_at < DATE_ADD(NOW(), INTERVAL ? DAY)
+     ORDER BY starts_at`,
+    [restaurantUids, LOOKAHEAD_DAYS],
+  )
+  hours.forEach((h) => schedules.get(h.restaurant_uid)?.hours.push(h))
+  closures.forEach((c) => schedules.get(c.restaurant_uid)?.closures.push(c))
+  return schedules
+}
+
+// Schedule status for many restaurants: Map(uid -> computeScheduleStatus result)
+export const getScheduleStatuses = async (restaurantUids, now = new Date()) => {
+  const schedules = await getSchedules(restaurantUids)
+  return new Map([...schedules].map(([uid, s]) => [uid, computeScheduleStatus(s.hours, s.closures, now)]))
+}
+
+export const replaceWeeklyHours = async (conn, restaurantUid, slots) => {
+  await conn.query("DELETE FROM restaurant_hours WHERE restaurant_uid = ?", [restaurantUid])
+  for (const slot of slots) {
+    await conn.query("INSERT INTO restaurant_hours (restaurant_uid, day_of_week, opens_at, closes_at) VALUES (?, ?, ?, ?)", [
+      restaurantUid,
+      slot.day_of_week,
+      slot.opens_at,
+      slot.closes_at,
+    ])
+  }
+  // Let the scheduler re-evaluate from scratch with the new hours
+  await conn.query("UPDATE restaurant_preferences SET schedule_open = NULL WHERE restaurant_uid = ?", [restaurantUid])
+}
+
+// Flip is_online when a scheduled restaurant crosses an opening/closing boundary and hand each
+// change to onChange(uid, isOnline). Only boundaries act: a manual toggle in between holds until
+// the next one, because the last applied state is kept in restaurant_preferences.schedule_open.
+export const startOperatingHoursScheduler = ({ onChange, intervalMs = POLL_INTERVAL_MS }) => {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const [rows] = await db.query(
+        `SELECT DISTINCT h.restaurant_uid, rp.schedule_open
+         FROM restaurant_hours h
+         LEFT JOIN restaurant_preferences rp ON rp.restaurant_uid = h.restaurant_uid`,
+      )
+      if (rows.length === 0) return
+
+      const statuses = await getScheduleStatuses(rows.map((r) => r.restaurant_uid))
+      for (const row of rows) {
+        const shouldBeOpen = statuses.get(row.restaurant_uid)?.is_open_now ? 1 : 0
+        if (row.schedule_open === shouldBeOpen) continue
+
+        await db.query(
+          `INSERT INTO restaurant_preferences (restaurant_uid, schedule_open, updated_at)
+           VALUES (?, ?, NOW())
+           ON DUPLICATE KEY UPDATE schedule_open = VALUES(schedule_open), updated_at = NOW()`,
+          [row.restaurant_uid, shouldBeOpen],
+        )
+        const [result] = await db.query(
+          "UPDATE restaurant_owners SET is_online = ?, updated_at = NOW() WHERE uid = ? AND is_online <> ?",
+          [shouldBeOpen, row.restaurant_uid, shouldBeOpen],
+        )
+        if (result.affectedRows > 0) await onChange(row.restaurant_uid, shouldBeOpen)
+      }
+    } catch (err) {
+      console.error("❌ Operating hours scan failed:", err)
+    } finally {
+      running = false
+    }
+  }
+
+  const handle = setInterval(tick, intervalMs)
+  tick()
+  console.log(`🕒 Operating hours scheduler running every ${intervalMs}ms (${RESTAURANT_TIMEZONE})`)
+  return () => clearInterval(handle)
+}
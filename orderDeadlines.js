@@ -0,0 +1,103 @@
+import db from "./db.js"
+
+export const DEFAULT_ACCEPTANCE_WINDOW_SECONDS = Number(process.env.ORDER_ACCEPTANCE_WINDOW_SECONDS) || 90
+export const MIN_ACCEPTANCE_WINDOW_SECONDS = 30
+export const MAX_ACCEPTANCE_WINDOW_SECONDS = 600
+
+// How long a paid order may wait in pending_restaurant_online before it is cancelled and refunded
+export const PARKED_ORDER_MAX_WAIT_MINUTES = Number(process.env.PARKED_ORDER_MAX_WAIT_MINUTES) || 15
+
+// Guard for the cancel transition so only orders that really waited too long are cancelled
+export const PARKED_ORDER_EXPIRED_CONDITION = `parked_at IS NOT NULL AND parked_at <= DATE_SUB(NOW(), INTERVAL ${PARKED_ORDER_MAX_WAIT_MINUTES} MINUTE)`
+
+// How long an online checkout may stay in payment_pending before it is cancelled, which frees its coupon.
+// A payment that still completes afterwards is refunded (paidAfterCancellation).
+export const UNPAID_ORDER_MAX_WAIT_MINUTES = Number(process.env.UNPAID_ORDER_MAX_WAIT_MINUTES) || 30
+
+export const UNPAID_ORDER_EXPIRED_CONDITION = `created_at <= DATE_SUB(NOW(), INTERVAL ${UNPAID_ORDER_MAX_WAIT_MINUTES} MINUTE)`
+
+const POLL_INTERVAL_MS = Number(process.env.ORDER_DEADLINE_POLL_MS) || 5000
+const BATCH_SIZE = 50
+
+// How long a restaurant has to accept a new order (restaurant_preferences override, else the platform default)
+export const getAcceptanceWindowSeconds = async (restaurantUid, conn = db) => {
+  const [rows] = await conn.query(
+    "SELECT acceptance_window_seconds FROM restaurant_preferences WHERE restaurant_uid = ?",
+    [restaurantUid],
+  )
+  const seconds = rows.length > 0 ? Number(rows[0].acceptance_window_seconds) : NaN
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_ACCEPTANCE_WINDOW_SECONDS
+}
+
+// Start the acceptance clock for an order. The deadline is computed with the database clock so
+// every instance agrees on it. Returns { response_deadline, seconds_remaining }.
+export const startResponseDeadline = async (orderId, restaurantUid, conn = db) => {
+  const windowSeconds = await getAcceptanceWindowSeconds(restaurantUid, conn)
+  await conn.query("UPDATE orders SET response_deadline = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?", [
+    windowSeconds,
+    orderId,
+  ])
+  const [[row]] = await conn.query("SELECT response_deadline FROM orders WHERE id = ?", [orderId])
+  return { response_deadline: row.response_deadline, seconds_remaining: windowSeconds }
+}
+
+// Poll for pending orders whose deadline has passed and hand them to onExpired(orderId), and for
+// parked orders that waited longer than the max wait and hand them to onParkedExpired(orderId), and
+// for checkouts left unpaid past their max wait and hand them to onUnpaidExpired(orderId).
+// The state lives in orders.response_deadline/parked_at, so nothing is lost on restart; the
+// handlers must claim each order with a guarded transition so concurrent instances never double-act.
+export const startDeadlineScheduler = ({ onExpired, onParkedExpired, onUnpaidExpired, intervalMs = POLL_INTERVAL_MS }) => {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const [rows] = await db.query(
+        `SELECT id FROM orders
+         WHERE status = 'pending' AND response_deadline IS NOT NULL AND response_deadline <= NOW()
+         ORDER BY response_deadline ASC
+         LIMIT ?`,
+        [BATCH_SIZE],
+      )
+      for (const row of rows) {
+        await onExpired(row.id)
+      }
+
+      if (onParkedExpired) {
+        const [parked] = await db.query(
+          `SELECT id FROM orders
+           WHERE status = 'pending_restaurant_online' AND ${PARKED_ORDER_EXPIRED_CONDITION}
+           ORDER BY parked_at ASC
+           LIMIT ?`,
+          [BATCH_SIZE],
+        )
+        for (const row of parked) {
+          await onParkedExpired(row.id)
+        }
+      }
+
+      if (onUnpaidExpired) {
+        const [unpaid] = await db.query(
+          `SELECT id FROM orders
+           WHERE status = 'payment_pending' AND ${UNPAID_ORDER_EXPIRED_CONDITION}
+           ORDER BY created_at ASC
+           LIMIT ?`,
+          [BATCH_SIZE],
+        )
+        for (const row of unpaid) {
+          await onUnpaidExpired(row.id)
+        }
+      }
+    } catch (err) {
+      console.error("❌ Order deadline scan failed:", err)
+    } finally {
+      running = false
+    }
+  }
+
+  const handle = setInterval(tick, intervalMs)
+  tick()
+  console.log(`⏰ Order deadline scheduler running every ${intervalMs}ms`)
+  return () => clearInterval(handle)
+}
@@ -0,0 +1,106 @@
+import db from "./db.js"
+import { getModifierGroups, resolveModifiers } from "./menuModifiers.js"
+
+export class OrderItemError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "OrderItemError"
+    this.statusCode = statusCode
+  }
+}
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = value ? JSON.parse(value) : []
+    return Array.isArray(parsed) ? parsed : []
+  } catch (_) {
+    return []
+  }
+}
+
+// Price the cart against the live menu and freeze each line as it is sold.
+// items: [{ menu_item_id, quantity, option_ids?, add_ons? }]. Throws OrderItemError for unavailable
+// items or bad quantities and ModifierError for invalid modifier choices.
+// Returns { lines, subtotal } where lines are ready for insertOrderItems.
+export const buildOrderItemSnapshots = async (conn, restaurantUid, items) => {
+  const lines = []
+  for (const item of items) {
+    const [menuItem] = await conn.query(
+      "SELECT * FROM menu_items1 WHERE id = ? AND restaurant_uid = ? AND is_available = 1 AND is_deleted = 0",
+      [item.menu_item_id, restaurantUid],
+    )
+    if (menuItem.length === 0) throw new OrderItemError(`Menu item ${item.menu_item_id} not found or unavailable`)
+
+    const groups = (await getModifierGroups(menuItem[0].id, conn)).get(menuItem[0].id)
+    const { unit_price, add_on_price, modifiers } = resolveModifiers(menuItem[0], groups, item)
+    const quantity = Number(item.quantity)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new OrderItemError(`Quantity for ${menuItem[0].name} must be a positive whole number`)
+    }
+    lines.push({
+      menu_item_id: menuItem[0].id,
+      quantity,
+      item_name: menuItem[0].name,
+      unit_price,
+      food_type: menuItem[0].food_type,
+      // Pricing inputs, not stored on the order line
+      category: menuItem[0].category,
+      packing_charge: menuItem[0].packing_charge,
+      selected_modifiers: modifiers,
+      selected_add_ons: modifiers.filter((m) => m.group_type === "addon").map(({ name, price }) => ({ name, price })),
+      line_total: roundCurrency((unit_price + add_on_price) * quantity),
+    })
+  }
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.line_total, 0))
+  return { lines, subtotal }
+}
+
+export const insertOrderItems = async (conn, orderId, lines) => {
+  for (const line of lines) {
+    await conn.query(
+      `INSERT INTO order_items
+        (order_id, menu_item_id, quantity, item_name, unit_price, food_type, selected_add_ons, selected_modifiers, line_total)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        line.menu_item_id,
+        line.quantity,
+        line.item_name,
+        line.unit_price,
+        line.food_type,
+        JSON.stringify(line.selected_add_ons),
+        JSON.stringify(line.selected_modifiers),
+        line.line_total,
+      ],
+    )
+  }
+}
+
+// Order lines as they were sold, never the live menu. orderIds may be a single id or an array.
+export const getOrderItems = async (orderIds, conn = db) => {
+  const ids = Array.isArray(orderIds) ? orderIds : [orderIds]
+  if (ids.length === 0) return []
+  const [rows] = await conn.query(
+    `SELECT id, order_id, menu_item_id, quantity, item_name, unit_price, food_type, selected_add_ons, selected_modifiers,
+            line_total
+     FROM order_items
+     WHERE order_id IN (?)
+     ORDER BY id ASC`,
+    [ids],
+  )
+  return rows.map((row) => ({
+    ...row,
+    selected_add_ons: parseJsonArray(row.selected_add_ons),
+    selected_modifiers: parseJsonArray(row.selected_modifiers),
+  }))
+}
+
+// Orders with their lines as `items`, loaded in one query however many orders there are
+export const attachOrderItems = async (orders, conn = db) => {
+  const byOrder = new Map(orders.map((order) => [order.id, []]))
+  for (const item of await getOrderItems([...byOrder.keys()], conn)) byOrder.get(item.order_id)?.push(item)
+  return orders.map((order) => ({ ...order, items: byOrder.get(order.id) }))
+}
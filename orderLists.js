@@ -0,0 +1,52 @@
+import { ORDER_STATUSES } from "./orderStateMachine.js"
+import { createPaginator, parseListFilter, parseDateRange } from "./pagination.js"
+
+// Customer and restaurant order lists: ?status= (one or more) and ?from=&to= on created_at,
+// paginated by created_at (default) or total_amount, the order's total_price.
+
+export const orderPages = createPaginator({
+  sorts: {
+    created_at: { column: "created_at", field: "created_at", type: "date", order: "desc" },
+    total_amount: { column: "total_price", field: "total_price", type: "number", order: "desc" },
+  },
+  defaultSort: "created_at",
+  tiebreak: { column: "id", field: "id" },
+})
+
+const orderListConditions = (query) => {
+  const conditions = []
+  const params = []
+  const statuses = parseListFilter(query.status, ORDER_STATUSES, "status")
+  if (statuses) {
+    conditions.push("status IN (?)")
+    params.push(statuses)
+  }
+  const { from, to } = parseDateRange(query)
+  if (from) {
+    conditions.push("created_at >= ?")
+    params.push(from)
+  }
+  if (to) {
+    conditions.push("created_at < ?")
+    params.push(to)
+  }
+  return { conditions, params }
+}
+
+// One page of the orders owned by ownerUid, where ownerColumn is customer_uid or restaurant_uid
+// (internal constants only). Returns { page, sql, params }; build the response with
+// orderPages.build(rows, page). Throws PaginationError for bad query parameters.
+export const orderListQuery = (ownerColumn, ownerUid, query) => {
+  const page = orderPages.parse(query)
+  const { conditions, params } = orderListConditions(query)
+  const keyset = orderPages.clause(page)
+  if (keyset.where) {
+    conditions.push(keyset.where)
+    params.push(...keyset.params)
+  }
+  return {
+    page,
+    sql: `SELECT * FROM orders WHERE ${ownerColumn} = ?${conditions.map((c) => ` AND ${c}`).join("")} ${keyset.orderBy}`,
+    params: [ownerUid, ...params, keyset.limit],
+  }
+}
@@ -0,0 +1,144 @@
+import db from "./db.js"
+import { releaseCouponRedemption } from "./coupons.js"
+
+export const ORDER_STATUSES = [
+  "payment_pending",
+  "pending_restaurant_online",
+  "pending",
+  "preparing",
+  "ready",
+  "on_the_way",
+  "delivered",
+  "cancelled",
+  "rejected",
+]
+
+export const ORDER_ACTORS = ["customer", "restaurant", "system", "admin"]
+
+// from -> to -> actors allowed to make that move. Anything not listed is illegal;
+// delivered, cancelled and rejected are terminal.
+const TRANSITIONS = {
+  payment_pending: {
+    pending: ["system"],
+    cancelled: ["system", "customer", "admin"],
+  },
+  pending_restaurant_online: {
+    pending: ["system", "admin"],
+    cancelled: ["system", "customer", "admin"],
+  },
+  pending: {
+    pending_restaurant_online: ["system"],
+    preparing: ["restaurant", "admin"],
+    rejected: ["restaurant", "system", "admin"],
+    cancelled: ["customer", "admin"],
+  },
+  preparing: {
+    ready: ["restaurant", "admin"],
+    cancelled: ["customer", "restaurant", "admin"],
+  },
+  ready: {
+    on_the_way: ["restaurant", "admin"],
+    cancelled: ["admin"],
+  },
+  on_the_way: {
+    delivered: ["restaurant", "admin"],
+    cancelled: ["admin"],
+  },
+  delivered: {},
+  cancelled: {},
+  rejected: {},
+}
+
+export class OrderTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "OrderTransitionError"
+    this.statusCode = statusCode
+  }
+}
+
+export const canTransition = (from, to, actor) => (TRANSITIONS[from]?.[to] || []).includes(actor)
+
+export const getAllowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([to]) => to)
+
+export const assertTransition = (from, to, actor) => {
+  if (!ORDER_ACTORS.includes(actor)) {
+    throw new OrderTransitionError(`Unknown actor "${actor}"`, 400)
+  }
+  const actors = TRANSITIONS[from]?.[to]
+  if (!actors) {
+    throw new OrderTransitionError(`Cannot move an order from ${from} to ${to}`)
+  }
+  if (!actors.includes(actor)) {
+    throw new OrderTransitionError(`A ${actor} cannot move an order from ${from} to ${to}`, 403)
+  }
+}
+
+const insertHistory = (conn, { orderId, from, to, actor, actorUid, reason }) =>
+  conn.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_uid, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [orderId, from, to, actor, actorUid || null, reason ? String(reason).slice(0, 255) : null],
+  )
+
+// Move an order to a new status through the state machine and record it in order_status_history.
+//   set:   extra columns to update alongside the status, e.g. { rejection_reason: "..." }
+//   where: extra SQL guard for the UPDATE (internal constants only, never user input)
+//   conn:  a connection inside the caller's transaction; otherwise a transaction is opened here
+// Returns { from, to }, or null when the extra guard did not match (nothing was changed).
+// Throws OrderTransitionError for unknown orders, illegal moves or actors without permission.
+export const transitionOrder = async ({ orderId, to, actor, actorUid, reason, set = {}, where, conn }) => {
+  const run = async (c) => {
+    const [rows] = await c.query("SELECT status FROM orders WHERE id = ? FOR UPDATE", [orderId])
+    if (rows.length === 0) throw new OrderTransitionError("Order not found", 404)
+
+    const from = rows[0].status
+    assertTransition(from, to, actor)
+
+    const columns = Object.keys(set)
+    const [result] = await c.query(
+      `UPDATE orders SET status = ?${columns.map(() => ", ?? = ?").join("")}
+       WHERE id = ? AND status = ?${where ? ` AND (${where})` : ""}`,
+      [to, ...columns.flatMap((col) => [col, set[col]]), orderId, from],
+    )
+    if (result.affectedRows === 0) return null
+
+    await insertHistory(c, { orderId, from, to, actor, actorUid, reason })
+    if (to === "cancelled" || to === "rejected") await releaseCouponRedemption(c, orderId)
+    return { from, to }
+  }
+
+  if (conn) return run(conn)
+
+  let connection
+  try {
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+    const transition = await run(connection)
+    await connection.commit()
+    return transition
+  } catch (err) {
+    if (connection) await connection.rollback()
+    throw err
+  } finally {
+    if (connection) connection.release()
+  }
+}
+
+// First history entry for a freshly inserted order
+export const recordOrderCreated = (conn, { orderId, status, actor = "customer", actorUid }) =>
+  insertHistory(conn, { orderId, from: null, to: status, actor, actorUid, reason: "Order placed" })
+
+export const getOrderTimeline = async (orderId) => {
+  const [rows] = await db.query(
+    `SELECT id, from_status, to_status, actor_type, actor_uid, reason, created_at
+     FROM order_status_history
+     WHERE order_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [orderId],
+  )
+  return rows
+}
@@ -0,0 +1,168 @@
+// Cursor (keyset) pagination shared by the list endpoints. Clients pass ?limit=&sort=&order= and
+// then the next_cursor of each page as ?cursor=. Cursors are opaque and only valid for the sort and
+// order they were issued with.
+
+export const DEFAULT_PAGE_LIMIT = 20
+export const MAX_PAGE_LIMIT = 100
+
+export class PaginationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "PaginationError"
+    this.statusCode = statusCode
+  }
+}
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url")
+
+const isKeysetPayload = (payload) => "v" in payload && "id" in payload
+
+const decodeCursor = (cursor, isValid = isKeysetPayload) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    if (payload && typeof payload === "object" && isValid(payload)) return payload
+  } catch (_) {
+    // fall through
+  }
+  throw new PaginationError("cursor is invalid")
+}
+
+// A paginator for one list.
+// sorts: { name: { column, field, type: "date"|"number"|"string", order? } } where column is the SQL
+// expression and field the row property; tiebreak: { column, field } naming a unique column.
+// Returns { parse(query), clause(page), build(rows, page) }:
+//   parse  -> page ({ limit, sort, order, cursor }), throwing PaginationError for bad parameters
+//   clause -> { where, params, orderBy, limit }: AND `where` (when set) into the query, then append
+//             orderBy with limit bound to its placeholder (one extra row detects the next page)
+//   build  -> { items, pagination: { limit, sort, order, next_cursor, has_more } }
+const parseLimit = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    throw new PaginationError(`limit must be a whole number from 1 to ${MAX_PAGE_LIMIT}`)
+  }
+  return limit
+}
+
+export const createPaginator = ({ sorts, defaultSort, tiebreak }) => {
+  const parse = (query) => {
+    const limit = parseLimit(query)
+    const sort = query.sort === undefined ? defaultSort : String(query.sort)
+    if (!sorts[sort]) throw new PaginationError(`sort must be one of: ${Object.keys(sorts).join(", ")}`)
+    const order = query.order === undefined ? sorts[sort].order || "asc" : String(query.order).toLowerCase()
+    if (!["asc", "desc"].includes(order)) throw new PaginationError("order must be asc or desc")
+
+    let cursor = null
+    if (query.cursor !== undefined && query.cursor !== "") {
+      cursor = decodeCursor(query.cursor)
+      if (cursor.s !== sort || cursor.o !== order) {
+        throw new PaginationError("cursor was issued for a different sort or order")
+      }
+    }
+    return { limit, sort, order, cursor }
+  }
+
+  const clause = (page) => {
+    const { column, type } = sorts[page.sort]
+    const direction = page.order === "desc" ? "DESC" : "ASC"
+    const op = page.order === "desc" ? "<" : ">"
+    let where = null
+    let params = []
+    if (page.cursor) {
+      const value = type === "date" ? new Date(page.cursor.v) : page.cursor.v
+      where = `(${column} ${op} ? OR (${column} = ? AND ${tiebreak.column} ${op} ?))`
+      params = [value, value, page.cursor.id]
+    }
+    return {
+      where,
+      params,
+      orderBy: `ORDER BY ${column} ${direction}, ${tiebreak.column} ${direction} LIMIT ?`,
+      limit: page.limit + 1,
+    }
+  }
+
+  const build = (rows, page) => {
+    const hasMore = rows.length > page.limit
+    const items = hasMore ? rows.slice(0, page.limit) : rows
+    const last = items[items.length - 1]
+    const { field, type } = sorts[page.sort]
+    const value = last && type === "date" ? new Date(last[field]).toISOString() : last?.[field]
+    return {
+      items,
+      pagination: {
+        limit: page.limit,
+        sort: page.sort,
+        order: page.order,
+        next_cursor: hasMore ? encodeCursor({ s: page.sort, o: page.order, v: value, id: last[tiebreak.field] }) : null,
+        has_more: hasMore,
+      },
+    }
+  }
+
+  return { parse, clause, build }
+}
+
+// Same ?limit=&cursor= contract for lists ranked in memory (search relevance, delivery distance),
+// where no SQL column carries the order. The cursor holds the position in the ranked list, so rows
+// that move between requests can repeat or be skipped.
+// Returns { parse(query), build(ranked, page) }:
+//   parse -> page ({ limit, offset }), throwing PaginationError for bad parameters
+//   build -> { items, pagination: { limit, next_cursor, has_more } } for the whole ranked list
+export const createRankedPaginator = () => {
+  const parse = (query) => {
+    const limit = parseLimit(query)
+    let offset = 0
+    if (query.cursor !== undefined && query.cursor !== "") {
+      offset = decodeCursor(query.cursor, (payload) => Number.isInteger(payload.at) && payload.at >= 0).at
+    }
+    return { limit, offset }
+  }
+
+  const build = (ranked, page) => {
+    const end = page.offset + page.limit
+    const hasMore = ranked.length > end
+    return {
+      items: ranked.slice(page.offset, end),
+      pagination: { limit: page.limit, next_cursor: hasMore ? encodeCursor({ at: end }) : null, has_more: hasMore },
+    }
+  }
+
+  return { parse, build }
+}
+
+// Multi-value filter from ?name=a,b or ?name=a&name=b; null when absent
+export const parseListFilter = (value, allowed, name) => {
+  if (value === undefined || value === "") return null
+  const values = [...new Set((Array.isArray(value) ? value : [value]).flatMap((v) => String(v).split(",")))]
+    .map((v) => v.trim())
+    .filter(Boolean)
+  const invalid = values.filter((v) => !allowed.includes(v))
+  if (invalid.length > 0) throw new PaginationError(`${name} must be one or more of: ${allowed.join(", ")}`)
+  return values.length > 0 ? values : null
+}
+
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  if (value === undefined || value === "") return null
+  const text = String(value)
+  const date = new Date(text)
+  if (Number.isNaN(date.getTime())) throw new PaginationError(`${name} must be a date or date-time`)
+  // A bare date as the upper bound covers that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) date.setUTCDate(date.getUTCDate() + 1)
+  return date
+}
+
+// ?from=&to= date range; `to` is exclusive for date-times and covers the whole day for bare dates.
+// Returns { from, to } as Dates or null.
+export const parseDateRange = (query) => {
+  const from = parseDate(query.from, "from")
+  const to = parseDate(query.to, "to", { endOfDay: true })
+  if (from && to && to <= from) throw new PaginationError("to must be after from")
+  return { from, to }
+}
+
+// Boolean filter from ?name=true|false; null when absent
+export const parseBooleanFilter = (value, name) => {
+  if (value === undefined || value === "") return null
+  if (value === "true" || value === "1") return true
+  if (value === "false" || value === "0") return false
+  throw new PaginationError(`${name} must be true or false`)
+}
@@ -0,0 +1,53 @@
+import { createCashfreeGateway } from "./cashfreeGateway.js"
+import { createMockGateway } from "./mockGateway.js"
+
+// Payment gateway interface implemented by every provider:
+//   createOrder({ gatewayOrderId, amount, currency, customer, note, returnUrl, notifyUrl }) -> { cfOrderId, paymentSessionId }
+//   fetchPayments(gatewayOrderId) -> [payment attempts in Cashfree's shape]
+//   createRefund(gatewayOrderId, { refundId, amount, note }) -> refund in Cashfree's shape
+//   verifyWebhook({ rawBody, signature, timestamp }) -> { valid, reason? }
+//
+// Selected with PAYMENT_PROVIDER=cashfree|mock; Cashfree uses CASHFREE_ENV=sandbox|production.
+
+const DEFAULT_PUBLIC_BASE_URL = "https://khawwws.onrender.com"
+
+let gateway = null
+
+const paymentProvider = () => (process.env.PAYMENT_PROVIDER || "cashfree").trim().toLowerCase()
+
+export const getPaymentGateway = () => {
+  if (gateway) return gateway
+
+  const provider = paymentProvider()
+  if (provider === "cashfree") {
+    gateway = createCashfreeGateway({
+      environment: (process.env.CASHFREE_ENV || "production").trim().toLowerCase(),
+      appId: process.env.CASHFREE_APP_ID,
+      secretKey: process.env.CASHFREE_SECRET_KEY,
+      webhookSecret: process.env.CASHFREE_WEBHOOK_SECRET,
+    })
+  } else if (provider === "mock") {
+    gateway = createMockGateway({
+      defaultOutcome: (process.env.MOCK_PAYMENT_OUTCOME || "success").trim().toLowerCase(),
+      webhookDelayMs: Number(process.env.MOCK_WEBHOOK_DELAY_MS) || 500,
+      webhookSecret: process.env.CASHFREE_WEBHOOK_SECRET || "mock_webhook_secret",
+    })
+  } else {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${provider}" (expected cashfree or mock)`)
+  }
+
+  console.log(`💳 Payment provider: ${gateway.name} (${gateway.environment})`)
+  return gateway
+}
+
+// Public URL of this server, used for gateway return and webhook URLs.
+// The mock provider defaults to localhost so its webhooks reach the local server.
+export const getPublicBaseUrl = () => {
+  if (process.env.BASE_URL) return process.env.BASE_URL.replace(/\/+$/, "")
+  if (paymentProvider() === "mock") return `http://localhost:${process.env.PORT || 5001}`
+  return DEFAULT_PUBLIC_BASE_URL
+}
+
+export const getWebhookUrl = () => `${getPublicBaseUrl()}/api/cashfree/webhook`
+
+export const getPaymentReturnUrl = (orderId) => `${getPublicBaseUrl()}/payment-success?order_id=${orderId}`
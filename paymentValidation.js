@@ -0,0 +1,139 @@
+import db from "./db.js"
+import { transitionOrder, OrderTransitionError } from "./orderStateMachine.js"
+import { UNPAID_ORDER_EXPIRED_CONDITION } from "./orderDeadlines.js"
+
+export const EXPECTED_CURRENCY = "INR"
+export const AMOUNT_TOLERANCE = 0.02
+
+const SUCCESS_STATUSES = new Set(["SUCCESS", "PAID"])
+
+// The order id we send to Cashfree when creating the payment order
+export const gatewayOrderIdFor = (orderId) => `order_${orderId}`
+
+// Validate a gateway-reported payment against the order it claims to pay for.
+// Shared by the Cashfree webhook and POST /api/orders/:orderId/verify-payment.
+// Returns { valid, reason?, alreadyProcessed?, paidAfterCancellation? }. paidAfterCancellation marks a
+// genuine payment for an order cancelled while the customer was paying: it must be refunded.
+export const validatePaymentSecurity = (
+  order,
+  { amount, currency, paymentStatus, merchantOrderId, cfOrderId } = {},
+) => {
+  if (!order) {
+    return { valid: false, reason: "Order not found" }
+  }
+
+  if (order.payment_status === "success") {
+    return { valid: false, alreadyProcessed: true, reason: "Payment already verified for this order" }
+  }
+
+  if (order.status !== "payment_pending" && order.status !== "cancelled") {
+    return { valid: false, reason: `Order is no longer awaiting payment (status: ${order.status})` }
+  }
+
+  if (!SUCCESS_STATUSES.has(String(paymentStatus || "").toUpperCase())) {
+    return { valid: false, reason: `Payment status is ${paymentStatus || "missing"}` }
+  }
+
+  const paidAmount = Number.parseFloat(amount)
+  const orderAmount = Number.parseFloat(order.total_price)
+  if (!Number.isFinite(paidAmount)) {
+    return { valid: false, reason: "Payment amount is missing" }
+  }
+  if (Math.abs(paidAmount - orderAmount) > AMOUNT_TOLERANCE) {
+    return {
+      valid: false,
+      reason: `Payment amount mismatch: paid ₹${paidAmount.toFixed(2)}, expected ₹${orderAmount.toFixed(2)}`,
+    }
+  }
+
+  if (!currency || String(currency).toUpperCase() !== EXPECTED_CURRENCY) {
+    return { valid: false, reason: `Unexpected payment currency: ${currency || "missing"}` }
+  }
+
+  if (merchantOrderId !== undefined && merchantOrderId !== null) {
+    if (String(merchantOrderId) !== gatewayOrderIdFor(order.id)) {
+      return { valid: false, reason: `Gateway order id ${merchantOrderId} does not belong to order ${order.id}` }
+    }
+  }
+
+  if (cfOrderId !== undefined && cfOrderId !== null && order.payment_id) {
+    if (String(cfOrderId) !== String(order.payment_id)) {
+      return { valid: false, reason: `Cashfree order id ${cfOrderId} does not match stored payment id` }
+    }
+  }
+
+  if (order.status === "cancelled") {
+    return { valid: false, paidAfterCancellation: true, reason: "Order was cancelled before its payment completed" }
+  }
+
+  return { valid: true }
+}
+
+// Atomically move an order from payment_pending to pending with a successful payment.
+// Returns false when another path (webhook or verify-payment) already claimed it.
+export const claimPaymentSuccess = async (orderId, conn) => {
+  try {
+    const transition = await transitionOrder({
+      orderId,
+      to: "pending",
+      actor: "system",
+      reason: "Payment verified",
+      set: { payment_status: "success" },
+      where: "payment_status <> 'success'",
+      conn,
+    })
+    return transition !== null
+  } catch (err) {
+    if (err instanceof OrderTransitionError) return false
+    throw err
+  }
+}
+
+// Record a payment that completed after its order was cancelled, so it can be refunded.
+// Returns false when another path (webhook or verify-payment) already recorded it.
+export const claimPaymentAfterCancellation = async (orderId, conn = db) => {
+  const [result] = await conn.query(
+    "UPDATE orders SET payment_status = 'success' WHERE id = ? AND status = 'cancelled' AND payment_status <> 'success'",
+    [orderId],
+  )
+  return result.affectedRows > 0
+}
+
+// Cancel an order whose payment failed/was cancelled, unless the payment already succeeded
+export const markPaymentFailed = async (orderId, paymentStatus = "failed", conn) => {
+  try {
+    const transition = await transitionOrder({
+      orderId,
+      to: "cancelled",
+      actor: "system",
+      reason: `Payment ${paymentStatus}`,
+      set: { payment_status: paymentStatus },
+      where: "payment_status <> 'success'",
+      conn,
+    })
+    return transition !== null
+  } catch (err) {
+    if (err instanceof OrderTransitionError) return false
+    throw err
+  }
+}
+
+// Cancel a checkout that was never paid within the max wait, releasing its coupon redemption.
+// Returns false when the payment succeeded or another instance already expired it.
+export const expireUnpaidOrder = async (orderId, conn) => {
+  try {
+    const transition = await transitionOrder({
+      orderId,
+      to: "cancelled",
+      actor: "system",
+      reason: "Payment was not completed in time",
+      set: { payment_status: "cancelled" },
+      where: `payment_status <> 'success' AND ${UNPAID_ORDER_EXPIRED_CONDITION}`,
+      conn,
+    })
+    return transition !== null
+  } catch (err) {
+    if (err instanceof OrderTransitionError) return false
+    throw err
+  }
+}
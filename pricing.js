@@ -0,0 +1,162 @@
+import db from "./db.js"
+import { buildOrderItemSnapshots } from "./orderItems.js"
+import { evaluateCoupon } from "./coupons.js"
+import { ServiceAreaError, assertDeliverable } from "./serviceArea.js"
+
+// Pricing rules resolve per order as: menu item / category -> restaurant_preferences -> platform.
+// Platform defaults come from the environment; a NULL restaurant setting falls back to them.
+
+const envNumber = (name, fallback) => {
+  const value = process.env[name]
+  if (value === undefined || value.trim() === "") return fallback
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+export const PLATFORM_PRICING = {
+  gst_rate: envNumber("GST_RATE_PERCENT", 5),
+  fee_gst_rate: envNumber("FEE_GST_RATE_PERCENT", 0),
+  platform_fee: envNumber("PLATFORM_FEE", 0),
+  delivery_base_fee: envNumber("DELIVERY_BASE_FEE", 0),
+  delivery_base_distance_km: envNumber("DELIVERY_BASE_DISTANCE_KM", 2),
+  delivery_fee_per_km: envNumber("DELIVERY_FEE_PER_KM", 0),
+  free_delivery_threshold: envNumber("FREE_DELIVERY_THRESHOLD", 500),
+  packing_fee_per_item: envNumber("PACKING_FEE_PER_ITEM", 0),
+}
+
+// Restaurant-level settings that override the platform defaults when not NULL
+export const RESTAURANT_PRICING_FIELDS = [
+  "delivery_base_fee",
+  "delivery_base_distance_km",
+  "delivery_fee_per_km",
+  "free_delivery_threshold",
+  "packing_fee_per_item",
+]
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+// The client's totals disagree with the engine; breakdown is what it should have sent
+export class PricingMismatchError extends Error {
+  constructor(message, breakdown, statusCode = 409) {
+    super(message)
+    this.name = "PricingMismatchError"
+    this.breakdown = breakdown
+    this.statusCode = statusCode
+  }
+}
+
+export const getRestaurantPricing = async (restaurantUid, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT ${RESTAURANT_PRICING_FIELDS.join(", ")} FROM restaurant_preferences WHERE restaurant_uid = ?`,
+    [restaurantUid],
+  )
+  const overrides = rows[0] || {}
+  const pricing = { ...PLATFORM_PRICING }
+  for (const field of RESTAURANT_PRICING_FIELDS) {
+    if (overrides[field] !== null && overrides[field] !== undefined) pricing[field] = Number(overrides[field])
+  }
+  return pricing
+}
+
+// Base fee covers the first delivery_base_distance_km, then delivery_fee_per_km for every started km.
+// Without both coordinates only the base fee is charged. A delivery zone's own fee replaces both.
+export const calculateDeliveryFee = (pricing, subtotal, distanceKm, zoneFee = null) => {
+  if (pricing.free_delivery_threshold > 0 && subtotal >= pricing.free_delivery_threshold) return 0
+  if (zoneFee !== null) return roundCurrency(zoneFee)
+  const extraKm = distanceKm === null ? 0 : Math.max(0, Math.ceil(distanceKm - pricing.delivery_base_distance_km))
+  return roundCurrency(pricing.delivery_base_fee + extraKm * pricing.delivery_fee_per_km)
+}
+
+// GST per rate bucket; each line is taxed at its category's rate (packing included) and fees at
+// fee_gst_rate. A coupon discount lowers each line's taxable value in proportion (discountRatio).
+// Intra-state supply, so every bucket splits evenly into CGST and SGST.
+const calculateGst = (lines, fees, pricing, discountRatio = 0) => {
+  const buckets = new Map()
+  const addTaxable = (rate, amount) => {
+    if (!(rate > 0) || !(amount > 0)) return
+    buckets.set(rate, (buckets.get(rate) || 0) + amount)
+  }
+  lines.forEach((line) => addTaxable(line.gst_rate, line.line_total * (1 - discountRatio) + line.packing_fee))
+  addTaxable(pricing.fee_gst_rate, fees)
+
+  const breakdown = [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxable]) => {
+      const amount = roundCurrency((taxable * rate) / 100)
+      const cgst = roundCurrency(amount / 2)
+      return { rate, taxable_amount: roundCurrency(taxable), amount, cgst, sgst: roundCurrency(amount - cgst) }
+    })
+  const amount = roundCurrency(breakdown.reduce((sum, b) => sum + b.amount, 0))
+  const cgst = roundCurrency(breakdown.reduce((sum, b) => sum + b.cgst, 0))
+  return { amount, cgst, sgst: roundCurrency(amount - cgst), breakdown }
+}
+
+// Price a cart exactly as POST /api/orders will charge it.
+// items: [{ menu_item_id, quantity, option_ids?, add_ons? }]
+// deliveryCoordinates: { latitude, longitude } or null
+// couponCode/customerUid apply a coupon to the item subtotal; lockCoupon is for checkout (see evaluateCoupon).
+// Throws ServiceAreaError when the restaurant does not deliver to the coordinates or the cart is
+// below the delivery zone's minimum order.
+// Returns { lines, breakdown, coupon } where breakdown is what the apps display and the order stores.
+export const quoteCart = async (
+  conn,
+  { restaurantUid, items, deliveryCoordinates, couponCode = null, customerUid = null, lockCoupon = false },
+) => {
+  const { distance_km: distanceKm, zone } = await assertDeliverable(conn, restaurantUid, deliveryCoordinates)
+  const { lines, subtotal } = await buildOrderItemSnapshots(conn, restaurantUid, items)
+  if (zone && zone.min_order_value !== null && subtotal < zone.min_order_value) {
+    throw new ServiceAreaError(`Orders delivered to ${zone.name} need a minimum of ₹${zone.min_order_value.toFixed(2)}`)
+  }
+  const pricing = await getRestaurantPricing(restaurantUid, conn)
+
+  const applied = couponCode
+    ? await evaluateCoupon(conn, { code: couponCode, restaurantUid, customerUid, subtotal, lock: lockCoupon })
+    : null
+  const discount = applied ? applied.discount : 0
+
+  const categories = [...new Set(lines.map((line) => line.category))]
+  const [categoryRows] = categories.length
+    ? await conn.query("SELECT name, gst_rate FROM categories1 WHERE restaurant_uid = ? AND name IN (?)", [
+        restaurantUid,
+        categories,
+      ])
+    : [[]]
+  const categoryGst = new Map(categoryRows.map((row) => [row.name, row.gst_rate]))
+
+  const pricedLines = lines.map((line) => {
+    const perItemPacking =
+      line.packing_charge !== null && line.packing_charge !== undefined ? Number(line.packing_charge) : pricing.packing_fee_per_item
+    const categoryRate = categoryGst.get(line.category)
+    return {
+      ...line,
+      packing_fee: roundCurrency(perItemPacking * line.quantity),
+      gst_rate: categoryRate !== null && categoryRate !== undefined ? Number(categoryRate) : pricing.gst_rate,
+    }
+  })
+
+  const packingFee = roundCurrency(pricedLines.reduce((sum, line) => sum + line.packing_fee, 0))
+  const deliveryFee = calculateDeliveryFee(pricing, subtotal, distanceKm, zone ? zone.delivery_fee : null)
+  const platformFee = roundCurrency(pricing.platform_fee)
+  const gst = calculateGst(pricedLines, deliveryFee + platformFee, pricing, subtotal > 0 ? discount / subtotal : 0)
+
+  return {
+    lines: pricedLines,
+    coupon: applied ? applied.coupon : null,
+    breakdown: {
+      subtotal,
+      discount,
+      coupon_code: applied ? applied.coupon.code : null,
+      coupon_funded_by: applied ? applied.coupon.funded_by : null,
+      delivery_fee: deliveryFee,
+      distance_km: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+      delivery_zone: zone ? { id: zone.id, name: zone.name } : null,
+      packing_fee: packingFee,
+      platform_fee: platformFee,
+      gst_amount: gst.amount,
+      cgst_amount: gst.cgst,
+      sgst_amount: gst.sgst,
+      gst_breakdown: gst.breakdown,
+      total: roundCurrency(subtotal - discount + deliveryFee + packingFee + platformFee + gst.amount),
+    },
+  }
+}
@@ -0,0 +1,224 @@
+import db from "./db.js"
+import { gatewayOrderIdFor } from "./paymentValidation.js"
+import { getPaymentGateway } from "./paymentGateway.js"
+import { getOrderItems } from "./orderItems.js"
+
+// Refunds that still count against the order total (failed/cancelled ones can be retried)
+const ACTIVE_REFUND_STATUSES = ["pending", "success"]
+
+const CASHFREE_REFUND_STATUS_MAP = {
+  SUCCESS: "success",
+  PENDING: "pending",
+  ONHOLD: "pending",
+  CANCELLED: "cancelled",
+}
+
+const roundCurrency = (value) => Math.round(Number(value) * 100) / 100
+
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "RefundError"
+    this.statusCode = statusCode
+  }
+}
+
+const parseItems = (value) => {
+  try {
+    return value ? JSON.parse(value) : []
+  } catch (_) {
+    return []
+  }
+}
+
+export const getOrderRefunds = async (orderId, conn = db) => {
+  const [rows] = await conn.query("SELECT * FROM refunds WHERE order_id = ? ORDER BY created_at ASC, id ASC", [orderId])
+  return rows.map((row) => ({ ...row, items: parseItems(row.items) }))
+}
+
+const sumActiveRefunds = (refunds) =>
+  roundCurrency(
+    refunds.filter((r) => ACTIVE_REFUND_STATUSES.includes(r.status)).reduce((sum, r) => sum + Number(r.amount), 0),
+  )
+
+// Send a recorded refund to the payment gateway and store the outcome on the refund row
+const submitRefund = async (order, refund) => {
+  try {
+    const data = await getPaymentGateway().createRefund(gatewayOrderIdFor(order.id), {
+      refundId: refund.refund_id,
+      amount: Number(refund.amount),
+      note: refund.reason || "Order refund",
+    })
+    const status = CASHFREE_REFUND_STATUS_MAP[data?.refund_status] || "pending"
+    await db.query(
+      `UPDATE refunds SET cf_refund_id = ?, status = ?, status_description = ?,
+         processed_at = IF(? = 'success', NOW(), processed_at)
+       WHERE id = ?`,
+      [data?.cf_refund_id || null, status, data?.status_description || null, status, refund.id],
+    )
+    console.log(`💰 Refund ${refund.refund_id} submitted for order ${order.id}: ₹${refund.amount} (${status})`)
+  } catch (err) {
+    const description = err.response?.data?.message || err.message
+    console.error(`❌ Gateway refund ${refund.refund_id} failed for order ${order.id}:`, description)
+    await db.query("UPDATE refunds SET status = 'failed', status_description = ? WHERE id = ?", [
+      String(description).slice(0, 255),
+      refund.id,
+    ])
+  }
+  const [[updated]] = await db.query("SELECT * FROM refunds WHERE id = ?", [refund.id])
+  return { ...updated, items: parseItems(updated.items) }
+}
+
+// Record and submit a refund. refundId makes the call idempotent: an existing pending/successful
+// refund with the same id is returned unchanged, a failed one is retried with the same id.
+export const initiateRefund = async ({ orderId, refundId, amount, reason, type = "full", items = [], initiatedBy }) => {
+  let connection
+  let order
+  let refund
+  try {
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+
+    const [orders] = await connection.query("SELECT * FROM orders WHERE id = ? FOR UPDATE", [orderId])
+    if (orders.length === 0) throw new RefundError("Order not found", 404)
+    order = orders[0]
+
+    const [existing] = await connection.query("SELECT * FROM refunds WHERE refund_id = ?", [refundId])
+    if (existing.length > 0) {
+      await connection.commit()
+      refund = existing[0]
+      if (refund.status !== "failed") {
+        return { ...refund, items: parseItems(refund.items) }
+      }
+      console.log(`🔁 Retrying failed refund ${refundId} for order ${orderId}`)
+      await db.query("UPDATE refunds SET status = 'pending', status_description = NULL WHERE id = ?", [refund.id])
+      return submitRefund(order, refund)
+    }
+
+    if (order.payment_status !== "success") {
+      throw new RefundError("Order has no successful payment to refund")
+    }
+
+    const refundAmount = roundCurrency(amount)
+    const refundable = roundCurrency(Number(order.total_price) - sumActiveRefunds(await getOrderRefunds(orderId, connection)))
+    if (!(refundAmount > 0)) throw new RefundError("Refund amount must be greater than zero")
+    if (refundAmount > refundable) {
+      throw new RefundError(`Refund amount ₹${refundAmount.toFixed(2)} exceeds refundable ₹${refundable.toFixed(2)}`)
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO refunds (order_id, refund_id, amount, refund_type, reason, items, status, initiated_by)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [orderId, refundId, refundAmount, type, reason || null, items.length ? JSON.stringify(items) : null, initiatedBy],
+    )
+    const [[inserted]] = await connection.query("SELECT * FROM refunds WHERE id = ?", [result.insertId])
+    refund = inserted
+
+    await connection.commit()
+  } catch (err) {
+    if (connection) await connection.rollback()
+    throw err
+  } finally {
+    if (connection) connection.release()
+  }
+
+  return submitRefund(order, refund)
+}
+
+// What is still refundable on an order after earlier pending/successful refunds
+export const getRefundableAmount = async (order, conn = db) =>
+  roundCurrency(Number(order.total_price) - sumActiveRefunds(await getOrderRefunds(order.id, conn)))
+
+// Refund whatever is still refundable on a paid order (rejections, auto-rejections, cancellations).
+// fee is kept back under the cancellation policy, which makes it a partial refund.
+// Returns null when the order was never paid online.
+export const refundOrderInFull = async (order, reason, initiatedBy, { fee = 0 } = {}) => {
+  if (order.payment_status !== "success") return null
+  const amount = roundCurrency((await getRefundableAmount(order)) - fee)
+  const refundId = fee > 0 ? `refund_${order.id}_cancel` : `refund_${order.id}_full`
+  if (amount <= 0) {
+    const [existing] = await db.query("SELECT * FROM refunds WHERE refund_id = ?", [refundId])
+    return existing.length > 0 ? { ...existing[0], items: parseItems(existing[0].items) } : null
+  }
+  return initiateRefund({
+    orderId: order.id,
+    refundId,
+    amount,
+    reason,
+    type: fee > 0 ? "partial" : "full",
+    initiatedBy,
+  })
+}
+
+// Partial refund for specific order lines (e.g. items the restaurant could not supply).
+// items: [{ order_item_id, quantity }]. The amount is the lines' share of the order total,
+// so taxes and fees are refunded proportionally.
+export const refundOrderItems = async (order, items, reason, initiatedBy) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new RefundError("At least one item is required for a partial refund")
+  }
+
+  // Priced from the order-time snapshot so later menu edits don't change refunds
+  const orderItems = await getOrderItems(order.id)
+  const byId = new Map(orderItems.map((it) => [it.id, it]))
+  const orderSubtotal = orderItems.reduce((sum, it) => sum + Number(it.line_total), 0)
+  if (orderSubtotal <= 0) throw new RefundError("Order has no refundable items")
+
+  const refunds = await getOrderRefunds(order.id)
+  const previous = refunds.filter((r) => ACTIVE_REFUND_STATUSES.includes(r.status))
+  const alreadyRefunded = new Map()
+  previous.forEach((r) =>
+    r.items.forEach((it) =>
+      alreadyRefunded.set(it.order_item_id, (alreadyRefunded.get(it.order_item_id) || 0) + Number(it.quantity)),
+    ),
+  )
+
+  let linesAmount = 0
+  const refundItems = items.map((requested, i) => {
+    const orderItemId = Number.parseInt(requested?.order_item_id, 10)
+    const quantity = Number.parseInt(requested?.quantity, 10)
+    const line = byId.get(orderItemId)
+    if (!line) throw new RefundError(`Item at index ${i} is not part of this order`)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new RefundError(`Item at index ${i} must have a positive quantity`)
+    }
+    const remaining = line.quantity - (alreadyRefunded.get(orderItemId) || 0)
+    if (quantity > remaining) {
+      throw new RefundError(`Only ${remaining} of "${line.item_name}" can still be refunded`)
+    }
+    linesAmount += (Number(line.line_total) / line.quantity) * quantity
+    return { order_item_id: orderItemId, menu_item_id: line.menu_item_id, item_name: line.item_name, quantity }
+  })
+
+  const amount = roundCurrency((linesAmount / orderSubtotal) * Number(order.total_price))
+  // Number past failed attempts too: initiateRefund would retry a failed row that shares the id
+  const partialPrefix = `refund_${order.id}_p`
+  return initiateRefund({
+    orderId: order.id,
+    refundId: `${partialPrefix}${refunds.filter((r) => r.refund_id.startsWith(partialPrefix)).length + 1}`,
+    amount,
+    reason,
+    type: "partial",
+    items: refundItems,
+    initiatedBy,
+  })
+}
+
+// Apply a Cashfree REFUND_STATUS_WEBHOOK payload. Returns { refund, order } or null if unknown.
+export const applyRefundWebhook = async (payload) => {
+  const data = payload?.data?.refund || payload?.refund
+  if (!data?.refund_id) return null
+
+  const status = CASHFREE_REFUND_STATUS_MAP[data.refund_status] || "pending"
+  const [result] = await db.query(
+    `UPDATE refunds SET status = ?, cf_refund_id = COALESCE(?, cf_refund_id), status_description = ?,
+       processed_at = IF(? = 'success', COALESCE(processed_at, NOW()), processed_at)
+     WHERE refund_id = ?`,
+    [status, data.cf_refund_id || null, data.status_description || null, status, data.refund_id],
+  )
+  if (result.affectedRows === 0) return null
+
+  const [[refund]] = await db.query("SELECT * FROM refunds WHERE refund_id = ?", [data.refund_id])
+  const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [refund.order_id])
+  return { refund: { ...refund, items: parseItems(refund.items) }, order }
+}
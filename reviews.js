@@ -0,0 +1,257 @@
+import db from "./db.js"
+
+// Customers review a delivered order once: a 1-5 restaurant rating, optional text and a thumbs up/down
+// per order line. Restaurants reply; admins hide abusive reviews, which then drop out of listings and
+// aggregates.
+export const REVIEW_STATUSES = ["visible", "hidden"]
+export const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 14
+
+// Recent trend compares the last TREND_WINDOW_DAYS against the window before it
+const TREND_WINDOW_DAYS = 30
+const TREND_THRESHOLD = 0.2
+const MAX_TEXT_LENGTH = 2000
+
+export class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ReviewError"
+    this.statusCode = statusCode
+  }
+}
+
+const roundRating = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10)
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null) return null
+  if (typeof value !== "string") throw new ReviewError(`${field} must be a string`)
+  const trimmed = value.trim()
+  if (trimmed.length > MAX_TEXT_LENGTH) throw new ReviewError(`${field} may be at most ${MAX_TEXT_LENGTH} characters`)
+  return trimmed || null
+}
+
+// Validate a review payload against the order's lines: { rating, review_text?, items?: [{ order_item_id, thumbs }] }
+export const normalizeReviewInput = (body, orderItems) => {
+  const rating = Number(body.rating)
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) throw new ReviewError("rating must be a whole number from 1 to 5")
+
+  const items = body.items === undefined || body.items === null ? [] : body.items
+  if (!Array.isArray(items)) throw new ReviewError("items must be an array")
+  const lines = new Map(orderItems.map((line) => [line.id, line]))
+  const seen = new Set()
+  const itemRatings = items.map((item, i) => {
+    const line = lines.get(Number(item?.order_item_id))
+    if (!line) throw new ReviewError(`Item ${i}: order_item_id is not part of this order`)
+    if (seen.has(line.id)) throw new ReviewError(`Item ${i}: ${line.item_name} is rated twice`)
+    seen.add(line.id)
+    if (!["up", "down"].includes(item.thumbs)) throw new ReviewError(`Item ${i}: thumbs must be "up" or "down"`)
+    return { order_item_id: line.id, menu_item_id: line.menu_item_id, thumbs_up: item.thumbs === "up" ? 1 : 0 }
+  })
+
+  return { rating, review_text: optionalText(body.review_text, "review_text"), items: itemRatings }
+}
+
+// Only delivered orders within REVIEW_WINDOW_DAYS of delivery can be reviewed
+export const assertReviewable = async (conn, order) => {
+  if (order.status !== "delivered") throw new ReviewError("Only delivered orders can be reviewed", 409)
+  const [[{ delivered_at }]] = await conn.query(
+    "SELECT MAX(created_at) AS delivered_at FROM order_status_history WHERE order_id = ? AND to_status = 'delivered'",
+    [order.id],
+  )
+  const deliveredAt = new Date(delivered_at || order.updated_at)
+  if (Date.now() - deliveredAt.getTime() > REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ReviewError(`Orders can only be reviewed within ${REVIEW_WINDOW_DAYS} days of delivery`, 409)
+  }
+}
+
+export const createReview = async (conn, order, review) => {
+  try {
+    const [result] = await conn.query(
+      `INSERT INTO order_reviews (order_id, restaurant_uid, customer_uid, rating, review_text)
+       VALUES (?, ?, ?, ?, ?)`,
+      [order.id, order.restaurant_uid, order.customer_uid, review.rating, review.review_text],
+    )
+    for (const item of review.items) {
+      await conn.query(
+        "INSERT INTO order_item_ratings (review_id, order_item_id, menu_item_id, thumbs_up) VALUES (?, ?, ?, ?)",
+        [result.insertId, item.order_item_id, item.menu_item_id, item.thumbs_up],
+      )
+    }
+    return result.insertId
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw new ReviewError("This order has already been reviewed", 409)
+    throw err
+  }
+}
+
+const formatReview = (row, items = []) => ({
+  id: row.id,
+  order_id: row.order_id,
+  restaurant_uid: row.restaurant_uid,
+  customer_uid: row.customer_uid,
+  customer_name: row.customer_name ?? null,
+  rating: row.rating,
+  review_text: row.review_text,
+  items,
+  restaurant_reply: row.restaurant_reply,
+  replied_at: row.replied_at,
+  status: row.status,
+  moderation_reason: row.moderation_reason,
+  moderated_at: row.moderated_at,
+  created_at: row.created_at,
+})
+
+// Reviews with their item thumbs, newest first.
+// filters: { reviewId, restaurantUid, orderId, status } (status null for every status). Lists page with
+// keyset, a clause from a paginator sorted on r.created_at with r.id as tiebreak; otherwise the first
+// limit reviews are returned.
+export const listReviews = async ({
+  reviewId = null,
+  restaurantUid = null,
+  orderId = null,
+  status = "visible",
+  limit = 20,
+  keyset = null,
+} = {}) => {
+  const conditions = []
+  const params = []
+  if (reviewId) {
+    conditions.push("r.id = ?")
+    params.push(reviewId)
+  }
+  if (restaurantUid) {
+    conditions.push("r.restaurant_uid = ?")
+    params.push(restaurantUid)
+  }
+  if (orderId) {
+    conditions.push("r.order_id = ?")
+    params.push(orderId)
+  }
+  if (status) {
+    conditions.push("r.status = ?")
+    params.push(status)
+  }
+  if (keyset?.where) {
+    conditions.push(keyset.where)
+    params.push(...keyset.params)
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""
+
+  const [rows] = await db.query(
+    `SELECT r.*, c.name AS customer_name
+     FROM order_reviews r
+     LEFT JOIN customers c ON c.uid = r.customer_uid
+     ${where}
+     ${keyset ? keyset.orderBy : "ORDER BY r.created_at DESC, r.id DESC LIMIT ?"}`,
+    [...params, keyset ? keyset.limit : limit],
+  )
+
+  const itemsByReview = new Map()
+  if (rows.length > 0) {
+    const [items] = await db.query(
+      `SELECT ir.review_id, ir.order_item_id, ir.menu_item_id, oi.item_name, ir.thumbs_up
+       FROM order_item_ratings ir
+       JOIN order_items oi ON oi.id = ir.order_item_id
+       WHERE ir.review_id IN (?)
+       ORDER BY ir.id`,
+      [rows.map((row) => row.id)],
+    )
+    for (const item of items) {
+      if (!itemsByReview.has(item.review_id)) itemsByReview.set(item.review_id, [])
+      itemsByReview.get(item.review_id).push({
+        order_item_id: item.order_item_id,
+        menu_item_id: item.menu_item_id,
+        item_name: item.item_name,
+        thumbs: item.thumbs_up ? "up" : "down",
+      })
+    }
+  }
+
+  return { reviews: rows.map((row) => formatReview(row, itemsByReview.get(row.id))) }
+}
+
+// One review in any status, formatted as listed
+export const getReview = async (id) => {
+  const { reviews } = await listReviews({ reviewId: id, status: null, limit: 1 })
+  return reviews[0] || null
+}
+
+export const replyToReview = async (restaurantUid, reviewId, reply) => {
+  const text = optionalText(reply, "reply")
+  if (!text) throw new ReviewError("reply is required")
+  const [result] = await db.query(
+    "UPDATE order_reviews SET restaurant_reply = ?, replied_at = NOW() WHERE id = ? AND restaurant_uid = ?",
+    [text, reviewId, restaurantUid],
+  )
+  if (result.affectedRows === 0) throw new ReviewError("Review not found", 404)
+  return getReview(reviewId)
+}
+
+export const moderateReview = async (reviewId, { status, reason, moderatedBy }) => {
+  if (!REVIEW_STATUSES.includes(status)) throw new ReviewError(`status must be one of: ${REVIEW_STATUSES.join(", ")}`)
+  const moderationReason = optionalText(reason, "reason")
+  if (status === "hidden" && !moderationReason) throw new ReviewError("reason is required when hiding a review")
+  const [result] = await db.query(
+    `UPDATE order_reviews
+     SET status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = NOW()
+     WHERE id = ?`,
+    [status, moderationReason ? moderationReason.slice(0, 255) : null, moderatedBy, reviewId],
+  )
+  if (result.affectedRows === 0) throw new ReviewError("Review not found", 404)
+  return getReview(reviewId)
+}
+
+const emptySummary = () => ({ average: null, count: 0, recent_average: null, recent_count: 0, trend: null })
+
+// Visible-review aggregates for many restaurants in one query: Map(uid -> { average, count,
+// recent_average, recent_count, trend }). trend is "up"/"down"/"steady" when both the last
+// TREND_WINDOW_DAYS and the window before have ratings, else null.
+export const getRatingSummaries = async (restaurantUids) => {
+  const summaries = new Map(restaurantUids.map((uid) => [uid, emptySummary()]))
+  if (restaurantUids.length === 0) return summaries
+
+  const [rows] = await db.query(
+    `SELECT restaurant_uid,
+       AVG(rating) AS average,
+       COUNT(*) AS count,
+       AVG(CASE WHEN created_at >= NOW() - INTERVAL ? DAY THEN rating END) AS recent_average,
+       SUM(created_at >= NOW() - INTERVAL ? DAY) AS recent_count,
+       AVG(CASE WHEN created_at < NOW() - INTERVAL ? DAY AND created_at >= NOW() - INTERVAL ? DAY THEN rating END)
+         AS previous_average
+     FROM order_reviews
+     WHERE restaurant_uid IN (?) AND status = 'visible'
+     GROUP BY restaurant_uid`,
+    [TREND_WINDOW_DAYS, TREND_WINDOW_DAYS, TREND_WINDOW_DAYS, TREND_WINDOW_DAYS * 2, restaurantUids],
+  )
+  for (const row of rows) {
+    const recent = row.recent_average === null ? null : Number(row.recent_average)
+    const previous = row.previous_average === null ? null : Number(row.previous_average)
+    let trend = null
+    if (recent !== null && previous !== null) {
+      trend = recent - previous >= TREND_THRESHOLD ? "up" : previous - recent >= TREND_THRESHOLD ? "down" : "steady"
+    }
+    summaries.set(row.restaurant_uid, {
+      average: roundRating(row.average),
+      count: Number(row.count),
+      recent_average: roundRating(recent),
+      recent_count: Number(row.recent_count || 0),
+      trend,
+    })
+  }
+  return summaries
+}
+
+// Thumbs up/down totals per menu item from visible reviews: Map(menu_item_id -> { up, down })
+export const getItemThumbs = async (menuItemIds) => {
+  const thumbs = new Map()
+  if (menuItemIds.length === 0) return thumbs
+  const [rows] = await db.query(
+    `SELECT ir.menu_item_id, SUM(ir.thumbs_up = 1) AS up, SUM(ir.thumbs_up = 0) AS down
+     FROM order_item_ratings ir
+     JOIN order_reviews r ON r.id = ir.review_id AND r.status = 'visible'
+     WHERE ir.menu_item_id IN (?)
+     GROUP BY ir.menu_item_id`,
+    [menuItemIds],
+  )
+  rows.forEach((row) => thumbs.set(row.menu_item_id, { up: Number(row.up), down: Number(row.down) }))
+  return thumbs
+}
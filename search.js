@@ -0,0 +1,186 @@
+import db from "./db.js"
+import { getRatingSummaries } from "./reviews.js"
+
+// Restaurant and dish search over an in-memory index of restaurants and available menu items,
+// rebuilt every SEARCH_INDEX_REFRESH_MS. MySQL full-text search has no typo tolerance, so matching
+// and ranking happen here: every query word must match a word of the document exactly, as a prefix
+// (autocomplete) or within a small edit distance.
+
+const REFRESH_INTERVAL_MS = Number(process.env.SEARCH_INDEX_REFRESH_MS) || 60000
+
+export const SEARCH_TYPES = ["all", "restaurant", "dish"]
+export const MAX_QUERY_LENGTH = 100
+
+// Match tiers, best first; results are ordered by tier before relevance
+const TIERS = { exact: 3, prefix: 2, fuzzy: 1 }
+const TIER_NAMES = { 3: "exact", 2: "prefix", 1: "fuzzy" }
+
+// Where a word matched counts towards relevance
+const FIELD_WEIGHTS = { name: 1, category: 0.6, description: 0.3 }
+
+// Relevance boosts: up to RATING_BOOST for a 5-star average, ONLINE_BOOST when accepting orders
+const RATING_BOOST = 0.5
+const ONLINE_BOOST = 0.5
+
+let index = null
+let loading = null
+
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+
+// Typos tolerated for a query word of this length
+const allowedEdits = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2)
+
+// Optimal string alignment distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prevPrev = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost)
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1)
+      }
+      current.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    prevPrev = prev
+    prev = current
+  }
+  return prev[b.length]
+}
+
+// Best tier for one query word against a list of document words (0 when none match)
+const matchWord = (queryWord, words) => {
+  let best = 0
+  const edits = allowedEdits(queryWord.length)
+  for (const word of words) {
+    if (word === queryWord) return TIERS.exact
+    if (best < TIERS.prefix && queryWord.length >= 2 && word.startsWith(queryWord)) best = TIERS.prefix
+    else if (best < TIERS.fuzzy && edits > 0 && editDistance(queryWord, word, edits) <= edits) best = TIERS.fuzzy
+  }
+  return best
+}
+
+// { tier, relevance } for a document, or null unless every query word matches some field
+const scoreDocument = (queryWords, phrase, doc) => {
+  let tier = TIERS.exact
+  let relevance = 0
+  for (const queryWord of queryWords) {
+    let wordTier = 0
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const fieldTier = doc.words[field] ? matchWord(queryWord, doc.words[field]) : 0
+      if (fieldTier === 0) continue
+      wordTier = Math.max(wordTier, fieldTier)
+      relevance += fieldTier * weight
+    }
+    if (wordTier === 0) return null
+    tier = Math.min(tier, wordTier)
+  }
+  // Whole-name matches outrank documents that only contain the words
+  if (doc.phrase === phrase) relevance += 10
+  else if (doc.phrase.startsWith(phrase)) relevance += 5
+  return { tier, relevance }
+}
+
+const buildIndex = async () => {
+  const [restaurants] = await db.query(
+    "SELECT uid, restaurant_name, location, is_online, is_pure_veg FROM restaurant_owners",
+  )
+  const [items] = await db.query(
+    `SELECT id, restaurant_uid, name, description, category, price, image_url, food_type
+     FROM menu_items1
+     WHERE is_available = 1 AND is_deleted = 0`,
+  )
+  const ratings = await getRatingSummaries(restaurants.map((r) => r.uid))
+
+  const restaurantDocs = new Map(
+    restaurants.map((r) => [
+      r.uid,
+      {
+        type: "restaurant",
+        id: r.uid,
+        name: r.restaurant_name,
+        location: r.location,
+        is_pure_veg: r.is_pure_veg === 1,
+        is_online: r.is_online === 1,
+        rating: ratings.get(r.uid),
+        phrase: tokenize(r.restaurant_name).join(" "),
+        words: { name: tokenize(r.restaurant_name) },
+      },
+    ]),
+  )
+  const dishDocs = items
+    .filter((item) => restaurantDocs.has(item.restaurant_uid))
+    .map((item) => ({
+      type: "dish",
+      id: item.id,
+      name: item.name,
+      description: item.description,
+      category: item.category,
+      price: Number(item.price),
+      image_url: item.image_url,
+      food_type: item.food_type,
+      restaurant: restaurantDocs.get(item.restaurant_uid),
+      phrase: tokenize(item.name).join(" "),
+      words: { name: tokenize(item.name), category: tokenize(item.category), description: tokenize(item.description) },
+    }))
+
+  return { documents: [...restaurantDocs.values(), ...dishDocs], builtAt: new Date() }
+}
+
+const refreshIndex = async () => {
+  if (!loading) {
+    loading = buildIndex()
+      .then((built) => {
+        index = built
+        return built
+      })
+      .finally(() => {
+        loading = null
+      })
+  }
+  return loading
+}
+
+// Rebuild the index now and then every intervalMs; searches before the first build wait for it
+export const startSearchIndexRefresh = ({ intervalMs = REFRESH_INTERVAL_MS } = {}) => {
+  const tick = () => refreshIndex().catch((err) => console.error("❌ Search index refresh failed:", err))
+  const handle = setInterval(tick, intervalMs)
+  tick()
+  console.log(`🔎 Search index refreshing every ${intervalMs}ms`)
+  return () => clearInterval(handle)
+}
+
+const restaurantBoost = (restaurant) =>
+  (restaurant.rating?.average ? (restaurant.rating.average / 5) * RATING_BOOST : 0) + (restaurant.is_online ? ONLINE_BOOST : 0)
+
+// Ranked matches for q, best first: the documents with match and score. vegOnly keeps pure-veg
+// restaurants and veg dishes (food_type 0).
+export const searchCatalog = async (q, { type = "all", vegOnly = false } = {}) => {
+  const { documents } = index || (await refreshIndex())
+  const queryWords = tokenize(q)
+  if (queryWords.length === 0) return []
+  const phrase = queryWords.join(" ")
+
+  const matches = []
+  for (const doc of documents) {
+    if (type !== "all" && doc.type !== type) continue
+    if (vegOnly && (doc.type === "restaurant" ? !doc.is_pure_veg : doc.food_type !== 0)) continue
+    const scored = scoreDocument(queryWords, phrase, doc)
+    if (!scored) continue
+    const boost = restaurantBoost(doc.type === "restaurant" ? doc : doc.restaurant)
+    matches.push({ doc, tier: scored.tier, score: Math.round((scored.relevance + boost) * 100) / 100 })
+  }
+
+  matches.sort((a, b) => b.tier - a.tier || b.score - a.score || String(a.doc.name).localeCompare(String(b.doc.name)))
+  return matches.map(({ doc, tier, score }) => ({ ...doc, match: TIER_NAMES[tier], score }))
+}
@@ -4,9 +4,144 @@ import bodyParser from "body-parser"
 import http from "http"
 import { Server as SocketIOServer } from "socket.io"
 import db from "./db.js"
-import axios from "axios"
 import admin from "firebase-admin"
 import dotenv from "dotenv"
+import {
+  authenticate,
+  extractBearerToken,
+  verifyFirebaseToken,
+  requireSelf,
+  requireOrderParty,
+  requireAdminPermission,
+  requireSelfOrAdminPermission,
+  getAdminRole,
+  getRolePermissions,
+  ADMIN_ROLES,
+} from "./auth.js"
+import {
+  EXPECTED_CURRENCY,
+  gatewayOrderIdFor,
+  validatePaymentSecurity,
+  claimPaymentSuccess,
+  claimPaymentAfterCancellation,
+  markPaymentFailed,
+  expireUnpaidOrder,
+} from "./paymentValidation.js"
+import { getPaymentGateway, getWebhookUrl, getPaymentReturnUrl } from "./paymentGateway.js"
+import {
+  ORDER_STATUSES,
+  OrderTransitionError,
+  transitionOrder,
+  recordOrderCreated,
+  getOrderTimeline,
+  getAllowedTransitions,
+} from "./orderStateMachine.js"
+import {
+  MIN_ACCEPTANCE_WINDOW_SECONDS,
+  MAX_ACCEPTANCE_WINDOW_SECONDS,
+  PARKED_ORDER_MAX_WAIT_MINUTES,
+  PARKED_ORDER_EXPIRED_CONDITION,
+  UNPAID_ORDER_MAX_WAIT_MINUTES,
+  getAcceptanceWindowSeconds,
+  startResponseDeadline,
+  startDeadlineScheduler,
+} from "./orderDeadlines.js"
+import {
+  RefundError,
+  getOrderRefunds,
+  refundOrderInFull,
+  refundOrderItems,
+  applyRefundWebhook,
+  getRefundableAmount,
+} from "./refunds.js"
+import { getCancellationQuote } from "./cancellationPolicy.js"
+import {
+  CashOnDeliveryError,
+  isCashOnDelivery,
+  getRestaurantPaymentPreferences,
+  assertCashOnDeliveryAllowed,
+} from "./cashOnDelivery.js"
+import {
+  PaginationError,
+  createPaginator,
+  createRankedPaginator,
+  parseListFilter,
+  parseBooleanFilter,
+} from "./pagination.js"
+import { orderPages, orderListQuery } from "./orderLists.js"
+import { SEARCH_TYPES, MAX_QUERY_LENGTH, searchCatalog, startSearchIndexRefresh } from "./search.js"
+import {
+  MenuTagError,
+  suggestMenuItemTags,
+  resolveTagIds,
+  replaceMenuItemTags,
+  getMenuItemTags,
+  findTaggedDishes,
+} from "./menuTags.js"
+import {
+  FoodCategoryError,
+  normalizeFoodCategoryInput,
+  listFoodCategories,
+  getFoodCategory,
+  createFoodCategory,
+  updateFoodCategory,
+  deleteFoodCategory,
+} from "./foodCategories.js"
+import {
+  REVIEW_STATUSES,
+  ReviewError,
+  normalizeReviewInput,
+  assertReviewable,
+  createReview,
+  listReviews,
+  getReview,
+  replyToReview,
+  moderateReview,
+  getRatingSummaries,
+  getItemThumbs,
+} from "./reviews.js"
+import { OrderItemError, insertOrderItems, getOrderItems, attachOrderItems } from "./orderItems.js"
+import {
+  ModifierError,
+  normalizeModifierGroups,
+  saveModifierGroups,
+  getModifierGroups,
+  flattenAddOns,
+} from "./menuModifiers.js"
+import {
+  PLATFORM_PRICING,
+  RESTAURANT_PRICING_FIELDS,
+  PricingMismatchError,
+  getRestaurantPricing,
+  quoteCart,
+} from "./pricing.js"
+import { isValidCoordinate, estimateDeliveryTime } from "./geo.js"
+import {
+  ServiceAreaError,
+  MAX_DELIVERY_RADIUS_KM,
+  getServiceArea,
+  normalizeZoneInput,
+  listDeliveryZones,
+  saveDeliveryZone,
+  deleteDeliveryZone,
+  findDeliveringRestaurants,
+} from "./serviceArea.js"
+import {
+  normalizeWeeklyHours,
+  replaceWeeklyHours,
+  getSchedules,
+  getScheduleStatuses,
+  computeScheduleStatus,
+  startOperatingHoursScheduler,
+} from "./operatingHours.js"
+import {
+  COUPON_FUNDERS,
+  CouponError,
+  normalizeCouponInput,
+  recordCouponRedemption,
+  listCoupons,
+  saveCoupon,
+} from "./coupons.js"
 
 // Load environment variables
 dotenv.config()
@@ -55,6 +190,8 @@ try {
 
 
 
+const paymentGateway = getPaymentGateway()
+
 const app = express()
 app.use(
   cors({
@@ -63,27 +200,65 @@ app.use(
     allowedHeaders: ["Content-Type", "Authorization"],
   }),
 )
-app.use(bodyParser.json())
+app.use(
+  bodyParser.json({
+    // Keep the exact bytes of Cashfree webhook deliveries for signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/cashfree/webhook")) {
+        req.rawBody = buf.toString("utf8")
+      }
+    },
+  }),
+)
 
 const server = http.createServer(app)
 const io = new SocketIOServer(server, {
   cors: { origin: "*", methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"] },
 })
 
+// Socket.IO handshake auth: clients pass a Firebase ID token as auth.token (or an Authorization header)
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token || extractBearerToken(socket.handshake.headers?.authorization)
+  if (!token) {
+    return next(new Error("Authentication token is required"))
+  }
+  try {
+    socket.data.user = await verifyFirebaseToken(token)
+    next()
+  } catch (err) {
+    console.error(`🔒 Socket ${socket.id} failed token verification:`, err.code || err.message)
+    next(new Error("Invalid or expired authentication token"))
+  }
+})
+
+// Only the owner of a UID may join its room; otherwise the socket gets a joinRejected event
+const joinOwnRoom = (socket, type, uid) => {
+  if (typeof uid !== "string" || !uid.trim()) {
+    socket.emit("joinRejected", { type, uid, reason: "A non-empty UID is required" })
+    return false
+  }
+  const trimmedUid = uid.trim()
+  if (trimmedUid !== socket.data.user?.uid) {
+    console.log(`🔒 socket ${socket.id} (${socket.data.user?.uid}) denied room ${type}_${trimmedUid}`)
+    socket.emit("joinRejected", { type, uid: trimmedUid, reason: "Not authorized to join this room" })
+    return false
+  }
+  socket.join(`${type}_${trimmedUid}`)
+  return true
+}
+
 io.on("connection", (socket) => {
   console.log("ðŸ”Œ Client connected:", socket.id)
 
   socket.on("joinRestaurant", (restaurant_uid) => {
-    if (typeof restaurant_uid === "string" && restaurant_uid.trim()) {
-      socket.join(`restaurant_${restaurant_uid.trim()}`)
-      console.log(`ðŸ‘¨â€ðŸ³ socket ${socket.id} joined room restaurant_${restaurant_uid}`)
+    if (joinOwnRoom(socket, "restaurant", restaurant_uid)) {
+      console.log(`ðŸ‘¨â€ðŸ³ socket ${socket.id} joined room restaurant_${restaurant_uid}`)
     }
   })
 
   socket.on("joinCustomer", (customer_uid) => {
-    if (typeof customer_uid === "string" && customer_uid.trim()) {
-      socket.join(`customer_${customer_uid.trim()}`)
-      console.log(`ðŸ§‘â€ðŸ’¼ socket ${socket.id} joined room customer_${customer_uid}`)
+    if (joinOwnRoom(socket, "customer", customer_uid)) {
+      console.log(`ðŸ§‘â€ðŸ’¼ socket ${socket.id} joined room customer_${customer_uid}`)
     }
   })
 
@@ -143,38 +318,298 @@ const validateAddresses = (addresses) => {
   })
 }
 
-const orderTimers = new Map() // Store order timers for cleanup
+// Opening-hours fields for restaurant listings, e.g. so the app can show "Opens at 7 PM"
+const scheduleFields = (status) => ({
+  opens_at: status?.opens_at ?? null,
+  closes_at: status?.closes_at ?? null,
+  next_open: status?.next_open ?? null,
+  closed_until: status?.closure ? new Date(status.closure.ends_at).toISOString() : null,
+})
+
+// Cursor paginators for the list endpoints (see pagination.js)
+const restaurantPages = createPaginator({
+  sorts: {
+    name: { column: "restaurant_name", field: "name", type: "string" },
+    created_at: { column: "created_at", field: "created_at", type: "date", order: "desc" },
+  },
+  defaultSort: "name",
+  tiebreak: { column: "uid", field: "id" },
+})
+
+const adminRestaurantPages = createPaginator({
+  sorts: {
+    created_at: { column: "created_at", field: "created_at", type: "date", order: "desc" },
+    name: { column: "restaurant_name", field: "restaurant_name", type: "string" },
+  },
+  defaultSort: "created_at",
+  tiebreak: { column: "uid", field: "uid" },
+})
+
+const reviewPages = createPaginator({
+  sorts: { created_at: { column: "r.created_at", field: "created_at", type: "date", order: "desc" } },
+  defaultSort: "created_at",
+  tiebreak: { column: "r.id", field: "id" },
+})
+
+// Search relevance and delivery distance are computed in memory, so those lists page by position
+const rankedPages = createRankedPaginator()
+
+// Rating fields for restaurant listings from a getRatingSummaries entry; rating is null until reviewed
+const ratingFields = (summary) => ({
+  rating: summary?.average ?? null,
+  rating_count: summary?.count ?? 0,
+  rating_trend: summary?.trend ?? null,
+})
+
+// Restaurant card shared by the listing endpoints; r comes from a restaurant_owners SELECT with uid AS id.
+// deliveryTime is null here: it depends on the distance to the customer, which only /nearby knows.
+const restaurantSummary = (r, schedule, ratings) => ({
+  id: r.id,
+  name: r.name,
+  location: r.location,
+  email: r.email,
+  is_online: r.is_online,
+  is_pure_veg: r.is_pure_veg === 1, // Convert to boolean
+  imageUrl: "",
+  ...ratingFields(ratings),
+  deliveryTime: null,
+  deliveryFee: 0,
+  isOpen: r.is_online === 1,
+  ...scheduleFields(schedule),
+  created_at: r.created_at,
+  updated_at: r.updated_at,
+})
+
+const REFUND_PUSH_MESSAGES = {
+  pending: (amount) => `Your refund of ₹${amount} has been initiated.`,
+  success: (amount) => `Your refund of ₹${amount} has been credited.`,
+  failed: (amount) => `Your refund of ₹${amount} is delayed. We are retrying it.`,
+  cancelled: (amount) => `Your refund of ₹${amount} was cancelled. Please contact support.`,
+}
+
+// Push refund progress to both parties of the order: socket events for both, an FCM push to the
+// customer's devices. Never throws.
+const notifyRefundUpdate = async (order, refund) => {
+  const payload = { order_id: order.id, refund }
+  io.to(`customer_${order.customer_uid}`).emit("refundStatusUpdated", payload)
+  io.to(`restaurant_${order.restaurant_uid}`).emit("refundStatusUpdated", payload)
+
+  const message = REFUND_PUSH_MESSAGES[refund.status]
+  if (!message) return
+  await sendFCMNotification(
+    order.customer_uid,
+    `Refund for order #${order.id}`,
+    message(Number(refund.amount).toFixed(2)),
+    {
+      type: "refundStatusUpdated",
+      orderId: order.id.toString(),
+      refundId: refund.refund_id,
+      status: refund.status,
+    },
+    "customer",
+  )
+}
 
-// Auto-reject function
-const autoRejectOrder = async (orderId) => {
+// Refund a paid order in full (less any cancellation fee); failures are logged (the refund row
+// stays retryable), never thrown
+const refundAndNotify = async (order, reason, initiatedBy, options) => {
   try {
-    console.log(`🕐 Auto-rejecting order ${orderId} due to timeout`)
+    const refund = await refundOrderInFull(order, reason, initiatedBy, options)
+    if (refund) await notifyRefundUpdate(order, refund)
+    return refund
+  } catch (err) {
+    console.error(`❌ Refund for order ${order.id} failed:`, err)
+    return null
+  }
+}
 
-    const [existing] = await db.query("SELECT * FROM orders WHERE id = ? AND status = ?", [orderId, "pending"])
-    if (existing.length === 0) {
+// A payment that completed after its order was cancelled (e.g. the customer cancelled while paying)
+// is recorded on the order and refunded in full. Returns the refund, or null when another path
+// already handled it.
+const refundPaymentAfterCancellation = async (orderId) => {
+  if (!(await claimPaymentAfterCancellation(orderId))) return null
+  const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
+  console.log(`💸 Order ${orderId} was paid after it was cancelled, refunding ₹${Number(order.total_price).toFixed(2)}`)
+  io.to(`customer_${order.customer_uid}`).emit("orderStatusUpdated", order)
+  return refundAndNotify(order, "Payment completed after the order was cancelled", "system")
+}
+
+// Send a newly payable order to its restaurant: start the acceptance deadline, emit newOrder and push FCM.
+// If the restaurant is offline or has order notifications disabled, park it as pending_restaurant_online.
+const dispatchOrderToRestaurant = async (order, { body, paymentVerified }) => {
+  const orderId = Number(order.id)
+  const [restaurantStatus] = await db.query(
+    `SELECT ro.is_online, COALESCE(rp.order_notifications, 1) as order_notifications
+     FROM restaurant_owners ro
+     LEFT JOIN restaurant_preferences rp ON ro.uid = rp.restaurant_uid
+     WHERE ro.uid = ?`,
+    [order.restaurant_uid],
+  )
+
+  if (
+    restaurantStatus.length === 0 ||
+    restaurantStatus[0].is_online !== 1 ||
+    restaurantStatus[0].order_notifications !== 1
+  ) {
+    console.log(`⚠️ Restaurant offline or notifications disabled for order ${orderId}`)
+    await transitionOrder({
+      orderId,
+      to: "pending_restaurant_online",
+      actor: "system",
+      reason: "Restaurant offline or order notifications disabled",
+    })
+    // Keep the first parked time so re-parking never extends the max wait
+    await db.query("UPDATE orders SET parked_at = COALESCE(parked_at, NOW()) WHERE id = ?", [orderId])
+    return false
+  }
+
+  // Persist the acceptance deadline; the deadline scheduler auto-rejects once it passes
+  const deadline = await startResponseDeadline(orderId, order.restaurant_uid)
+
+  io.to(`restaurant_${order.restaurant_uid}`).emit("newOrder", {
+    ...order,
+    ...deadline,
+  })
+
+  try {
+    await sendFCMNotification(order.restaurant_uid, `New Order #${orderId}`, body, {
+      type: "newOrder",
+      orderId: orderId.toString(),
+      status: "pending",
+      paymentVerified: paymentVerified ? "true" : "false",
+      paymentMethod: order.payment_method,
+    })
+  } catch (notifyErr) {
+    console.error("Failed to send FCM notification:", notifyErr)
+  }
+
+  console.log(`🎯 Restaurant ${order.restaurant_uid} notified about order ${orderId}`)
+  return true
+}
+
+// Hand orders parked while the restaurant was offline back to it, each with a fresh deadline.
+// Returns how many orders reached the restaurant.
+const releaseParkedOrders = async (restaurantUid) => {
+  const [parked] = await db.query(
+    "SELECT id FROM orders WHERE restaurant_uid = ? AND status = 'pending_restaurant_online' ORDER BY created_at ASC",
+    [restaurantUid],
+  )
+
+  let released = 0
+  for (const { id } of parked) {
+    try {
+      await transitionOrder({ orderId: id, to: "pending", actor: "system", reason: "Restaurant is back online" })
+    } catch (err) {
+      // Another instance released or cancelled it first
+      if (err instanceof OrderTransitionError) continue
+      throw err
+    }
+
+    const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [id])
+    const notified = await dispatchOrderToRestaurant(order, {
+      body: `Waiting order: ₹${Number(order.total_price).toFixed(2)}. Please accept or reject.`,
+      paymentVerified: order.payment_status === "success",
+    })
+    if (notified) released++
+
+    const [[current]] = await db.query("SELECT * FROM orders WHERE id = ?", [id])
+    io.to(`customer_${current.customer_uid}`).emit("orderStatusUpdated", current)
+  }
+
+  if (parked.length > 0) {
+    console.log(`📤 Released ${released}/${parked.length} parked orders to restaurant ${restaurantUid}`)
+  }
+  return released
+}
+
+// Cancel and refund a parked order whose restaurant never came back online, called by the deadline scheduler
+const expireParkedOrder = async (orderId) => {
+  try {
+    let transition = null
+    try {
+      transition = await transitionOrder({
+        orderId,
+        to: "cancelled",
+        actor: "system",
+        reason: "Restaurant did not come online in time",
+        where: PARKED_ORDER_EXPIRED_CONDITION,
+      })
+    } catch (err) {
+      if (!(err instanceof OrderTransitionError)) throw err
+    }
+    if (!transition) return
+
+    const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
+    io.to(`customer_${order.customer_uid}`).emit("orderStatusUpdated", order)
+    await refundAndNotify(order, "Restaurant did not come online in time", "system")
+
+    console.log(`⌛ Parked order ${orderId} cancelled after ${PARKED_ORDER_MAX_WAIT_MINUTES} minutes`)
+  } catch (err) {
+    console.error(`❌ Error expiring parked order ${orderId}:`, err)
+  }
+}
+
+// Called by the deadline scheduler for checkouts still awaiting payment after the max wait
+const expireUnpaidCheckout = async (orderId) => {
+  try {
+    if (!(await expireUnpaidOrder(orderId))) return
+
+    const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
+    io.to(`customer_${order.customer_uid}`).emit("orderStatusUpdated", order)
+
+    console.log(`⌛ Unpaid order ${orderId} cancelled after ${UNPAID_ORDER_MAX_WAIT_MINUTES} minutes`)
+  } catch (err) {
+    console.error(`❌ Error expiring unpaid order ${orderId}:`, err)
+  }
+}
+
+// Called by the operating hours scheduler when it opens or closes a restaurant
+const applyScheduledStatus = async (restaurantUid, isOnline) => {
+  try {
+    const payload = { restaurant_uid: restaurantUid, is_online: isOnline, source: "schedule" }
+    io.to(`restaurant_${restaurantUid}`).emit("restaurantStatusChanged", payload)
+    io.emit("restaurantAvailabilityChanged", payload)
+    console.log(`🕒 Restaurant ${restaurantUid} is now ${isOnline ? "online" : "offline"} (opening hours)`)
+
+    if (isOnline === 1) await releaseParkedOrders(restaurantUid)
+  } catch (err) {
+    console.error(`❌ Error applying scheduled status for ${restaurantUid}:`, err)
+  }
+}
+
+// Auto-reject function, called by the deadline scheduler for pending orders past response_deadline
+const autoRejectOrder = async (orderId) => {
+  try {
+    // Claim the order atomically: only one instance wins, and an accept that got there first sticks
+    let claim = null
+    try {
+      claim = await transitionOrder({
+        orderId,
+        to: "rejected",
+        actor: "system",
+        reason: "Order was not accepted within the time limit",
+        set: { rejection_reason: "Order was not accepted within the time limit", auto_rejected: true },
+        where: "response_deadline <= NOW()",
+      })
+    } catch (err) {
+      if (!(err instanceof OrderTransitionError)) throw err
+    }
+    if (!claim) {
       console.log(`Order ${orderId} already processed or not found`)
       return
     }
 
-    const order = existing[0]
-
-    // Update order to rejected with auto_rejected flag
-    await db.query("UPDATE orders SET status = ?, rejection_reason = ?, auto_rejected = TRUE WHERE id = ?", [
-      "rejected",
-      "Order was not accepted within the time limit",
-      orderId,
-    ])
+    console.log(`🕐 Auto-rejected order ${orderId} due to timeout`)
 
     // Get updated order data
     const [updatedRows] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
     const updatedOrder = updatedRows[0]
 
     // Emit socket events
-    io.to(`restaurant_${order.restaurant_uid}`).emit("orderAutoRejected", updatedOrder)
-    io.to(`customer_${order.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
+    io.to(`restaurant_${updatedOrder.restaurant_uid}`).emit("orderAutoRejected", updatedOrder)
+    io.to(`customer_${updatedOrder.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
 
-    // Clean up timer reference
-    orderTimers.delete(orderId)
+    await refundAndNotify(updatedOrder, "Order was not accepted within the time limit", "system")
 
     console.log(`✅ Order ${orderId} auto-rejected successfully`)
   } catch (err) {
@@ -195,10 +630,30 @@ app.get("/health/db", async (req, res) => {
   }
 })
 
+// ?is_online= and ?is_pure_veg= filter; paginated by name (default) or created_at
 app.get("/api/restaurants", async (req, res) => {
   try {
-    const [restaurants] = await db.query(`
-      SELECT 
+    const page = restaurantPages.parse(req.query)
+    const conditions = []
+    const params = []
+    const isOnline = parseBooleanFilter(req.query.is_online, "is_online")
+    if (isOnline !== null) {
+      conditions.push("is_online = ?")
+      params.push(isOnline ? 1 : 0)
+    }
+    const isPureVeg = parseBooleanFilter(req.query.is_pure_veg, "is_pure_veg")
+    if (isPureVeg !== null) {
+      conditions.push("is_pure_veg = ?")
+      params.push(isPureVeg ? 1 : 0)
+    }
+    const keyset = restaurantPages.clause(page)
+    if (keyset.where) {
+      conditions.push(keyset.where)
+      params.push(...keyset.params)
+    }
+
+    const [rows] = await db.query(
+      `SELECT 
         uid AS id,
         restaurant_name AS name,
         location,
@@ -208,32 +663,77 @@ app.get("/api/restaurants", async (req, res) => {
         created_at,
         updated_at
       FROM restaurant_owners
-      ORDER BY restaurant_name
-    `)
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ${keyset.orderBy}`,
+      [...params, keyset.limit],
+    )
+    const { items: restaurants, pagination } = restaurantPages.build(rows, page)
 
-    const mapped = restaurants.map((r) => ({
-      id: r.id,
-      name: r.name,
-      location: r.location,
-      email: r.email,
-      is_online: r.is_online,
-      is_pure_veg: r.is_pure_veg === 1, // Convert to boolean
-      imageUrl: "",
-      rating: 4.5,
-      deliveryTime: "25-30 min",
-      deliveryFee: 0,
-      isOpen: r.is_online === 1,
-      created_at: r.created_at,
-      updated_at: r.updated_at,
-    }))
+    const uids = restaurants.map((r) => r.id)
+    const [schedules, ratings] = await Promise.all([getScheduleStatuses(uids), getRatingSummaries(uids)])
+    const mapped = restaurants.map((r) => restaurantSummary(r, schedules.get(r.id), ratings.get(r.id)))
 
-    res.json({ success: true, data: { restaurants: mapped } })
+    res.json({ success: true, data: { restaurants: mapped, pagination } })
   } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "fetching restaurants")
   }
 })
 
-app.post("/api/restaurants", async (req, res) => {
+// Restaurants that deliver to a point, closest first: the point must be inside one of the restaurant's
+// delivery zones (or its delivery radius when it has none), and the restaurant within radius_km
+// (default and cap MAX_DELIVERY_RADIUS_KM). Paginated with ?limit=&cursor=. Registered before /api/restaurants/:uid so "nearby" is
+// not taken for a uid.
+app.get("/api/restaurants/nearby", async (req, res) => {
+  const latitude = Number(req.query.lat)
+  const longitude = Number(req.query.lng)
+  if (req.query.lat === undefined || req.query.lng === undefined || !isValidCoordinate(latitude, longitude)) {
+    return res.status(400).json({ success: false, error: "lat and lng must be valid coordinates" })
+  }
+
+  const radiusKm = req.query.radius_km === undefined ? MAX_DELIVERY_RADIUS_KM : Number(req.query.radius_km)
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_DELIVERY_RADIUS_KM) {
+    return res.status(400).json({
+      success: false,
+      error: `radius_km must be greater than 0 and at most ${MAX_DELIVERY_RADIUS_KM}`,
+    })
+  }
+
+  try {
+    const page = rankedPages.parse(req.query)
+    const { items: restaurants, pagination } = rankedPages.build(
+      await findDeliveringRestaurants(latitude, longitude, radiusKm),
+      page,
+    )
+
+    const uids = restaurants.map((r) => r.id)
+    const [schedules, ratings] = await Promise.all([getScheduleStatuses(uids), getRatingSummaries(uids)])
+    const mapped = restaurants.map((r) => {
+      const summary = restaurantSummary(r, schedules.get(r.id), ratings.get(r.id))
+      const eta = r.distance_km === null ? null : estimateDeliveryTime(r.distance_km)
+      return {
+        ...summary,
+        deliveryTime: eta ? eta.label : null,
+        deliveryFee: r.zone?.delivery_fee ?? summary.deliveryFee,
+        distance_km: r.distance_km === null ? null : Math.round(r.distance_km * 100) / 100,
+        delivery_radius_km: r.delivery_radius_km,
+        delivery_zone: r.zone ? { id: r.zone.id, name: r.zone.name, min_order_value: r.zone.min_order_value } : null,
+        estimated_delivery_minutes: eta ? { min: eta.min, max: eta.max } : null,
+      }
+    })
+
+    res.json({ success: true, data: { restaurants: mapped, radius_km: radiusKm, pagination } })
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "fetching nearby restaurants")
+  }
+})
+
+app.post("/api/restaurants", authenticate, requireSelf((req) => req.body?.uid), async (req, res) => {
   const { uid, restaurant_name, location, email, is_pure_veg } = req.body
 
   if (!uid || !restaurant_name || !location || !email) {
@@ -300,10 +800,16 @@ app.get("/api/restaurants/:uid", async (req, res) => {
       })
     }
 
+    const { hours, closures } = (await getSchedules([trimmedUid])).get(trimmedUid)
+    const ratings = (await getRatingSummaries([trimmedUid])).get(trimmedUid)
     const restaurant = {
       ...rows[0],
       is_pure_veg: rows[0].is_pure_veg === 1, // Convert to boolean
       isOpen: rows[0].is_online === 1,
+      ...scheduleFields(computeScheduleStatus(hours, closures)),
+      ...ratingFields(ratings),
+      rating_summary: ratings,
+      hours,
     }
     res.json({ success: true, restaurant, data: { restaurant } })
   } catch (err) {
@@ -311,7 +817,7 @@ app.get("/api/restaurants/:uid", async (req, res) => {
   }
 })
 
-app.put("/api/restaurants/:uid", async (req, res) => {
+app.put("/api/restaurants/:uid", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { restaurant_name, location, email, is_pure_veg } = req.body
 
   if (!restaurant_name || !location || !email || is_pure_veg === undefined) {
@@ -369,27 +875,39 @@ app.get("/api/restaurants/:uid/geo-location", async (req, res) => {
         error: `Restaurant not found for UID: ${trimmedUid}`,
       });
     }
-    res.json({ success: true, data: rows[0] });
+    const { delivery_radius_km } = await getServiceArea(trimmedUid);
+    res.json({ success: true, data: { ...rows[0], delivery_radius_km } });
   } catch (err) {
     handleError(res, err, "fetching geo location");
   }
 });
 //lat&long update
 
-app.put("/api/restaurants/:uid/geo-location", async (req, res) => {
-  const {  latitude, longitude } = req.body;
-  if ( latitude === undefined || longitude === undefined) {
+app.put("/api/restaurants/:uid/geo-location", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const { latitude, longitude, delivery_radius_km } = req.body;
+  if (!isValidCoordinate(latitude, longitude)) {
+    return res.status(400).json({
+      success: false,
+      error: "latitude and longitude must be valid coordinates",
+    });
+  }
+  // Optional; null resets the restaurant to the platform default radius
+  if (
+    delivery_radius_km !== undefined &&
+    delivery_radius_km !== null &&
+    (typeof delivery_radius_km !== "number" || delivery_radius_km <= 0 || delivery_radius_km > MAX_DELIVERY_RADIUS_KM)
+  ) {
     return res.status(400).json({
       success: false,
-      error: " latitude, and longitude are required",
+      error: `delivery_radius_km must be greater than 0 and at most ${MAX_DELIVERY_RADIUS_KM}, or null`,
     });
   }
   try {
     const trimmedUid = req.params.uid.trim();
     await validateRestaurantUid(trimmedUid);
     const [result] = await db.query(
-      "UPDATE restaurant_owners SET  latitude = ?, longitude = ?, updated_at = NOW() WHERE uid = ?",
-      [location.trim(), latitude, longitude, trimmedUid]
+      "UPDATE restaurant_owners SET latitude = ?, longitude = ?, updated_at = NOW() WHERE uid = ?",
+      [latitude, longitude, trimmedUid]
     );
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -397,16 +915,202 @@ app.put("/api/restaurants/:uid/geo-location", async (req, res) => {
         error: `Restaurant not found for UID: ${trimmedUid}`,
       });
     }
+    if (delivery_radius_km !== undefined) {
+      await db.query(
+        `INSERT INTO restaurant_preferences (restaurant_uid, delivery_radius_km, updated_at)
+         VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE delivery_radius_km = VALUES(delivery_radius_km), updated_at = NOW()`,
+        [trimmedUid, delivery_radius_km]
+      );
+    }
     res.json({
       success: true,
       message: "Geo location updated successfully",
+      data: { latitude, longitude, delivery_radius_km: (await getServiceArea(trimmedUid)).delivery_radius_km },
     });
   } catch (err) {
     handleError(res, err, "updating geo location");
   }
 });
 
-app.put("/api/restaurants/:uid/status", async (req, res) => {
+// Polygon delivery zones; once a restaurant has an active zone it only delivers inside its zones
+const zoneOwnerOrAdmin = requireSelfOrAdminPermission((req) => req.params.uid, "delivery_zones:manage")
+
+app.get("/api/restaurants/:uid/delivery-zones", authenticate, zoneOwnerOrAdmin, async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    res.json({ success: true, data: { zones: await listDeliveryZones(trimmedUid) } })
+  } catch (err) {
+    handleError(res, err, "fetching delivery zones")
+  }
+})
+
+app.post("/api/restaurants/:uid/delivery-zones", authenticate, zoneOwnerOrAdmin, async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const zone = await saveDeliveryZone(trimmedUid, normalizeZoneInput(req.body || {}), { createdBy: req.user.uid })
+    res.status(201).json({ success: true, data: { zone }, message: "Delivery zone created" })
+  } catch (err) {
+    if (err instanceof ServiceAreaError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "creating delivery zone")
+  }
+})
+
+app.put("/api/restaurants/:uid/delivery-zones/:id", authenticate, zoneOwnerOrAdmin, async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const zone = await saveDeliveryZone(trimmedUid, normalizeZoneInput(req.body || {}), { id: Number(req.params.id) })
+    res.json({ success: true, data: { zone }, message: "Delivery zone updated" })
+  } catch (err) {
+    if (err instanceof ServiceAreaError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating delivery zone")
+  }
+})
+
+app.delete("/api/restaurants/:uid/delivery-zones/:id", authenticate, zoneOwnerOrAdmin, async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    await deleteDeliveryZone(trimmedUid, Number(req.params.id))
+    res.json({ success: true, message: "Delivery zone deleted" })
+  } catch (err) {
+    if (err instanceof ServiceAreaError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "deleting delivery zone")
+  }
+})
+
+// Weekly opening hours, upcoming closures and where the restaurant stands right now
+app.get("/api/restaurants/:uid/hours", async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const { hours, closures } = (await getSchedules([trimmedUid])).get(trimmedUid)
+    res.json({ success: true, data: { hours, closures, status: computeScheduleStatus(hours, closures) } })
+  } catch (err) {
+    handleError(res, err, "fetching opening hours")
+  }
+})
+
+// Replace the weekly hours; an empty array turns automatic scheduling off
+app.put("/api/restaurants/:uid/hours", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  let slots
+  try {
+    slots = normalizeWeeklyHours(req.body?.hours)
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ success: false, error: err.message })
+  }
+
+  let connection
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+    await replaceWeeklyHours(connection, trimmedUid, slots)
+    await connection.commit()
+
+    const { hours, closures } = (await getSchedules([trimmedUid])).get(trimmedUid)
+    res.json({
+      success: true,
+      message: "Opening hours updated",
+      data: { hours, status: computeScheduleStatus(hours, closures) },
+    })
+  } catch (err) {
+    if (connection) await connection.rollback()
+    handleError(res, err, "updating opening hours")
+  } finally {
+    if (connection) connection.release()
+  }
+})
+
+app.post("/api/restaurants/:uid/closures", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const { starts_at, ends_at, reason } = req.body || {}
+  const startsAt = new Date(starts_at)
+  const endsAt = new Date(ends_at)
+
+  if (!starts_at || !ends_at || Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    return res.status(400).json({ success: false, error: "starts_at and ends_at must be valid dates" })
+  }
+  if (endsAt <= startsAt) {
+    return res.status(400).json({ success: false, error: "ends_at must be after starts_at" })
+  }
+  if (endsAt <= new Date()) {
+    return res.status(400).json({ success: false, error: "The closure has already ended" })
+  }
+
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const [result] = await db.query(
+      "INSERT INTO restaurant_closures (restaurant_uid, starts_at, ends_at, reason) VALUES (?, ?, ?, ?)",
+      [trimmedUid, startsAt, endsAt, typeof reason === "string" ? reason.trim().slice(0, 255) || null : null],
+    )
+    const [[closure]] = await db.query("SELECT * FROM restaurant_closures WHERE id = ?", [result.insertId])
+    res.status(201).json({ success: true, message: "Closure added", data: { closure } })
+  } catch (err) {
+    handleError(res, err, "adding closure")
+  }
+})
+
+app.delete("/api/restaurants/:uid/closures/:id", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const [result] = await db.query("DELETE FROM restaurant_closures WHERE id = ? AND restaurant_uid = ?", [
+      req.params.id,
+      req.params.uid.trim(),
+    ])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: "Closure not found" })
+    }
+    res.json({ success: true, message: "Closure removed" })
+  } catch (err) {
+    handleError(res, err, "removing closure")
+  }
+})
+
+// Visible reviews, newest first, with the rating summary shown in listings
+app.get("/api/restaurants/:uid/reviews", async (req, res) => {
+  try {
+    const page = reviewPages.parse(req.query)
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const [{ reviews: rows }, ratings] = await Promise.all([
+      listReviews({ restaurantUid: trimmedUid, keyset: reviewPages.clause(page) }),
+      getRatingSummaries([trimmedUid]),
+    ])
+    const { items: reviews, pagination } = reviewPages.build(rows, page)
+    res.json({ success: true, data: { reviews, summary: ratings.get(trimmedUid), pagination } })
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "fetching reviews")
+  }
+})
+
+app.put("/api/restaurants/:uid/reviews/:reviewId/reply", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const review = await replyToReview(req.params.uid.trim(), Number(req.params.reviewId), req.body?.reply)
+    io.to(`customer_${review.customer_uid}`).emit("reviewReplied", { order_id: review.order_id, review })
+    res.json({ success: true, message: "Reply saved", data: { review } })
+  } catch (err) {
+    if (err instanceof ReviewError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "replying to review")
+  }
+})
+
+app.put("/api/restaurants/:uid/status", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { is_online } = req.body
   if (is_online === undefined || is_online === null) {
     return res.status(400).json({
@@ -435,11 +1139,16 @@ app.put("/api/restaurants/:uid/status", async (req, res) => {
     const [updated] = await db.query("SELECT * FROM restaurant_owners WHERE uid = ?", [trimmedUid])
     console.log(`Restaurant ${trimmedUid} updated, is_online: ${updated[0].is_online}`)
 
+    io.emit("restaurantAvailabilityChanged", { restaurant_uid: trimmedUid, is_online: isOnlineValue, source: "manual" })
+
+    // Orders paid while the restaurant was offline are replayed to it now
+    const releasedOrders = isOnlineValue === 1 ? await releaseParkedOrders(trimmedUid) : 0
+
     res.json({
       success: true,
       message: "Restaurant status updated successfully",
       restaurant: updated[0],
-      data: { restaurant: updated[0] },
+      data: { restaurant: updated[0], released_orders: releasedOrders },
     })
   } catch (err) {
     handleError(res, err, "updating restaurant status")
@@ -448,13 +1157,37 @@ app.put("/api/restaurants/:uid/status", async (req, res) => {
 
 // Add this new endpoint after the existing /api/restaurants endpoint in server.js
 
+// ?category_id= narrows to restaurants with dishes tagged with that food category; paginated like
+// /api/restaurants
 app.get("/api/restaurants-with-menu-categories", async (req, res) => {
   try {
     const { category_id } = req.query
+    const page = restaurantPages.parse(req.query)
+    const conditions = []
+    const params = []
+    let dishesByRestaurant = null
 
-    // Get all restaurants first
-    const [restaurants] = await db.query(`
-      SELECT 
+    // With a category filter, keep restaurants with available dishes tagged with it (unknown or
+    // inactive categories leave the list unfiltered)
+    if (category_id) {
+      const foodCategory = await getFoodCategory(category_id)
+      if (foodCategory) {
+        dishesByRestaurant = await findTaggedDishes(foodCategory.id)
+        if (dishesByRestaurant.size === 0) {
+          return res.json({ success: true, data: { restaurants: [], pagination: restaurantPages.build([], page).pagination } })
+        }
+        conditions.push("uid IN (?)")
+        params.push([...dishesByRestaurant.keys()])
+      }
+    }
+    const keyset = restaurantPages.clause(page)
+    if (keyset.where) {
+      conditions.push(keyset.where)
+      params.push(...keyset.params)
+    }
+
+    const [rows] = await db.query(
+      `SELECT 
         uid AS id,
         restaurant_name AS name,
         location,
@@ -464,154 +1197,95 @@ app.get("/api/restaurants-with-menu-categories", async (req, res) => {
         created_at,
         updated_at
       FROM restaurant_owners
-      ORDER BY restaurant_name
-    `)
-
-    let filteredRestaurants = restaurants
-
-    // If category filter is applied, filter by menu items
-    if (category_id) {
-      const categoryKeywords = getCategoryKeywords(category_id)
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ${keyset.orderBy}`,
+      [...params, keyset.limit],
+    )
+    const { items: restaurants, pagination } = restaurantPages.build(rows, page)
 
-      if (categoryKeywords.length > 0) {
-        const keywordConditions = categoryKeywords
-          .map(() => "(LOWER(m.name) LIKE ? OR LOWER(m.description) LIKE ? OR LOWER(m.category) LIKE ?)")
-          .join(" OR ")
+    const uids = restaurants.map((r) => r.id)
+    const [schedules, ratings] = await Promise.all([getScheduleStatuses(uids), getRatingSummaries(uids)])
+    const mapped = restaurants.map((r) => ({
+      ...restaurantSummary(r, schedules.get(r.id), ratings.get(r.id)),
+      ...(dishesByRestaurant ? { matching_dishes: dishesByRestaurant.get(r.id) } : {}),
+    }))
 
-        const keywordParams = []
-        categoryKeywords.forEach((keyword) => {
-          const pattern = `%${keyword.toLowerCase()}%`
-          keywordParams.push(pattern, pattern, pattern)
-        })
+    res.json({ success: true, data: { restaurants: mapped, pagination } })
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "fetching restaurants with menu categories")
+  }
+})
 
-        const [restaurantsWithMenuItems] = await db.query(
-          `
-          SELECT DISTINCT r.uid
-          FROM restaurant_owners r
-          JOIN menu_items1 m ON r.uid = m.restaurant_uid
-          WHERE m.is_available = 1 AND m.is_deleted = 0 AND (${keywordConditions})
-        `,
-          keywordParams,
-        )
+// Search restaurants and dishes: exact > prefix (autocomplete) > typo-tolerant matches, boosted by
+// rating and online status. type=restaurant|dish narrows the results, veg=true keeps veg only.
+// Paginated with ?limit=&cursor=.
+app.get("/api/search", async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : ""
+  const type = req.query.type || "all"
+  if (!q || q.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ success: false, error: `q is required (at most ${MAX_QUERY_LENGTH} characters)` })
+  }
+  if (!SEARCH_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `type must be one of: ${SEARCH_TYPES.join(", ")}` })
+  }
 
-        const validRestaurantIds = new Set(restaurantsWithMenuItems.map((r) => r.uid))
-        filteredRestaurants = restaurants.filter((r) => validRestaurantIds.has(r.id))
-      }
-    }
+  try {
+    const page = rankedPages.parse(req.query)
+    const { items: results, pagination } = rankedPages.build(
+      await searchCatalog(q, { type, vegOnly: req.query.veg === "true" }),
+      page,
+    )
 
-    const mapped = filteredRestaurants.map((r) => ({
+    // The index may be a minute old; show current online status
+    const uids = [...new Set(results.map((r) => (r.type === "restaurant" ? r.id : r.restaurant.id)))]
+    const [statusRows] = uids.length
+      ? await db.query("SELECT uid, is_online FROM restaurant_owners WHERE uid IN (?)", [uids])
+      : [[]]
+    const online = new Map(statusRows.map((row) => [row.uid, row.is_online === 1]))
+    const restaurantCard = (r) => ({
       id: r.id,
       name: r.name,
       location: r.location,
-      email: r.email,
-      is_online: r.is_online,
-      is_pure_veg: r.is_pure_veg === 1,
-      imageUrl: "",
-      rating: 4.5,
-      deliveryTime: "25-30 min",
-      deliveryFee: 0,
-      isOpen: r.is_online === 1,
-      created_at: r.created_at,
-      updated_at: r.updated_at,
-    }))
+      is_pure_veg: r.is_pure_veg,
+      isOpen: online.get(r.id) ?? r.is_online,
+      ...ratingFields(r.rating),
+    })
+
+    const mapped = results.map((r) =>
+      r.type === "restaurant"
+        ? { type: r.type, ...restaurantCard(r), match: r.match, score: r.score }
+        : {
+            type: r.type,
+            id: r.id,
+            name: r.name,
+            description: r.description,
+            category: r.category,
+            price: r.price,
+            image_url: r.image_url,
+            food_type: r.food_type,
+            restaurant: restaurantCard(r.restaurant),
+            match: r.match,
+            score: r.score,
+          },
+    )
 
-    res.json({ success: true, data: { restaurants: mapped } })
+    res.json({ success: true, data: { query: q, results: mapped, pagination } })
   } catch (err) {
-    handleError(res, err, "fetching restaurants with menu categories")
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "searching")
   }
 })
 
-// Add this helper function after the endpoint
-function getCategoryKeywords(categoryId) {
-  const categories = {
-    chicken: ["chicken", "poultry", "tandoori", "butter chicken", "grilled chicken", "fried chicken"],
-    pizza: ["pizza", "margherita", "pepperoni", "cheese pizza", "italian"],
-    biryani: ["biryani", "pulao", "dum biryani", "hyderabadi", "lucknowi", "kolkata biriyani"],
-    thali: [
-      "thali",
-      "complete meal",
-      "unlimited",
-      "gujarati",
-      "rajasthani",
-      "south indian thali",
-      "north indian thali",
-      "veg thali",
-      "chicken thali",
-      "mutton thali",
-      "egg thali",
-      "fish thali",
-    ],
-    chinese: ["chinese", "noodles", "fried rice", "manchurian", "chowmein", "hakka", "szechuan"],
-    "north-indian": ["roti", "naan", "dal makhani", "paneer", "curry", "punjabi"],
-    paneer: ["paneer", "cottage cheese", "palak paneer", "matar paneer", "kadai paneer"],
-    "chole-bhatura": ["chole", "bhatura", "chickpea", "punjabi"],
-  }
-  return categories[categoryId] || []
-}
-app.get("/api/food-categories", (req, res) => {
-  try {
-    const categories = [
-      {
-        id: "chicken",
-        name: "Chicken",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f414.png",
-        searchKeywords: [
-          "chicken",
-          "poultry",
-          "fried chicken",
-          "grilled chicken",
-          "tandoori",
-          "butter chicken",
-          "non-veg",
-        ],
-      },
-      {
-        id: "pizza",
-        name: "Pizza",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f355.png",
-        searchKeywords: ["pizza", "italian", "cheese", "margherita", "pepperoni", "dominos", "pizza hut"],
-      },
-      {
-        id: "biryani",
-        name: "Biryani",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f35b.png",
-        searchKeywords: ["biryani", "pulao", "rice", "hyderabadi", "lucknowi", "dum", "mutton", "chicken biryani"],
-      },
-      {
-        id: "thali",
-        name: "Thali",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f372.png",
-        searchKeywords: ["thali", "gujarati", "rajasthani", "unlimited", "complete meal", "dal", "sabji"],
-      },
-      {
-        id: "chinese",
-        name: "Chinese",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f35c.png",
-        searchKeywords: ["chinese", "noodles", "fried rice", "manchurian", "chowmein", "hakka", "szechuan"],
-      },
-      {
-        id: "north-indian",
-        name: "North Indian",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f35b.png",
-        searchKeywords: ["north indian", "punjabi", "roti", "naan", "dal makhani", "paneer", "curry"],
-      },
-      {
-        id: "paneer",
-        name: "Paneer",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1f9c0.png",
-        searchKeywords: ["paneer", "cottage cheese", "palak paneer", "matar paneer", "kadai paneer", "vegetarian"],
-      },
-      {
-        id: "chole-bhatura",
-        name: "Chole Bhatura",
-        imageUrl: "https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/72x72/1fad3.png",
-        searchKeywords: ["chole", "bhatura", "punjabi", "chickpea", "spicy", "fried bread"],
-      },
-    ]
-
+app.get("/api/food-categories", async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: { categories },
+      data: { categories: await listFoodCategories() },
     })
   } catch (err) {
     handleError(res, err, "fetching food categories")
@@ -631,8 +1305,11 @@ app.get("/api/categories", async (req, res) => {
   }
 })
 
-app.post("/api/categories", async (req, res) => {
-  const { name, restaurant_uid } = req.body
+// GST percent for a category: null (platform default) or 0-28
+const isValidGstRate = (value) => value === null || (typeof value === "number" && value >= 0 && value <= 28)
+
+app.post("/api/categories", authenticate, requireSelf((req) => req.body?.restaurant_uid), async (req, res) => {
+  const { name, restaurant_uid, gst_rate = null } = req.body
 
   if (!name || !restaurant_uid) {
     return res.status(400).json({
@@ -640,14 +1317,21 @@ app.post("/api/categories", async (req, res) => {
       error: "Name and restaurant UID are required",
     })
   }
+  if (!isValidGstRate(gst_rate)) {
+    return res.status(400).json({
+      success: false,
+      error: "gst_rate must be a number between 0 and 28, or null for the platform rate",
+    })
+  }
 
   try {
     const trimmedUid = restaurant_uid.trim()
     await validateRestaurantUid(trimmedUid)
 
-    const [result] = await db.query("INSERT INTO categories1 (name, restaurant_uid) VALUES (?, ?)", [
+    const [result] = await db.query("INSERT INTO categories1 (name, restaurant_uid, gst_rate) VALUES (?, ?, ?)", [
       name.trim(),
       trimmedUid,
+      gst_rate,
     ])
 
     const [inserted] = await db.query("SELECT * FROM categories1 WHERE id = ?", [result.insertId])
@@ -669,11 +1353,76 @@ app.post("/api/categories", async (req, res) => {
   }
 })
 
-app.post("/api/menu", async (req, res) => {
-  const { name, description, price, category, restaurant_uid, is_available = 1, image_url, food_type = 0 } = req.body
+app.patch("/api/categories/:id/gst-rate", authenticate, requireSelf((req) => req.query.restaurant_uid), async (req, res) => {
+  const { gst_rate } = req.body || {}
+  const restaurant_uid = req.query.restaurant_uid?.trim()
+  if (gst_rate === undefined || !restaurant_uid) {
+    return res.status(400).json({ success: false, error: "gst_rate and restaurant_uid are required" })
+  }
+  if (!isValidGstRate(gst_rate)) {
+    return res.status(400).json({
+      success: false,
+      error: "gst_rate must be a number between 0 and 28, or null for the platform rate",
+    })
+  }
+  try {
+    await validateRestaurantUid(restaurant_uid)
+    const [result] = await db.query("UPDATE categories1 SET gst_rate = ? WHERE id = ? AND restaurant_uid = ?", [
+      gst_rate,
+      req.params.id,
+      restaurant_uid,
+    ])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: "Category not found" })
+    }
+    res.json({ success: true, message: "GST rate updated", data: { gst_rate } })
+  } catch (err) {
+    handleError(res, err, "updating category GST rate")
+  }
+})
+
+// Attach modifier groups (and the flat legacy add_ons list) and food category tags to menu item rows
+const withMenuDetails = async (items) => {
+  const ids = items.map((item) => item.id)
+  const [groupsByItem, tagsByItem] = await Promise.all([getModifierGroups(ids), getMenuItemTags(ids)])
+  return items.map((item) => {
+    const modifierGroups = groupsByItem.get(item.id) || []
+    return {
+      ...item,
+      modifier_groups: modifierGroups,
+      add_ons: flattenAddOns(modifierGroups),
+      tags: tagsByItem.get(item.id) || [],
+    }
+  })
+}
+
+app.post("/api/menu", authenticate, requireSelf((req) => req.body?.restaurant_uid), async (req, res) => {
+  const {
+    name,
+    description,
+    price,
+    category,
+    restaurant_uid,
+    is_available = 1,
+    image_url,
+    food_type = 0,
+    packing_charge = null,
+    modifier_groups,
+    tags = [],
+  } = req.body
   if (!name || !category || !restaurant_uid || price === undefined || food_type === undefined) {
     return res.status(400).json({ success: false, error: "Missing required fields" })
   }
+  if (packing_charge !== null && (typeof packing_charge !== "number" || packing_charge < 0)) {
+    return res.status(400).json({ success: false, error: "packing_charge must be a non-negative number or null" })
+  }
+  let modifierGroups
+  try {
+    modifierGroups = normalizeModifierGroups(modifier_groups)
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ success: false, error: err.message })
+  }
+  let connection
   try {
     await validateRestaurantUid(restaurant_uid)
     const [categoryExists] = await db.query("SELECT id FROM categories1 WHERE name = ? AND restaurant_uid = ?", [
@@ -683,9 +1432,13 @@ app.post("/api/menu", async (req, res) => {
     if (categoryExists.length === 0) {
       return res.status(400).json({ success: false, error: "Category does not exist" })
     }
-    const [result] = await db.query(
-      `INSERT INTO menu_items1 (name, description, price, category, restaurant_uid, is_available, image_url, food_type, is_deleted)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+    const tagIds = await resolveTagIds(db, tags)
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+    const [result] = await connection.query(
+      `INSERT INTO menu_items1
+        (name, description, price, category, restaurant_uid, is_available, image_url, food_type, packing_charge, is_deleted)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
       [
         name.trim(),
         description || null,
@@ -695,12 +1448,28 @@ app.post("/api/menu", async (req, res) => {
         is_available ? 1 : 0,
         image_url || null,
         Number(food_type),
+        packing_charge,
       ],
     )
+    await saveModifierGroups(connection, result.insertId, modifierGroups)
+    await replaceMenuItemTags(connection, result.insertId, tagIds)
+    await connection.commit()
     const [inserted] = await db.query("SELECT * FROM menu_items1 WHERE id = ?", [result.insertId])
-    res.status(201).json({ success: true, message: "Menu item created", item: inserted[0] })
+    const [item] = await withMenuDetails(inserted)
+    res.status(201).json({
+      success: true,
+      message: "Menu item created",
+      item,
+      suggested_tags: await suggestMenuItemTags(item),
+    })
   } catch (err) {
+    if (connection) await connection.rollback()
+    if (err instanceof MenuTagError || err instanceof ModifierError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "creating menu item")
+  } finally {
+    if (connection) connection.release()
   }
 })
 
@@ -719,20 +1488,21 @@ app.get("/api/menu", async (req, res) => {
         price, 
         category, 
         is_available, 
-        add_ons, 
         image_url, 
         restaurant_uid,
-        food_type
+        food_type,
+        packing_charge
       FROM menu_items1 
       WHERE restaurant_uid = ? AND is_deleted = 0
       ORDER BY category, name`,
       [trimmedUid],
     )
-    const mapped = items.map((item) => ({
+    const thumbs = await getItemThumbs(items.map((item) => item.id))
+    const mapped = (await withMenuDetails(items)).map((item) => ({
       ...item,
-      add_ons: parseJsonSafe(item.add_ons, []),
       is_available: item.is_available === 1,
       food_type: item.food_type, // Included as int (0 or 1)
+      thumbs: thumbs.get(item.id) || { up: 0, down: 0 },
     }))
     res.json({ success: true, data: { items: mapped } })
   } catch (err) {
@@ -740,6 +1510,53 @@ app.get("/api/menu", async (req, res) => {
   }
 })
 
+// Keyword-based tag suggestions for a dish being created or edited; registered before /api/menu/:id
+app.get("/api/menu/tag-suggestions", async (req, res) => {
+  const { name, description, category } = req.query
+  if (!name || typeof name !== "string") {
+    return res.status(400).json({ success: false, error: "name is required" })
+  }
+  try {
+    res.json({ success: true, data: { tags: await suggestMenuItemTags({ name, description, category }) } })
+  } catch (err) {
+    handleError(res, err, "suggesting menu tags")
+  }
+})
+
+// Replace a menu item's food category tags
+app.put("/api/menu/:id/tags", authenticate, requireSelf((req) => req.body?.restaurant_uid), async (req, res) => {
+  const { restaurant_uid, tags } = req.body || {}
+  if (!restaurant_uid || tags === undefined) {
+    return res.status(400).json({ success: false, error: "restaurant_uid and tags are required" })
+  }
+  let connection
+  try {
+    const tagIds = await resolveTagIds(db, tags)
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+    const [items] = await connection.query(
+      "SELECT * FROM menu_items1 WHERE id = ? AND restaurant_uid = ? AND is_deleted = 0 FOR UPDATE",
+      [req.params.id, restaurant_uid.trim()],
+    )
+    if (items.length === 0) {
+      await connection.rollback()
+      return res.status(404).json({ success: false, error: "Menu item not found or deleted" })
+    }
+    await replaceMenuItemTags(connection, items[0].id, tagIds)
+    await connection.commit()
+    const [item] = await withMenuDetails(items)
+    res.json({ success: true, message: "Menu item tags updated", data: { item_id: item.id, tags: item.tags } })
+  } catch (err) {
+    if (connection) await connection.rollback()
+    if (err instanceof MenuTagError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating menu item tags")
+  } finally {
+    if (connection) connection.release()
+  }
+})
+
 app.get("/api/menu/:id", async (req, res) => {
   const { id } = req.params
   try {
@@ -751,10 +1568,10 @@ app.get("/api/menu/:id", async (req, res) => {
         price, 
         category, 
         is_available, 
-        add_ons, 
         image_url, 
         restaurant_uid,
-        food_type
+        food_type,
+        packing_charge
       FROM menu_items1 
       WHERE id = ? AND is_deleted = 0`,
       [id],
@@ -762,10 +1579,9 @@ app.get("/api/menu/:id", async (req, res) => {
     if (items.length === 0) {
       return res.status(404).json({ success: false, error: "Menu item not found" })
     }
-    const item = items[0]
+    const [item] = await withMenuDetails(items)
     const mappedItem = {
       ...item,
-      add_ons: parseJsonSafe(item.add_ons, []),
       is_available: item.is_available === 1,
       food_type: item.food_type, // Included as int (0 or 1)
     }
@@ -775,11 +1591,34 @@ app.get("/api/menu/:id", async (req, res) => {
   }
 })
 
-app.put("/api/menu/:id", async (req, res) => {
-  const { name, description, price, category, restaurant_uid, is_available = 1, image_url, food_type = 0 } = req.body
+app.put("/api/menu/:id", authenticate, requireSelf((req) => req.body?.restaurant_uid), async (req, res) => {
+  const {
+    name,
+    description,
+    price,
+    category,
+    restaurant_uid,
+    is_available = 1,
+    image_url,
+    food_type = 0,
+    packing_charge = null,
+    modifier_groups,
+    tags,
+  } = req.body
   if (!name || !category || !restaurant_uid || price === undefined || food_type === undefined) {
     return res.status(400).json({ success: false, error: "Missing required fields" })
   }
+  if (packing_charge !== null && (typeof packing_charge !== "number" || packing_charge < 0)) {
+    return res.status(400).json({ success: false, error: "packing_charge must be a non-negative number or null" })
+  }
+  // modifier_groups and tags replace the stored ones when present; omit them to leave them untouched
+  let modifierGroups = null
+  try {
+    if (modifier_groups !== undefined) modifierGroups = normalizeModifierGroups(modifier_groups)
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ success: false, error: err.message })
+  }
+  let connection
   try {
     await validateRestaurantUid(restaurant_uid)
     const [categoryExists] = await db.query("SELECT id FROM categories1 WHERE name = ? AND restaurant_uid = ?", [
@@ -789,8 +1628,12 @@ app.put("/api/menu/:id", async (req, res) => {
     if (categoryExists.length === 0) {
       return res.status(400).json({ success: false, error: "Category does not exist" })
     }
-    const [result] = await db.query(
-      `UPDATE menu_items1 SET name=?, description=?, price=?, category=?, is_available=?, image_url=?, food_type=?
+    const tagIds = tags === undefined ? null : await resolveTagIds(db, tags)
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+    const [result] = await connection.query(
+      `UPDATE menu_items1 SET name=?, description=?, price=?, category=?, is_available=?, image_url=?, food_type=?,
+         packing_charge=?
        WHERE id=? AND restaurant_uid=? AND is_deleted=0`,
       [
         name.trim(),
@@ -800,20 +1643,64 @@ app.put("/api/menu/:id", async (req, res) => {
         is_available ? 1 : 0,
         image_url || null,
         Number(food_type),
+        packing_charge,
         req.params.id,
         restaurant_uid,
       ],
     )
-    if (result.affectedRows === 0)
+    if (result.affectedRows === 0) {
+      await connection.rollback()
       return res.status(404).json({ success: false, error: "Menu item not found or deleted" })
+    }
+    if (modifierGroups) await saveModifierGroups(connection, req.params.id, modifierGroups)
+    if (tagIds) await replaceMenuItemTags(connection, req.params.id, tagIds)
+    await connection.commit()
     const [updated] = await db.query("SELECT * FROM menu_items1 WHERE id=? AND is_deleted=0", [req.params.id])
-    res.json({ success: true, message: "Menu item updated", item: updated[0] })
+    const [item] = await withMenuDetails(updated)
+    res.json({ success: true, message: "Menu item updated", item, suggested_tags: await suggestMenuItemTags(item) })
   } catch (err) {
+    if (connection) await connection.rollback()
+    if (err instanceof MenuTagError || err instanceof ModifierError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "updating menu item")
+  } finally {
+    if (connection) connection.release()
   }
 })
 
-app.patch("/api/menu/:id/availability", async (req, res) => {
+// Toggle a single variant/add-on option, e.g. when the restaurant runs out of an extra
+app.patch(
+  "/api/menu/:id/modifier-options/:optionId/availability",
+  authenticate,
+  requireSelf((req) => req.query.restaurant_uid),
+  async (req, res) => {
+    const { is_available } = req.body
+    const restaurant_uid = req.query.restaurant_uid?.trim()
+    if (is_available === undefined || !restaurant_uid) {
+      return res.status(400).json({ success: false, error: "is_available and restaurant_uid are required" })
+    }
+    try {
+      await validateRestaurantUid(restaurant_uid)
+      const [result] = await db.query(
+        `UPDATE menu_modifier_options o
+         JOIN menu_modifier_groups g ON o.group_id = g.id
+         JOIN menu_items1 m ON g.menu_item_id = m.id
+         SET o.is_available = ?
+         WHERE o.id = ? AND m.id = ? AND m.restaurant_uid = ? AND m.is_deleted = 0`,
+        [is_available ? 1 : 0, req.params.optionId, req.params.id, restaurant_uid],
+      )
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, error: "Modifier option not found" })
+      }
+      res.json({ success: true, message: "Option availability updated", is_available: is_available ? 1 : 0 })
+    } catch (err) {
+      handleError(res, err, "updating option availability")
+    }
+  },
+)
+
+app.patch("/api/menu/:id/availability", authenticate, requireSelf((req) => req.query.restaurant_uid), async (req, res) => {
   const { is_available } = req.body
   const restaurant_uid = req.query.restaurant_uid?.trim()
   if (is_available === undefined || !restaurant_uid) {
@@ -834,7 +1721,7 @@ app.patch("/api/menu/:id/availability", async (req, res) => {
   }
 })
 
-app.delete("/api/menu/:id", async (req, res) => {
+app.delete("/api/menu/:id", authenticate, requireSelf((req) => req.query.restaurant_uid), async (req, res) => {
   const restaurant_uid = req.query.restaurant_uid?.trim()
   if (!restaurant_uid) {
     return res.status(400).json({ success: false, error: "Restaurant UID is required" })
@@ -866,7 +1753,7 @@ app.delete("/api/menu/:id", async (req, res) => {
   }
 })
 
-app.post("/api/customers", async (req, res) => {
+app.post("/api/customers", authenticate, requireSelf((req) => req.body?.uid), async (req, res) => {
   const { uid, name, email, phone, addresses } = req.body || {}
 
   if (!uid || !name || !email) {
@@ -901,7 +1788,7 @@ app.post("/api/customers", async (req, res) => {
   }
 })
 
-app.get("/api/customers/:uid", async (req, res) => {
+app.get("/api/customers/:uid", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   try {
     const [rows] = await db.query("SELECT * FROM customers WHERE uid = ?", [req.params.uid])
     if (rows.length === 0) {
@@ -915,7 +1802,7 @@ app.get("/api/customers/:uid", async (req, res) => {
   }
 })
 
-app.post("/api/customers/:uid/addresses", async (req, res) => {
+app.post("/api/customers/:uid/addresses", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   try {
     const { address } = req.body || {}
     if (!address || typeof address !== "string" || address.trim() === "") {
@@ -941,7 +1828,7 @@ app.post("/api/customers/:uid/addresses", async (req, res) => {
   }
 })
 
-app.delete("/api/customers/:uid/addresses/:index", async (req, res) => {
+app.delete("/api/customers/:uid/addresses/:index", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   try {
     const idx = Number.parseInt(req.params.index, 10)
     if (Number.isNaN(idx) || idx < 0) return res.status(400).json({ success: false, error: "Invalid index" })
@@ -963,7 +1850,7 @@ app.delete("/api/customers/:uid/addresses/:index", async (req, res) => {
 })
 
 // Add this new endpoint after the existing customer endpoints in server.js
-app.put("/api/customers/:uid/addresses-only", async (req, res) => {
+app.put("/api/customers/:uid/addresses-only", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { addresses } = req.body
 
   if (!addresses || !Array.isArray(addresses)) {
@@ -1016,9 +1903,38 @@ app.put("/api/customers/:uid/addresses-only", async (req, res) => {
   }
 })
 
+// Save the customer app's FCM token (order and refund updates)
+app.post("/api/customers/:uid/device-token", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const { token } = req.body
+
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "Token is required",
+    })
+  }
+
+  try {
+    // A token belongs to whichever customer signed in on the device last
+    await db.query(
+      `INSERT INTO customer_device_tokens (customer_uid, token, updated_at)
+       VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE customer_uid = VALUES(customer_uid), updated_at = NOW()`,
+      [req.params.uid.trim(), token],
+    )
+
+    res.json({
+      success: true,
+      message: "Device token saved successfully",
+    })
+  } catch (err) {
+    handleError(res, err, "saving device token")
+  }
+})
+
 /
 // Replace the existing /api/orders endpoint in server1.js
-app.post("/api/orders", async (req, res) => {
+app.post("/api/orders", authenticate, requireSelf((req) => req.body?.customer_uid), async (req, res) => {
   const {
     customer_uid,
     restaurant_uid,
@@ -1035,7 +1951,8 @@ app.post("/api/orders", async (req, res) => {
     platform_fee,
     total_amount,
     delivery_coordinates,
-    location_accuracy = 'address_only'
+    location_accuracy = 'address_only',
+    coupon_code
   } = req.body || {};
 
   // Validate required fields
@@ -1092,6 +2009,8 @@ app.post("/api/orders", async (req, res) => {
   }
 
   let connection;
+  // Set once the order is committed; from then on the order exists and must not be rolled back
+  let committed = false;
   try {
     connection = await db.getConnection();
     await connection.beginTransaction();
@@ -1105,107 +2024,147 @@ app.post("/api/orders", async (req, res) => {
     const [customer] = await connection.query("SELECT * FROM customers WHERE uid = ?", [customer_uid]);
     if (customer.length === 0) throw new Error("Customer not found");
 
-    // Calculate subtotal validation
-    let calculatedSubtotal = 0;
-    for (const item of items) {
-      const [menuItem] = await connection.query(
-        "SELECT * FROM menu_items1 WHERE id = ? AND restaurant_uid = ? AND is_available = 1 AND is_deleted = 0",
-        [item.menu_item_id, restaurant_uid]
+    // Price the cart with the same engine as POST /api/cart/quote; lines become the order_items snapshot.
+    // Addresses outside the restaurant's service area are rejected here too.
+    // The coupon row stays locked until the redemption is committed so its usage limits hold under
+    // concurrent checkouts
+    const { lines: orderLines, breakdown, coupon } = await quoteCart(connection, {
+      restaurantUid: restaurant_uid,
+      items,
+      deliveryCoordinates: latitude !== null && longitude !== null ? { latitude, longitude } : null,
+      couponCode: coupon_code || null,
+      customerUid: customer_uid,
+      lockCoupon: true,
+    });
+
+    if (Math.abs(breakdown.subtotal - (subtotal || 0)) > 0.01) {
+      throw new PricingMismatchError(
+        `Subtotal mismatch: expected ₹${breakdown.subtotal.toFixed(2)}, received ₹${Number(subtotal || 0).toFixed(2)}`,
+        breakdown
       );
-      if (menuItem.length === 0) throw new Error(`Menu item ${item.menu_item_id} not found or unavailable`);
-      calculatedSubtotal += Number(menuItem[0].price) * Number(item.quantity);
     }
 
-    if (Math.abs(calculatedSubtotal - (subtotal || 0)) > 0.01) {
-      throw new Error(`Subtotal mismatch: expected ₹${calculatedSubtotal.toFixed(2)}, received ₹${(subtotal || 0).toFixed(2)}`);
+    if (Math.abs(breakdown.total - total_amount) > 0.02) {
+      throw new PricingMismatchError(
+        `Total mismatch: expected ₹${breakdown.total.toFixed(2)}, received ₹${Number(total_amount).toFixed(2)}`,
+        breakdown
+      );
     }
 
-    // Verify fee breakdown
-    const expectedDeliveryFee = calculatedSubtotal >= 500 ? 0 : 0;
-    const expectedPackingFee = 0;
-    const expectedGst = calculatedSubtotal * 0.05;
-    const expectedPlatformFee = 0;
-    const expectedTotal = calculatedSubtotal + expectedDeliveryFee + expectedPackingFee + expectedGst + expectedPlatformFee;
+    // Charge the server-side total, never the client's rounding
+    const orderTotal = breakdown.total;
 
-    if (Math.abs(expectedTotal - total_amount) > 0.02) {
-      throw new Error(`Total mismatch: expected ₹${expectedTotal.toFixed(2)}, received ₹${total_amount.toFixed(2)}`);
+    // Cash on delivery must be enabled by the restaurant and within its order value cap
+    const cashOnDelivery = isCashOnDelivery(payment_method);
+    if (cashOnDelivery) {
+      assertCashOnDeliveryAllowed(await getRestaurantPaymentPreferences(restaurant_uid, connection), orderTotal);
     }
 
-    const responseDeadline = new Date(Date.now() + 10000);
-
-    // Create order in DB with payment pending
+    // Create order in DB: online payments wait for the gateway, COD goes straight to the restaurant
     const [orderResult] = await connection.query(
       `INSERT INTO orders 
         (customer_uid, restaurant_uid, customer_name, phone_number, status, total_price, 
          delivery_address, delivery_latitude, delivery_longitude, location_accuracy, 
-         payment_method, notes, payment_status, response_deadline)
-       VALUES (?, ?, ?, ?, 'payment_pending', ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+         payment_method, notes, payment_status, price_breakdown)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
       [
         customer_uid,
         restaurant_uid,
         customer_name,
         phone_number,
-        total_amount,
+        cashOnDelivery ? "pending" : "payment_pending",
+        orderTotal,
         delivery_address,
         latitude,
         longitude,
         location_accuracy,
-        payment_method,
+        cashOnDelivery ? "cod" : payment_method,
         notes || null,
-        responseDeadline,
+        JSON.stringify(breakdown),
       ]
     );
 
     const orderId = orderResult.insertId;
 
-    for (const item of items) {
-      await connection.query("INSERT INTO order_items (order_id, menu_item_id, quantity) VALUES (?, ?, ?)", [
+    await recordOrderCreated(connection, {
+      orderId,
+      status: cashOnDelivery ? "pending" : "payment_pending",
+      actorUid: customer_uid,
+    });
+
+    await insertOrderItems(connection, orderId, orderLines);
+
+    if (coupon) {
+      await recordCouponRedemption(connection, {
+        couponId: coupon.id,
         orderId,
-        item.menu_item_id,
-        item.quantity,
-      ]);
+        customerUid: customer_uid,
+        discount: breakdown.discount,
+      });
     }
 
-    // 🔹 Create Cashfree Payment
-    try {
-      const cashfreeResponse = await axios.post(
-        "https://api.cashfree.com/pg/orders",
-        {
-          order_id: `order_${orderId}`,
-          order_amount: total_amount,
-          order_currency: "INR",
-          customer_details: {
-            customer_id: customer_uid,
-            customer_name,
-            customer_phone: phone_number,
-            customer_email: customer[0].email || "customer@example.com",
-          },
-          order_meta: {
-            return_url: `https://khawwws.onrender.com/payment-success?order_id=${orderId}`,
-            notify_url: `https://khawwws.onrender.com/api/cashfree/webhook`,
-          },
-          order_note: notes || "Food order",
+    if (cashOnDelivery) {
+      await connection.commit();
+      committed = true;
+
+      // The order is placed: a dispatch failure is logged, never reported as a failed order the app would retry
+      let dispatchedOrder = { status: "pending", response_deadline: null };
+      try {
+        const [[codOrder]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId]);
+        await dispatchOrderToRestaurant(codOrder, {
+          body: `Cash on delivery: collect ₹${Number(codOrder.total_price).toFixed(2)}`,
+          paymentVerified: false,
+        });
+        [[dispatchedOrder]] = await db.query("SELECT status, response_deadline FROM orders WHERE id = ?", [orderId]);
+      } catch (dispatchErr) {
+        console.error(`❌ Error dispatching cash on delivery order ${orderId}:`, dispatchErr);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Order placed with cash on delivery",
+        data: {
+          order_id: orderId,
+          payment_method: "cod",
+          order_status: dispatchedOrder.status,
+          total_amount: orderTotal,
+          response_deadline: dispatchedOrder.response_deadline,
+          delivery_coordinates: latitude && longitude ? { latitude, longitude } : null,
+          location_accuracy,
+          breakdown,
         },
-        {
-          headers: {
-            "x-api-version": "2023-08-01",
-            "x-client-id": process.env.CASHFREE_APP_ID,
-            "x-client-secret": process.env.CASHFREE_SECRET_KEY,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      });
+    }
 
-      const { payment_session_id, cf_order_id } = cashfreeResponse.data;
+    // Commit the order and its coupon redemption before calling the gateway, so the coupon row lock
+    // is never held across the gateway's HTTP call. A gateway failure cancels the order, which
+    // releases the redemption.
+    await connection.commit();
+    committed = true;
+
+    // 🔹 Create gateway payment order
+    try {
+      const { paymentSessionId: payment_session_id, cfOrderId: cf_order_id } = await paymentGateway.createOrder({
+        gatewayOrderId: gatewayOrderIdFor(orderId),
+        amount: orderTotal,
+        currency: EXPECTED_CURRENCY,
+        customer: {
+          id: customer_uid,
+          name: customer_name,
+          phone: phone_number,
+          email: customer[0].email || "customer@example.com",
+        },
+        note: notes || "Food order",
+        returnUrl: getPaymentReturnUrl(orderId),
+        notifyUrl: getWebhookUrl(),
+      });
 
-      await connection.query("UPDATE orders SET payment_session_id = ?, payment_id = ? WHERE id = ?", [
+      await db.query("UPDATE orders SET payment_session_id = ?, payment_id = ? WHERE id = ?", [
         payment_session_id,
         cf_order_id,
         orderId,
       ]);
 
-      await connection.commit();
-
       // ✅ Do NOT notify restaurant yet.
       // Payment verification (via webhook or verify-payment endpoint) will handle restaurant notifications.
 
@@ -1215,30 +2174,25 @@ app.post("/api/orders", async (req, res) => {
         data: {
           order_id: orderId,
           payment_session_id,
-          total_amount: total_amount,
-          webhook_url: "https://khawwws.onrender.com/api/cashfree/webhook",
-          response_deadline: responseDeadline.toISOString(),
+          total_amount: orderTotal,
+          webhook_url: getWebhookUrl(),
+          // The restaurant's acceptance deadline starts once payment is verified
+          response_deadline: null,
           delivery_coordinates: latitude && longitude ? { latitude, longitude } : null,
           location_accuracy,
-          breakdown: {
-            subtotal: calculatedSubtotal,
-            delivery_fee: expectedDeliveryFee,
-            packing_fee: expectedPackingFee,
-            gst_amount: expectedGst,
-            platform_fee: expectedPlatformFee,
-          },
+          breakdown,
         },
       });
     } catch (cashfreeError) {
-      console.error("Cashfree API Error:", cashfreeError.response?.data || cashfreeError.message);
+      console.error(`Payment gateway (${paymentGateway.name}) error:`, cashfreeError.response?.data || cashfreeError.message);
 
-      await connection.query("UPDATE orders SET status = ?, payment_status = ? WHERE id = ?", [
-        "cancelled",
-        "failed",
+      await transitionOrder({
         orderId,
-      ]);
-
-      await connection.commit();
+        to: "cancelled",
+        actor: "system",
+        reason: "Payment gateway unavailable",
+        set: { payment_status: "failed" },
+      });
 
       return res.status(500).json({
         success: false,
@@ -1247,8 +2201,20 @@ app.post("/api/orders", async (req, res) => {
       });
     }
   } catch (err) {
-    if (connection) await connection.rollback();
+    if (connection && !committed) await connection.rollback();
     console.error("Order creation error:", err);
+    if (
+      err instanceof ModifierError ||
+      err instanceof OrderItemError ||
+      err instanceof CouponError ||
+      err instanceof ServiceAreaError ||
+      err instanceof CashOnDeliveryError
+    ) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    if (err instanceof PricingMismatchError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, data: { breakdown: err.breakdown } });
+    }
     res.status(500).json({
       success: false,
       error: err.message || "Failed to create order",
@@ -1260,53 +2226,232 @@ app.post("/api/orders", async (req, res) => {
 
 
 
-// Add payment verification endpoint
-app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
-  const { orderId } = req.params;
+// Price a cart with the same rules POST /api/orders enforces, so the apps never duplicate the maths
+app.post("/api/cart/quote", authenticate, async (req, res) => {
+  const { restaurant_uid, items, delivery_coordinates, coupon_code } = req.body || {}
 
-  console.log("\n\n");
-  console.log("████████████████████████████████████████████████████████████");
-  console.log("█            VERIFY-PAYMENT ENDPOINT CALLED                █");
-  console.log("████████████████████████████████████████████████████████████");
-  console.log(`📋 Order ID: ${orderId}`);
-  console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
-  console.log("────────────────────────────────────────────────────────────");
+  if (!restaurant_uid || typeof restaurant_uid !== "string" || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "restaurant_uid and a non-empty items array are required",
+    })
+  }
+  if (
+    delivery_coordinates &&
+    !isValidCoordinate(delivery_coordinates.latitude, delivery_coordinates.longitude)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "delivery_coordinates must contain a valid numeric latitude and longitude",
+    })
+  }
 
   try {
-    // Fetch order from database
-    const [orders] = await db.query(
-      "SELECT * FROM orders WHERE id = ?", 
-      [orderId]
-    );
-    
-    if (orders.length === 0) {
-      console.log("❌ ORDER NOT FOUND IN DATABASE");
-      console.log("████████████████████████████████████████████████████████████\n");
-      return res.status(404).json({ 
-        success: false, 
-        error: "Order not found" 
-      });
+    const restaurantUid = restaurant_uid.trim()
+    await validateRestaurantUid(restaurantUid)
+
+    const { lines, breakdown } = await quoteCart(db, {
+      restaurantUid,
+      items,
+      deliveryCoordinates: delivery_coordinates || null,
+      couponCode: coupon_code || null,
+      customerUid: req.user.uid,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        items: lines.map((line) => ({
+          menu_item_id: line.menu_item_id,
+          item_name: line.item_name,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          selected_modifiers: line.selected_modifiers,
+          line_total: line.line_total,
+          packing_fee: line.packing_fee,
+          gst_rate: line.gst_rate,
+        })),
+        breakdown,
+      },
+    })
+  } catch (err) {
+    if (
+      err instanceof ModifierError ||
+      err instanceof OrderItemError ||
+      err instanceof CouponError ||
+      err instanceof ServiceAreaError
+    ) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
     }
+    handleError(res, err, "quoting cart")
+  }
+})
 
-    const order = orders[0];
+// Check a coupon against a cart before checkout; returns the discount and the discounted breakdown
+app.post("/api/coupons/validate", authenticate, async (req, res) => {
+  const { code, restaurant_uid, items, delivery_coordinates } = req.body || {}
 
-    console.log("💾 Current Database State:");
-    console.log(`   Order ID: ${order.id}`);
-    console.log(`   Payment ID: ${order.payment_id}`);
-    console.log(`   Order Status: ${order.status}`);
-    console.log(`   Payment Status: ${order.payment_status}`);
-    console.log(`   Total Amount: ₹${order.total_price}`);
-    console.log(`   Customer: ${order.customer_name}`);
-    console.log(`   Created: ${order.created_at}`);
-    console.log("────────────────────────────────────────────────────────────");
+  if (!code || !restaurant_uid || typeof restaurant_uid !== "string" || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "code, restaurant_uid and a non-empty items array are required",
+    })
+  }
 
-    // Check if already processed
-    if (order.payment_status === 'success') {
-      console.log("⚠️  PAYMENT ALREADY VERIFIED");
-      console.log("   Skipping duplicate processing");
-      console.log("████████████████████████████████████████████████████████████\n");
-      
-      return res.json({
+  try {
+    const restaurantUid = restaurant_uid.trim()
+    await validateRestaurantUid(restaurantUid)
+
+    const { breakdown, coupon } = await quoteCart(db, {
+      restaurantUid,
+      items,
+      deliveryCoordinates: delivery_coordinates || null,
+      couponCode: code,
+      customerUid: req.user.uid,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        coupon: {
+          code: coupon.code,
+          description: coupon.description,
+          discount_type: coupon.discount_type,
+          discount_value: Number(coupon.discount_value),
+          max_discount: coupon.max_discount === null ? null : Number(coupon.max_discount),
+        },
+        discount: breakdown.discount,
+        breakdown,
+      },
+    })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, data: { valid: false } })
+    }
+    if (err instanceof ModifierError || err instanceof OrderItemError || err instanceof ServiceAreaError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "validating coupon")
+  }
+})
+
+// Active coupons a customer can use at a restaurant (platform-wide ones included)
+app.get("/api/coupons", async (req, res) => {
+  const restaurantUid = req.query.restaurant_uid?.trim() || null
+  try {
+    const [rows] = await db.query(
+      `SELECT code, description, funded_by, restaurant_uid, discount_type, discount_value, max_discount,
+              min_order_value, first_order_only, valid_until
+       FROM coupons
+       WHERE is_active = 1
+         AND (valid_from IS NULL OR valid_from <= NOW())
+         AND (valid_until IS NULL OR valid_until > NOW())
+         AND (restaurant_uid IS NULL${restaurantUid ? " OR restaurant_uid = ?" : ""})
+       ORDER BY discount_value DESC`,
+      restaurantUid ? [restaurantUid] : [],
+    )
+    res.json({ success: true, data: { coupons: rows } })
+  } catch (err) {
+    handleError(res, err, "fetching coupons")
+  }
+})
+
+// Restaurant-funded coupons, managed by the restaurant itself
+app.get("/api/restaurants/:uid/coupons", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const coupons = await listCoupons({ restaurantUid: trimmedUid, fundedBy: "restaurant" })
+    res.json({ success: true, data: { coupons } })
+  } catch (err) {
+    handleError(res, err, "fetching restaurant coupons")
+  }
+})
+
+app.post("/api/restaurants/:uid/coupons", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+    const input = normalizeCouponInput(req.body || {}, { fundedBy: "restaurant", restaurantUid: trimmedUid })
+    const coupon = await saveCoupon(input, { createdBy: req.user.uid })
+    res.status(201).json({ success: true, message: "Coupon created", data: { coupon } })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "creating restaurant coupon")
+  }
+})
+
+app.put("/api/restaurants/:uid/coupons/:id", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    const [existing] = await db.query(
+      "SELECT id FROM coupons WHERE id = ? AND restaurant_uid = ? AND funded_by = 'restaurant'",
+      [req.params.id, trimmedUid],
+    )
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: "Coupon not found" })
+    }
+    const input = normalizeCouponInput(req.body || {}, { fundedBy: "restaurant", restaurantUid: trimmedUid })
+    const coupon = await saveCoupon(input, { id: existing[0].id })
+    res.json({ success: true, message: "Coupon updated", data: { coupon } })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating restaurant coupon")
+  }
+})
+
+// Add payment verification endpoint
+app.post("/api/orders/:orderId/verify-payment", authenticate, requireOrderParty("orderId", ["customer"]), async (req, res) => {
+  const { orderId } = req.params;
+
+  console.log("\n\n");
+  console.log("████████████████████████████████████████████████████████████");
+  console.log("█            VERIFY-PAYMENT ENDPOINT CALLED                █");
+  console.log("████████████████████████████████████████████████████████████");
+  console.log(`📋 Order ID: ${orderId}`);
+  console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
+  console.log("────────────────────────────────────────────────────────────");
+
+  try {
+    // Fetch order from database
+    const [orders] = await db.query(
+      "SELECT * FROM orders WHERE id = ?", 
+      [orderId]
+    );
+    
+    if (orders.length === 0) {
+      console.log("❌ ORDER NOT FOUND IN DATABASE");
+      console.log("████████████████████████████████████████████████████████████\n");
+      return res.status(404).json({ 
+        success: false, 
+        error: "Order not found" 
+      });
+    }
+
+    const order = orders[0];
+
+    console.log("💾 Current Database State:");
+    console.log(`   Order ID: ${order.id}`);
+    console.log(`   Payment ID: ${order.payment_id}`);
+    console.log(`   Order Status: ${order.status}`);
+    console.log(`   Payment Status: ${order.payment_status}`);
+    console.log(`   Total Amount: ₹${order.total_price}`);
+    console.log(`   Customer: ${order.customer_name}`);
+    console.log(`   Created: ${order.created_at}`);
+    console.log("────────────────────────────────────────────────────────────");
+
+    // Check if already processed
+    if (order.payment_status === 'success') {
+      console.log("⚠️  PAYMENT ALREADY VERIFIED");
+      console.log("   Skipping duplicate processing");
+      console.log("████████████████████████████████████████████████████████████\n");
+      
+      return res.json({
         success: true,
         message: "Payment already verified",
         data: { 
@@ -1317,6 +2462,21 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       });
     }
 
+    // Cash on delivery orders are settled on delivery, never through the gateway
+    if (isCashOnDelivery(order.payment_method)) {
+      console.log("⚠️  CASH ON DELIVERY ORDER - NOTHING TO VERIFY");
+      console.log("████████████████████████████████████████████████████████████\n");
+
+      return res.status(400).json({
+        success: false,
+        error: "Cash on delivery orders do not need payment verification",
+        data: {
+          order_status: order.status,
+          payment_status: order.payment_status
+        },
+      });
+    }
+
     // Check if already failed
     if (order.payment_status === 'failed' || order.payment_status === 'cancelled') {
       console.log("❌ PAYMENT ALREADY MARKED AS FAILED/CANCELLED");
@@ -1333,36 +2493,25 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       });
     }
 
-    // Call Cashfree API to verify payment
-    console.log("📡 Calling Cashfree API...");
-    console.log(`   Endpoint: https://api.cashfree.com/pg/orders/${order.payment_id}/payments`);
-    console.log(`   App ID: ${process.env.CASHFREE_APP_ID?.substring(0, 10)}...`);
+    // Ask the payment gateway for the payment attempts on this order
+    console.log(`📡 Calling payment gateway (${paymentGateway.name}, ${paymentGateway.environment})...`);
+    console.log(`   Gateway Order ID: ${gatewayOrderIdFor(order.id)}`);
     
-    let verifyResponse;
+    let payments;
     try {
-      verifyResponse = await axios.get(
-        `https://api.cashfree.com/pg/orders/${order.payment_id}/payments`, 
-        {
-          headers: {
-            "x-api-version": "2023-08-01",
-            "x-client-id": process.env.CASHFREE_APP_ID,
-            "x-client-secret": process.env.CASHFREE_SECRET_KEY,
-          },
-        }
-      );
+      payments = await paymentGateway.fetchPayments(gatewayOrderIdFor(order.id));
 
       console.log("────────────────────────────────────────────────────────────");
-      console.log("✅ Cashfree API Response Received");
-      console.log(`   Status Code: ${verifyResponse.status}`);
-      console.log(`   Number of Payments: ${verifyResponse.data?.length || 0}`);
+      console.log("✅ Payment Gateway Response Received");
+      console.log(`   Number of Payments: ${payments.length}`);
       console.log("────────────────────────────────────────────────────────────");
       console.log("📄 Full Payment Details:");
-      console.log(JSON.stringify(verifyResponse.data, null, 2));
+      console.log(JSON.stringify(payments, null, 2));
       console.log("────────────────────────────────────────────────────────────");
 
     } catch (apiError) {
       console.log("────────────────────────────────────────────────────────────");
-      console.log("❌ CASHFREE API ERROR");
+      console.log("❌ PAYMENT GATEWAY ERROR");
       console.log(`   Status: ${apiError.response?.status}`);
       console.log(`   Message: ${apiError.response?.data?.message || apiError.message}`);
       console.log("   Full Error:", JSON.stringify(apiError.response?.data, null, 2));
@@ -1375,8 +2524,6 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       });
     }
 
-    const payments = verifyResponse.data;
-    
     // Log each payment attempt
     if (Array.isArray(payments) && payments.length > 0) {
       console.log("🔍 Analyzing Payment Attempts:");
@@ -1402,10 +2549,7 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       console.log("   Marking order as FAILED in database");
       
       // Update database
-      await db.query(
-        "UPDATE orders SET status = ?, payment_status = ? WHERE id = ?", 
-        ["cancelled", "failed", orderId]
-      );
+      await markPaymentFailed(orderId);
 
       console.log("✅ Database Updated:");
       console.log("   Order Status: cancelled");
@@ -1424,29 +2568,66 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       });
     }
 
-    // Payment successful - validate amount
+    // Payment successful - run the shared payment validation
     const paidAmount = parseFloat(successfulPayment.payment_amount);
     const orderAmount = parseFloat(order.total_price);
     
     console.log("✅ SUCCESSFUL PAYMENT FOUND");
     console.log(`   Paid Amount: ₹${paidAmount.toFixed(2)}`);
     console.log(`   Expected Amount: ₹${orderAmount.toFixed(2)}`);
-    console.log(`   Difference: ₹${Math.abs(paidAmount - orderAmount).toFixed(2)}`);
-    
-    if (Math.abs(paidAmount - orderAmount) > 0.02) {
-      console.log("❌ AMOUNT MISMATCH - SECURITY ALERT!");
+    console.log(`   Currency: ${successfulPayment.payment_currency}`);
+
+    const validation = validatePaymentSecurity(order, {
+      amount: successfulPayment.payment_amount,
+      currency: successfulPayment.payment_currency,
+      paymentStatus: successfulPayment.payment_status,
+      merchantOrderId: successfulPayment.order_id,
+    });
+
+    if (validation.alreadyProcessed) {
+      console.log("⚠️  PAYMENT ALREADY VERIFIED BY WEBHOOK");
+      console.log("████████████████████████████████████████████████████████████\n");
+
+      return res.json({
+        success: true,
+        message: "Payment already verified",
+        data: {
+          order_status: order.status,
+          payment_status: "success",
+          note: "Payment was previously verified"
+        },
+      });
+    }
+
+    if (validation.paidAfterCancellation) {
+      console.log("⚠️  PAYMENT COMPLETED AFTER THE ORDER WAS CANCELLED - REFUNDING");
+      console.log("████████████████████████████████████████████████████████████\n");
+
+      const refund = await refundPaymentAfterCancellation(orderId);
+      return res.status(409).json({
+        success: false,
+        error: "Order was cancelled before the payment completed; the payment is being refunded",
+        data: {
+          order_status: "cancelled",
+          payment_status: "success",
+          refund,
+        },
+      });
+    }
+
+    if (!validation.valid) {
+      console.log("❌ PAYMENT VALIDATION FAILED - SECURITY ALERT!");
+      console.log(`   Reason: ${validation.reason}`);
       console.log("   Marking order as FAILED");
       
-      await db.query(
-        "UPDATE orders SET status = ?, payment_status = ? WHERE id = ?", 
-        ["cancelled", "failed", orderId]
-      );
+      await markPaymentFailed(orderId);
 
       console.log("████████████████████████████████████████████████████████████\n");
       
       return res.status(400).json({
         success: false,
-        error: "Payment amount mismatch",
+        error: "Payment validation failed",
+        details: validation.reason,
         data: { 
           order_status: "cancelled",
           payment_status: "failed"
@@ -1458,10 +2639,21 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
     console.log("✅ ALL VALIDATIONS PASSED");
     console.log("   Updating order to PENDING status");
     
-    await db.query(
-      "UPDATE orders SET status = ?, payment_status = ? WHERE id = ?", 
-      ["pending", "success", orderId]
-    );
+    const claimed = await claimPaymentSuccess(orderId);
+    if (!claimed) {
+      console.log("⚠️  PAYMENT CLAIMED CONCURRENTLY BY WEBHOOK");
+      console.log("████████████████████████████████████████████████████████████\n");
+
+      return res.json({
+        success: true,
+        message: "Payment already verified",
+        data: {
+          order_status: "pending",
+          payment_status: "success",
+          note: "Payment was previously verified"
+        },
+      });
+    }
 
     const [[updatedOrder]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId]);
 
@@ -1469,26 +2661,12 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
     console.log("📢 Notifying Restaurant");
     console.log(`   Restaurant UID: ${order.restaurant_uid}`);
     
-    // Notify restaurant
-    io.to(`restaurant_${order.restaurant_uid}`).emit("newOrder", updatedOrder);
-
-    // Send FCM notification
-    try {
-      await sendFCMNotification(
-        order.restaurant_uid,
-        `New Order #${orderId}`,
-        `Payment verified: ₹${orderAmount.toFixed(2)}. Please accept or reject.`,
-        {
-          type: "newOrder",
-          orderId: orderId.toString(),
-          status: "pending",
-          paymentVerified: "true",
-        }
-      );
-      console.log("   ✅ FCM Notification Sent");
-    } catch (notifyErr) {
-      console.log("   ❌ FCM Notification Failed:", notifyErr.message);
-    }
+    // Notify restaurant and start its acceptance deadline (parks the order if the restaurant is offline)
+    const notified = await dispatchOrderToRestaurant(updatedOrder, {
+      body: `Payment verified: ₹${orderAmount.toFixed(2)}. Please accept or reject.`,
+      paymentVerified: true,
+    });
+    console.log(notified ? "   ✅ Restaurant Notified" : "   ⚠️  Restaurant offline - order parked");
 
     console.log("████████████████████████████████████████████████████████████");
     console.log("█              VERIFICATION COMPLETED                      █");
@@ -1499,7 +2677,7 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
       success: true,
       message: "Payment verified successfully",
       data: { 
-        order_status: "pending",
+        order_status: notified ? "pending" : "pending_restaurant_online",
         payment_status: "success",
         amount_verified: orderAmount
       },
@@ -1521,7 +2699,7 @@ app.post("/api/orders/:orderId/verify-payment", async (req, res) => {
 });
 
 // Fix the endpoint path - it was missing /api/
-app.get("/api/orders/:orderId/status", async (req, res) => {
+app.get("/api/orders/:orderId/status", authenticate, requireOrderParty("orderId"), async (req, res) => {
   try {
     const { orderId } = req.params
 
@@ -1567,8 +2745,29 @@ app.use("/api/cashfree/webhook", (req, res, next) => {
   next()
 })
 
+// Reject webhook deliveries that are not signed by Cashfree or fall outside the replay window
+const verifyCashfreeSignature = (req, res, next) => {
+  const verification = paymentGateway.verifyWebhook({
+    rawBody: req.rawBody ?? "",
+    signature: req.get("x-webhook-signature"),
+    timestamp: req.get("x-webhook-timestamp"),
+  })
+
+  if (!verification.valid) {
+    console.error("🚫 Rejected Cashfree webhook:", verification.reason)
+    console.error("   From:", req.get("x-forwarded-for") || req.connection.remoteAddress)
+    console.error("   Timestamp header:", req.get("x-webhook-timestamp") || "none")
+    console.error("   Body:", req.rawBody || "empty")
+    return res.status(401).json({
+      success: false,
+      error: "Invalid webhook signature",
+    })
+  }
+  next()
+}
+
 // Fixed Webhook Endpoint - Replace your existing one
-app.post("/api/cashfree/webhook", async (req, res) => {
+app.post("/api/cashfree/webhook", verifyCashfreeSignature, async (req, res) => {
   const timestamp = new Date().toISOString();
   
   console.log("\n\n");
@@ -1612,6 +2811,23 @@ app.post("/api/cashfree/webhook", async (req, res) => {
 
     console.log("📦 Parsed payload:", JSON.stringify(payload, null, 2));
 
+    // Refund status updates carry a refund, not a payment
+    if (payload?.type === "REFUND_STATUS_WEBHOOK") {
+      const applied = await applyRefundWebhook(payload);
+      if (!applied) {
+        console.error("❌ Refund webhook for unknown refund:", payload?.data?.refund?.refund_id);
+        return res.status(200).json({ success: true, error: "Refund not found" });
+      }
+      console.log(`💰 Refund ${applied.refund.refund_id} for order ${applied.order.id} is now ${applied.refund.status}`);
+      await notifyRefundUpdate(applied.order, applied.refund);
+      return res.status(200).json({
+        success: true,
+        message: "Refund webhook processed",
+        refundId: applied.refund.refund_id,
+        refundStatus: applied.refund.status,
+      });
+    }
+
     // Extract order ID
     let orderId = null;
     if (payload?.data?.order?.order_id) {
@@ -1644,7 +2860,13 @@ app.post("/api/cashfree/webhook", async (req, res) => {
       paymentAmount = parseFloat(payload.data.order.order_amount);
     }
 
-    console.log(`🔍 Extracted - Order ID: ${orderId}, Payment Status: ${paymentStatus}, Amount: ${paymentAmount}`);
+    // Extract payment currency and Cashfree's own order id
+    const paymentCurrency =
+      payload?.data?.payment?.payment_currency || payload?.payment?.payment_currency || payload?.data?.order?.order_currency;
+    const cfOrderId = payload?.data?.order?.cf_order_id ?? payload?.order?.cf_order_id;
+    const merchantOrderId = payload?.data?.order?.order_id ?? payload?.order?.order_id ?? payload?.order_id;
+
+    console.log(`🔍 Extracted - Order ID: ${orderId}, Payment Status: ${paymentStatus}, Amount: ${paymentAmount} ${paymentCurrency || ""}`);
 
     if (!orderId) {
       console.error("❌ No order ID found in webhook");
@@ -1677,38 +2899,44 @@ app.post("/api/cashfree/webhook", async (req, res) => {
     let shouldNotifyRestaurant = false;
 
     if (paymentStatus === "SUCCESS" || paymentStatus === "PAID") {
-      // 🔒 SECURITY CHECK 2: Validate payment amount and other criteria
-      if (paymentAmount) {
-        const validation = await validatePaymentSecurity(
-          order, 
-          paymentAmount, 
-          paymentStatus
-        );
-
-        if (!validation.valid) {
-          console.error(`❌ Payment validation failed for order ${orderId}: ${validation.reason}`);
-          
-          // If already processed by verify-payment endpoint, just acknowledge
-          if (validation.alreadyProcessed) {
-            return res.status(200).json({
-              success: true,
-              message: "Payment already processed",
-              orderId: orderId,
-            });
-          }
-          
-          // Payment validation failed - mark as failed
-          dbPaymentStatus = "failed";
-          dbOrderStatus = "cancelled";
-          shouldNotifyRestaurant = false;
-        } else {
-          // ✅ Payment validated successfully
-          dbPaymentStatus = "success";
-          dbOrderStatus = "pending";
-          shouldNotifyRestaurant = true;
+      // 🔒 SECURITY CHECK 2: Validate amount, currency, order ids and order state
+      const validation = validatePaymentSecurity(order, {
+        amount: paymentAmount,
+        currency: paymentCurrency,
+        paymentStatus,
+        merchantOrderId,
+        cfOrderId,
+      });
+
+      if (!validation.valid) {
+        console.error(`❌ Payment validation failed for order ${orderId}: ${validation.reason}`);
+        
+        // If already processed by verify-payment endpoint, just acknowledge
+        if (validation.alreadyProcessed) {
+          return res.status(200).json({
+            success: true,
+            message: "Payment already processed",
+            orderId: orderId,
+          });
+        }
+
+        // Genuine payment for an order cancelled meanwhile: keep the record and refund it
+        if (validation.paidAfterCancellation) {
+          const refund = await refundPaymentAfterCancellation(orderId);
+          return res.status(200).json({
+            success: true,
+            message: "Payment for a cancelled order, refund initiated",
+            orderId: orderId,
+            refundId: refund?.refund_id || null,
+          });
         }
+        
+        // Payment validation failed - mark as failed
+        dbPaymentStatus = "failed";
+        dbOrderStatus = "cancelled";
+        shouldNotifyRestaurant = false;
       } else {
-        console.warn(`⚠️ Payment amount not found in webhook for order ${orderId}, proceeding cautiously`);
+        // ✅ Payment validated successfully
         dbPaymentStatus = "success";
         dbOrderStatus = "pending";
         shouldNotifyRestaurant = true;
@@ -1728,12 +2956,28 @@ app.post("/api/cashfree/webhook", async (req, res) => {
     );
 
     // Update database
-    const [result] = await db.query(
-      "UPDATE orders SET payment_status = ?, status = ? WHERE id = ?", 
-      [dbPaymentStatus, dbOrderStatus, orderId]
-    );
+    let updated;
+    if (dbPaymentStatus === "success") {
+      updated = await claimPaymentSuccess(orderId);
+      if (!updated) {
+        console.log(`⚠️ Order ${orderId} payment claimed concurrently by verify-payment, skipping`);
+        return res.status(200).json({
+          success: true,
+          message: "Payment already processed",
+          orderId: orderId,
+        });
+      }
+    } else if (dbPaymentStatus === "failed" || dbPaymentStatus === "cancelled") {
+      updated = await markPaymentFailed(orderId, dbPaymentStatus);
+    } else {
+      const [result] = await db.query(
+        "UPDATE orders SET payment_status = ? WHERE id = ? AND payment_status <> 'success'", 
+        [dbPaymentStatus, orderId]
+      );
+      updated = result.affectedRows > 0;
+    }
 
-    if (result.affectedRows > 0) {
+    if (updated) {
       console.log(`✅ Order ${orderId} updated successfully`);
 
       // Get updated order
@@ -1744,65 +2988,17 @@ app.post("/api/cashfree/webhook", async (req, res) => {
 
         // 🎯 Only notify restaurant if payment is verified and valid
         if (shouldNotifyRestaurant && dbPaymentStatus === "success") {
-          // Check if restaurant is online and has notifications enabled
-          const [restaurantStatus] = await db.query(
-            `SELECT ro.is_online, COALESCE(rp.order_notifications, 1) as order_notifications
-             FROM restaurant_owners ro
-             LEFT JOIN restaurant_preferences rp ON ro.uid = rp.restaurant_uid
-             WHERE ro.uid = ?`,
-            [orderData.restaurant_uid]
-          );
-
-          if (
-            restaurantStatus.length > 0 &&
-            restaurantStatus[0].is_online === 1 &&
-            restaurantStatus[0].order_notifications === 1
-          ) {
-            // Set up auto-reject timer (90 seconds)
-            const timer = setTimeout(() => {
-              autoRejectOrder(orderId);
-            }, 90000);
-
-            orderTimers.set(orderId, timer);
-
-            // Emit to restaurant
-            io.to(`restaurant_${orderData.restaurant_uid}`).emit("newOrder", {
-              ...orderData,
-              response_deadline: orderData.response_deadline,
-              seconds_remaining: 90,
-            });
-
-            // Send FCM notification
-            try {
-              await sendFCMNotification(
-                orderData.restaurant_uid,
-                `New Order #${orderId}`,
-                `Payment verified: ₹${orderData.total_price.toFixed(2)}`,
-                {
-                  type: "newOrder",
-                  orderId: orderId.toString(),
-                  status: "pending",
-                  paymentVerified: "true",
-                }
-              );
-            } catch (notifyErr) {
-              console.error("Failed to send FCM notification:", notifyErr);
-            }
-
-            console.log(`🎯 Restaurant ${orderData.restaurant_uid} notified about order ${orderId}`);
-          } else {
-            console.log(`⚠️ Restaurant offline or notifications disabled for order ${orderId}`);
-            await db.query(
-              "UPDATE orders SET status = 'pending_restaurant_online' WHERE id = ?", 
-              [orderId]
-            );
-          }
+          await dispatchOrderToRestaurant(orderData, {
+            body: `Payment verified: ₹${Number(orderData.total_price).toFixed(2)}`,
+            paymentVerified: true,
+          });
         } else if (!shouldNotifyRestaurant && dbPaymentStatus === "failed") {
           console.log(`❌ Payment validation failed - Restaurant NOT notified for order ${orderId}`);
         }
 
-        // Always emit to customer about order status
-        io.to(`customer_${orderData.customer_uid}`).emit("orderStatusUpdated", orderData);
+        // Always emit to customer about order status (re-read: dispatch may have parked it)
+        const [[latestOrder]] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId]);
+        io.to(`customer_${latestOrder.customer_uid}`).emit("orderStatusUpdated", latestOrder);
       }
     } else {
       console.log(`⚠️ No order found with ID ${orderId}`);
@@ -1836,73 +3032,74 @@ app.get("/api/cashfree/webhook", (req, res) => {
   })
 })
 
+// Mock provider only: simulate the customer completing checkout (success, failure or timeout).
+// The mock gateway then delivers a signed webhook to /api/cashfree/webhook like Cashfree would.
+if (paymentGateway.name === "mock") {
+  app.post(
+    "/api/mock-payments/:orderId/complete",
+    authenticate,
+    requireOrderParty("orderId", ["customer"]),
+    (req, res) => {
+      try {
+        const payment = paymentGateway.simulatePayment(gatewayOrderIdFor(req.params.orderId), req.body?.outcome)
+        res.json({
+          success: true,
+          message: payment ? `Simulated ${payment.payment_status} payment` : "Simulated payment timeout",
+          data: { payment },
+        })
+      } catch (err) {
+        res.status(400).json({ success: false, error: err.message })
+      }
+    },
+  )
+}
+
 
 
-app.get("/api/orders", async (req, res) => {
-  const { customer_uid } = req.query
-  if (!customer_uid) {
-    return res.status(400).json({ success: false, error: "Customer UID is required" })
-  }
+// A customer's orders; ?status=, ?from=&to= filter, paginated by created_at (default) or total_amount
+const sendCustomerOrders = async (res, customerUid, query) => {
   try {
-    const [orders] = await db.query(`SELECT * FROM orders WHERE customer_uid = ? ORDER BY created_at DESC`, [
-      customer_uid,
-    ])
-    res.json({ success: true, data: { orders } })
+    const { page, sql, params } = orderListQuery("customer_uid", customerUid, query)
+    const [rows] = await db.query(sql, params)
+    const { items: orders, pagination } = orderPages.build(rows, page)
+
+    res.json({ success: true, data: { orders: await attachOrderItems(orders), pagination } })
   } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "fetching customer orders")
   }
-})
-
-app.get("/api/customers/:uid/orders", async (req, res) => {
-  const { uid } = req.params
-  try {
-    const [orders] = await db.query(`SELECT * FROM orders WHERE customer_uid = ? ORDER BY created_at DESC`, [uid])
-
-    if (orders.length === 0) {
-      return res.json({ success: true, data: { orders: [] } })
-    }
-
-    const orderIds = orders.map((o) => o.id)
-    const [items] = await db.query(
-      `SELECT oi.*, m.name AS item_name, m.price AS unit_price
-       FROM order_items oi
-       JOIN menu_items1 m ON oi.menu_item_id = m.id
-       WHERE oi.order_id IN (?)`,
-      [orderIds],
-    )
-
-    const ordersWithItems = orders.map((order) => {
-      const its = items.filter((it) => it.order_id === order.id)
-      return { ...order, items: its }
-    })
+}
 
-    res.json({ success: true, data: { orders: ordersWithItems } })
-  } catch (err) {
-    handleError(res, err, "fetching customer orders")
+// Older clients pass the customer as ?customer_uid=; same list as /api/customers/:uid/orders
+app.get("/api/orders", authenticate, requireSelf((req) => req.query.customer_uid), async (req, res) => {
+  const { customer_uid } = req.query
+  if (!customer_uid) {
+    return res.status(400).json({ success: false, error: "Customer UID is required" })
   }
+  await sendCustomerOrders(res, customer_uid, req.query)
 })
 
-app.get("/api/orders/:id", async (req, res) => {
+app.get("/api/customers/:uid/orders", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  await sendCustomerOrders(res, req.params.uid, req.query)
+})
+
+app.get("/api/orders/:id", authenticate, requireOrderParty(), async (req, res) => {
   const orderId = req.params.id
   try {
     const [orders] = await db.query(`SELECT * FROM orders WHERE id = ?`, [orderId])
     if (orders.length === 0) {
       return res.status(404).json({ success: false, error: "Order not found" })
     }
-    const [items] = await db.query(
-      `SELECT oi.*, m.name AS item_name, m.price AS unit_price
-       FROM order_items oi
-       JOIN menu_items1 m ON oi.menu_item_id = m.id
-       WHERE oi.order_id = ?`,
-      [orderId],
-    )
+    const items = await getOrderItems(orders[0].id)
     res.json({ success: true, data: { order: orders[0], items } })
   } catch (err) {
     handleError(res, err, "fetching order details")
   }
 })
 
-app.put("/api/orders/:id/accept", async (req, res) => {
+app.put("/api/orders/:id/accept", authenticate, requireSelf((req) => req.query.restaurant_uid), async (req, res) => {
   const orderId = req.params.id
   const restaurant_uid = req.query.restaurant_uid?.trim()
 
@@ -1930,22 +3127,14 @@ app.put("/api/orders/:id/accept", async (req, res) => {
       })
     }
 
-    // Clear the auto-reject timer
-    if (orderTimers.has(Number.parseInt(orderId))) {
-      clearTimeout(orderTimers.get(Number.parseInt(orderId)))
-      orderTimers.delete(Number.parseInt(orderId))
-      console.log(`⏰ Cleared timer for order ${orderId}`)
-    }
-
-    // Update order status to preparing
-    const [result] = await db.query("UPDATE orders SET status = ? WHERE id = ?", ["preparing", orderId])
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Failed to accept order",
-      })
-    }
+    // Move to preparing; loses cleanly (409) to a concurrent auto-reject
+    await transitionOrder({
+      orderId,
+      to: "preparing",
+      actor: "restaurant",
+      actorUid: req.user.uid,
+      reason: "Accepted by restaurant",
+    })
 
     // Get updated order
     const [updatedRows] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
@@ -1963,13 +3152,16 @@ app.put("/api/orders/:id/accept", async (req, res) => {
 
     console.log(`✅ Order ${orderId} accepted by restaurant ${restaurant_uid}`)
   } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     console.error(`❌ Error accepting order ${orderId}:`, err)
     handleError(res, err, "accepting order")
   }
 })
 
 // NEW ENDPOINT: Reject Order
-app.put("/api/orders/:id/reject", async (req, res) => {
+app.put("/api/orders/:id/reject", authenticate, requireSelf((req) => req.query.restaurant_uid), async (req, res) => {
   const orderId = req.params.id
   const { rejection_reason } = req.body
   const restaurant_uid = req.query.restaurant_uid?.trim()
@@ -2005,25 +3197,15 @@ app.put("/api/orders/:id/reject", async (req, res) => {
       })
     }
 
-    // Clear the auto-reject timer
-    if (orderTimers.has(Number.parseInt(orderId))) {
-      clearTimeout(orderTimers.get(Number.parseInt(orderId)))
-      orderTimers.delete(Number.parseInt(orderId))
-      console.log(`⏰ Cleared timer for order ${orderId}`)
-    }
-
-    // Update order status to rejected with reason
-    const [result] = await db.query(
-      "UPDATE orders SET status = ?, rejection_reason = ?, auto_rejected = FALSE WHERE id = ?",
-      ["rejected", rejection_reason.trim(), orderId],
-    )
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Failed to reject order",
-      })
-    }
+    // Move to rejected with reason; loses cleanly (409) if it was auto-rejected meanwhile
+    await transitionOrder({
+      orderId,
+      to: "rejected",
+      actor: "restaurant",
+      actorUid: req.user.uid,
+      reason: rejection_reason.trim(),
+      set: { rejection_reason: rejection_reason.trim(), auto_rejected: false },
+    })
 
     // Get updated order
     const [updatedRows] = await db.query("SELECT * FROM orders WHERE id = ?", [orderId])
@@ -2033,75 +3215,273 @@ app.put("/api/orders/:id/reject", async (req, res) => {
     io.to(`restaurant_${restaurant_uid}`).emit("orderRejected", updatedOrder)
     io.to(`customer_${updatedOrder.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
 
-    // TODO: Process refund via Cashfree API here
-    console.log(`💰 Should process refund for order ${orderId} - Amount: ₹${updatedOrder.total_price}`)
+    const refund = await refundAndNotify(updatedOrder, `Order rejected: ${rejection_reason.trim()}`, "restaurant")
 
     res.json({
       success: true,
       message: "Order rejected successfully",
-      data: { order: updatedOrder },
+      data: { order: updatedOrder, refund },
     })
 
     console.log(`❌ Order ${orderId} rejected by restaurant ${restaurant_uid}: ${rejection_reason}`)
   } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     console.error(`❌ Error rejecting order ${orderId}:`, err)
     handleError(res, err, "rejecting order")
   }
 })
 
-app.get("/api/restaurants/:restaurant_uid/orders", async (req, res) => {
-  const { restaurant_uid } = req.params
-  const { status, limit } = req.query
+app.get("/api/orders/:id/timeline", authenticate, requireOrderParty(), async (req, res) => {
   try {
-    await validateRestaurantUid(restaurant_uid)
-    let query = `SELECT * FROM orders WHERE restaurant_uid = ?`
-    const params = [restaurant_uid]
-    if (status) {
-      query += ` AND status = ?`
-      params.push(status)
-    }
-    query += ` ORDER BY created_at DESC`
-    if (limit) {
-      query += ` LIMIT ?`
-      params.push(Number.parseInt(limit))
-    }
-    const [orders] = await db.query(query, params)
-    const ordersWithItems = await Promise.all(
-      orders.map(async (order) => {
-        const [items] = await db.query(
-          `SELECT oi.*, m.name AS item_name, m.price AS unit_price
-           FROM order_items oi
-           JOIN menu_items1 m ON oi.menu_item_id = m.id
-           WHERE oi.order_id = ?`,
-          [order.id],
-        )
-        return { ...order, items }
-      }),
-    )
-    res.json({ success: true, data: { orders: ordersWithItems } })
-  } catch (err) {
-    handleError(res, err, "fetching restaurant orders")
-  }
+    const [[order]] = await db.query("SELECT id, status FROM orders WHERE id = ?", [req.params.id])
+    const timeline = await getOrderTimeline(req.params.id)
+    res.json({
+      success: true,
+      data: {
+        order_id: order.id,
+        status: order.status,
+        allowed_transitions: getAllowedTransitions(order.status, req.orderParty),
+        timeline,
+      },
+    })
+  } catch (err) {
+    handleError(res, err, "fetching order timeline")
+  }
+})
+
+app.get("/api/orders/:id/refunds", authenticate, requireOrderParty(), async (req, res) => {
+  try {
+    const refunds = await getOrderRefunds(req.params.id)
+    const refunded = refunds
+      .filter((r) => r.status === "success")
+      .reduce((sum, r) => sum + Number(r.amount), 0)
+    res.json({ success: true, data: { refunds, total_refunded: Math.round(refunded * 100) / 100 } })
+  } catch (err) {
+    handleError(res, err, "fetching order refunds")
+  }
+})
+
+// Partial refund for items the restaurant could not supply
+app.post("/api/orders/:id/refunds", authenticate, requireOrderParty("id", ["restaurant"]), async (req, res) => {
+  const { items, reason } = req.body || {}
+  if (!reason || typeof reason !== "string" || reason.trim() === "") {
+    return res.status(400).json({ success: false, error: "Refund reason is required" })
+  }
+
+  try {
+    const [orders] = await db.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
+    const order = orders[0]
+
+    const refund = await refundOrderItems(order, items, reason.trim(), "restaurant")
+    await notifyRefundUpdate(order, refund)
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === "failed" ? "Refund recorded but the payment gateway call failed" : "Refund initiated",
+      data: { refund },
+    })
+  } catch (err) {
+    if (err instanceof RefundError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "creating partial refund")
+  }
+})
+
+// Preview what cancelling would cost before the customer confirms
+app.get("/api/orders/:id/cancellation", authenticate, requireOrderParty("id", ["customer"]), async (req, res) => {
+  try {
+    const [[order]] = await db.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
+    const quote = getCancellationQuote(order, await getRefundableAmount(order))
+    res.json({ success: true, data: { order_id: order.id, status: order.status, ...quote } })
+  } catch (err) {
+    handleError(res, err, "fetching cancellation policy")
+  }
+})
+
+// Customer cancellation under the cancellation policy
+app.post("/api/orders/:id/cancel", authenticate, requireOrderParty("id", ["customer"]), async (req, res) => {
+  const { reason } = req.body || {}
+  if (!reason || typeof reason !== "string" || reason.trim() === "") {
+    return res.status(400).json({ success: false, error: "Cancellation reason is required" })
+  }
+  const cancellationReason = reason.trim().slice(0, 255)
+
+  let connection
+  let previousStatus
+  let quote
+  try {
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+
+    // Lock the order so the policy is applied to the status we actually cancel from
+    const [[order]] = await connection.query("SELECT * FROM orders WHERE id = ? FOR UPDATE", [req.params.id])
+    previousStatus = order.status
+    quote = getCancellationQuote(order, await getRefundableAmount(order, connection))
+    if (!quote.allowed) {
+      await connection.rollback()
+      return res.status(409).json({ success: false, error: quote.reason, data: { policy: quote.policy } })
+    }
+
+    await transitionOrder({
+      orderId: order.id,
+      to: "cancelled",
+      actor: "customer",
+      actorUid: req.user.uid,
+      reason: cancellationReason,
+      set: {
+        cancelled_by: "customer",
+        cancellation_reason: cancellationReason,
+        cancellation_fee: quote.fee > 0 ? quote.fee : null,
+        cancelled_at: new Date(),
+      },
+      conn: connection,
+    })
+
+    await connection.commit()
+  } catch (err) {
+    if (connection) await connection.rollback()
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    return handleError(res, err, "cancelling order")
+  } finally {
+    if (connection) connection.release()
+  }
+
+  try {
+    const [[updatedOrder]] = await db.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
+
+    io.to(`customer_${updatedOrder.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
+
+    // Only tell the restaurant about orders it has already been sent
+    if (previousStatus === "pending" || previousStatus === "preparing") {
+      io.to(`restaurant_${updatedOrder.restaurant_uid}`).emit("orderCancelled", updatedOrder)
+      io.to(`restaurant_${updatedOrder.restaurant_uid}`).emit("orderStatusUpdated", updatedOrder)
+
+      const [prefs] = await db.query("SELECT order_notifications FROM restaurant_preferences WHERE restaurant_uid = ?", [
+        updatedOrder.restaurant_uid,
+      ])
+      const orderNotifications = prefs.length > 0 ? prefs[0].order_notifications : 1
+      if (orderNotifications) {
+        await sendFCMNotification(
+          updatedOrder.restaurant_uid,
+          `Order #${updatedOrder.id} Cancelled`,
+          `The customer cancelled this order: ${cancellationReason}`,
+          {
+            type: "orderCancelled",
+            orderId: updatedOrder.id.toString(),
+            status: "cancelled",
+          },
+        )
+      }
+    }
+
+    const refund = await refundAndNotify(updatedOrder, `Order cancelled by customer: ${cancellationReason}`, "customer", {
+      fee: quote.fee,
+    })
+
+    console.log(`🚫 Order ${updatedOrder.id} cancelled by customer (policy: ${quote.policy}, fee: ₹${quote.fee.toFixed(2)})`)
+
+    res.json({
+      success: true,
+      message: "Order cancelled",
+      data: {
+        order: updatedOrder,
+        policy: quote.policy,
+        cancellation_fee: quote.fee,
+        refund_amount: quote.refund_amount,
+        refund,
+      },
+    })
+  } catch (err) {
+    handleError(res, err, "notifying order cancellation")
+  }
+})
+
+// Review a delivered order: restaurant rating, optional text and thumbs per order line
+app.post("/api/orders/:id/review", authenticate, requireOrderParty("id", ["customer"]), async (req, res) => {
+  let connection
+  try {
+    connection = await db.getConnection()
+    await connection.beginTransaction()
+
+    const [[order]] = await connection.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
+    await assertReviewable(connection, order)
+    const review = normalizeReviewInput(req.body || {}, await getOrderItems(order.id, connection))
+    const reviewId = await createReview(connection, order, review)
+    await connection.commit()
+
+    const saved = await getReview(reviewId)
+    io.to(`restaurant_${order.restaurant_uid}`).emit("newReview", { order_id: order.id, review: saved })
+    res.status(201).json({ success: true, message: "Thanks for your review", data: { review: saved } })
+  } catch (err) {
+    if (connection) await connection.rollback()
+    if (err instanceof ReviewError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "submitting review")
+  } finally {
+    if (connection) connection.release()
+  }
+})
+
+app.get("/api/orders/:id/review", authenticate, requireOrderParty(), async (req, res) => {
+  try {
+    const { reviews } = await listReviews({ orderId: req.params.id, status: null, limit: 1 })
+    res.json({ success: true, data: { review: reviews[0] || null } })
+  } catch (err) {
+    handleError(res, err, "fetching order review")
+  }
 })
 
-app.put("/api/orders/:id/status", async (req, res) => {
-  const { status } = req.body || {}
-  const allowed = new Set(["pending", "preparing", "ready", "on_the_way", "delivered", "cancelled", "rejected"])
+// Same filters, sorts and cursor contract as GET /api/customers/:uid/orders
+app.get("/api/restaurants/:restaurant_uid/orders", authenticate, requireSelf((req) => req.params.restaurant_uid), async (req, res) => {
+  const { restaurant_uid } = req.params
+  try {
+    const { page, sql, params } = orderListQuery("restaurant_uid", restaurant_uid, req.query)
+    await validateRestaurantUid(restaurant_uid)
+    const [rows] = await db.query(sql, params)
+    const { items: orders, pagination } = orderPages.build(rows, page)
 
-  if (!status || !allowed.has(status)) {
+    res.json({ success: true, data: { orders: await attachOrderItems(orders), pagination } })
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "fetching restaurant orders")
+  }
+})
+
+app.put("/api/orders/:id/status", authenticate, requireOrderParty(), async (req, res) => {
+  const { status, reason } = req.body || {}
+
+  if (!status || !ORDER_STATUSES.includes(status)) {
     return res.status(400).json({
       success: false,
       error: "Invalid or missing status",
     })
   }
 
+  // Customer cancellations go through the cancellation policy
+  if (status === "cancelled" && req.orderParty === "customer") {
+    return res.status(400).json({
+      success: false,
+      error: "Use the /cancel endpoint to cancel an order",
+    })
+  }
+
   let connection
+  let committed = false
   try {
     connection = await db.getConnection()
     await connection.beginTransaction()
 
     const [existing] = await connection.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
     if (existing.length === 0) {
+      await connection.rollback()
       return res.status(404).json({
         success: false,
         error: "Order not found",
@@ -2110,70 +3490,81 @@ app.put("/api/orders/:id/status", async (req, res) => {
 
     const currentOrder = existing[0]
 
-    // Prevent invalid status transitions
-    if (currentOrder.status === "pending") {
-      if (status !== "preparing" && status !== "rejected" && status !== "cancelled") {
-        return res.status(400).json({
-          success: false,
-          error: "Pending orders can only move to preparing, rejected, or cancelled. Use /accept or /reject endpoints.",
-        })
-      }
-    }
-
-    // Only allow direct status updates for non-pending orders
+    // Accepting and rejecting have their own endpoints with extra side effects
     if (currentOrder.status === "pending" && (status === "preparing" || status === "rejected")) {
+      await connection.rollback()
       return res.status(400).json({
         success: false,
         error: "Use /accept or /reject endpoints for pending orders",
       })
     }
 
-    const [result] = await connection.query("UPDATE orders SET status = ? WHERE id = ?", [status, req.params.id])
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Order not found",
-      })
-    }
+    // Cash is collected on delivery, which settles COD payments
+    const settlesCash =
+      status === "delivered" && isCashOnDelivery(currentOrder.payment_method) && currentOrder.payment_status !== "success"
+
+    // The state machine decides whether this party may make this move
+    await transitionOrder({
+      orderId: req.params.id,
+      to: status,
+      actor: req.orderParty,
+      actorUid: req.user.uid,
+      reason: reason || null,
+      set: settlesCash
+        ? { payment_status: "success", cash_collected_at: new Date() }
+        : status === "cancelled"
+          ? { cancelled_by: req.orderParty, cancellation_reason: reason || null, cancelled_at: new Date() }
+          : {},
+      conn: connection,
+    })
 
     const [updatedRows] = await connection.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
     const updatedOrder = updatedRows[0]
 
+    // Release the order row lock before telling anyone about the change
+    await connection.commit()
+    committed = true
+
     // Emit socket events
     io.to(`restaurant_${updatedOrder.restaurant_uid}`).emit("orderStatusUpdated", updatedOrder)
     io.to(`customer_${updatedOrder.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
 
     // Send FCM notification for delivered status if orderNotifications is enabled
     if (status === "delivered") {
-      const [prefs] = await connection.query(
-        "SELECT order_notifications FROM restaurant_preferences WHERE restaurant_uid = ?",
-        [updatedOrder.restaurant_uid],
-      )
-      const orderNotifications = prefs.length > 0 ? prefs[0].order_notifications : 1
-      if (orderNotifications) {
-        await sendFCMNotification(
+      try {
+        const [prefs] = await db.query("SELECT order_notifications FROM restaurant_preferences WHERE restaurant_uid = ?", [
           updatedOrder.restaurant_uid,
-          `Order #${updatedOrder.id} Delivered`,
-          "The order has been delivered.",
-          {
-            type: "orderStatusUpdated",
-            orderId: updatedOrder.id.toString(),
-            status: "delivered",
-          },
-        )
+        ])
+        const orderNotifications = prefs.length > 0 ? prefs[0].order_notifications : 1
+        if (orderNotifications) {
+          await sendFCMNotification(
+            updatedOrder.restaurant_uid,
+            `Order #${updatedOrder.id} Delivered`,
+            "The order has been delivered.",
+            {
+              type: "orderStatusUpdated",
+              orderId: updatedOrder.id.toString(),
+              status: "delivered",
+            },
+          )
+        }
+      } catch (notifyErr) {
+        console.error("Failed to send FCM notification:", notifyErr)
       }
     }
 
-    await connection.commit()
+    const refund = status === "cancelled" ? await refundAndNotify(updatedOrder, "Order cancelled", req.orderParty) : null
 
     res.json({
       success: true,
       message: "Status updated",
-      data: { order: updatedOrder },
+      data: { order: updatedOrder, refund },
     })
   } catch (err) {
-    if (connection) await connection.rollback()
+    if (connection && !committed) await connection.rollback()
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "updating order status")
   } finally {
     if (connection) connection.release()
@@ -2181,7 +3572,7 @@ app.put("/api/orders/:id/status", async (req, res) => {
 })
 
 // 1. Update document submission status (called after Google Form completion)
-app.post("/api/restaurants/:uid/documents-submitted", async (req, res) => {
+app.post("/api/restaurants/:uid/documents-submitted", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   try {
     const trimmedUid = req.params.uid.trim()
 
@@ -2220,7 +3611,7 @@ app.post("/api/restaurants/:uid/documents-submitted", async (req, res) => {
 })
 
 // 2. Get restaurant verification status (for login check)
-app.get("/api/restaurants/:uid/verification-status", async (req, res) => {
+app.get("/api/restaurants/:uid/verification-status", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   try {
     const trimmedUid = req.params.uid.trim()
 
@@ -2258,7 +3649,7 @@ app.get("/api/restaurants/:uid/verification-status", async (req, res) => {
   }
 })
 // New endpoint to save device token
-app.post("/api/restaurants/:uid/device-token", async (req, res) => {
+app.post("/api/restaurants/:uid/device-token", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { token } = req.body
   const { uid } = req.params
 
@@ -2291,7 +3682,7 @@ app.post("/api/restaurants/:uid/device-token", async (req, res) => {
 })
 
 // 3. Admin endpoint - Get all restaurants pending verification
-app.get("/api/admin/restaurants/pending-verification", async (req, res) => {
+app.get("/api/admin/restaurants/pending-verification", authenticate, requireAdminPermission("restaurants:view"), async (req, res) => {
   try {
     const [restaurants] = await db.query(`
       SELECT 
@@ -2319,7 +3710,7 @@ app.get("/api/admin/restaurants/pending-verification", async (req, res) => {
 })
 
 // 4. Admin endpoint - Update verification status
-app.put("/api/admin/restaurants/:uid/verification", async (req, res) => {
+app.put("/api/admin/restaurants/:uid/verification", authenticate, requireAdminPermission("restaurants:verify"), async (req, res) => {
   const { verification_status, verification_notes } = req.body
 
   // Validate input
@@ -2391,9 +3782,12 @@ app.put("/api/admin/restaurants/:uid/verification", async (req, res) => {
 })
 
 // 5. Get all restaurants with verification status (admin overview)
-app.get("/api/admin/restaurants/all-with-status", async (req, res) => {
+app.get("/api/admin/restaurants/all-with-status", authenticate, requireAdminPermission("restaurants:view"), async (req, res) => {
   try {
-    const { status } = req.query // Optional filter by verification_status
+    const page = adminRestaurantPages.parse(req.query)
+    // Optional filter by one or more verification statuses
+    const statuses = parseListFilter(req.query.status, ["pending", "verified", "rejected"], "status")
+    const keyset = adminRestaurantPages.clause(page)
 
     let query = `
       SELECT 
@@ -2411,28 +3805,309 @@ app.get("/api/admin/restaurants/all-with-status", async (req, res) => {
       FROM restaurant_owners
     `
 
+    const conditions = []
     const params = []
 
-    if (status && ["pending", "verified", "rejected"].includes(status)) {
-      query += " WHERE verification_status = ?"
-      params.push(status)
+    if (statuses) {
+      conditions.push("verification_status IN (?)")
+      params.push(statuses)
     }
+    if (keyset.where) {
+      conditions.push(keyset.where)
+      params.push(...keyset.params)
+    }
+    if (conditions.length) query += ` WHERE ${conditions.join(" AND ")}`
 
-    query += " ORDER BY created_at DESC"
+    query += ` ${keyset.orderBy}`
 
-    const [restaurants] = await db.query(query, params)
+    const [rows] = await db.query(query, [...params, keyset.limit])
+    const { items: restaurants, pagination } = adminRestaurantPages.build(rows, page)
 
     res.json({
       success: true,
-      data: { restaurants },
+      data: { restaurants, pagination },
     })
   } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
     handleError(res, err, "fetching restaurants with verification status")
   }
 })
 
+// 6. Admin endpoint - Current admin's role and permissions
+app.get("/api/admin/me", authenticate, async (req, res) => {
+  try {
+    const role = await getAdminRole(req.user.uid)
+    if (!role) {
+      return res.status(403).json({ success: false, error: "Admin access required" })
+    }
+    res.json({
+      success: true,
+      data: { uid: req.user.uid, role, permissions: getRolePermissions(role) },
+    })
+  } catch (err) {
+    handleError(res, err, "fetching admin role")
+  }
+})
+
+// 7. Super-admin endpoint - List admin users and their roles
+app.get("/api/admin/roles", authenticate, requireAdminPermission("admins:manage"), async (req, res) => {
+  try {
+    const [admins] = await db.query(
+      "SELECT uid, email, role, granted_by, created_at, updated_at FROM admin_users ORDER BY created_at DESC",
+    )
+    res.json({ success: true, data: { admins, roles: ADMIN_ROLES } })
+  } catch (err) {
+    handleError(res, err, "fetching admin roles")
+  }
+})
+
+// 8. Super-admin endpoint - Grant or change a user's admin role
+app.put("/api/admin/roles/:uid", authenticate, requireAdminPermission("admins:manage"), async (req, res) => {
+  const { role } = req.body || {}
+  if (!role || !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(", ")}`,
+    })
+  }
+
+  try {
+    const targetUid = req.params.uid.trim()
+
+    let firebaseUser
+    try {
+      firebaseUser = await admin.auth().getUser(targetUid)
+    } catch (lookupErr) {
+      if (lookupErr.code === "auth/user-not-found") {
+        return res.status(404).json({ success: false, error: `No Firebase user found for UID: ${targetUid}` })
+      }
+      throw lookupErr
+    }
+
+    await db.query(
+      `INSERT INTO admin_users (uid, email, role, granted_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE email = VALUES(email), role = VALUES(role), granted_by = VALUES(granted_by)`,
+      [targetUid, firebaseUser.email || null, role, req.user.uid],
+    )
+
+    const [rows] = await db.query("SELECT uid, email, role, granted_by, created_at, updated_at FROM admin_users WHERE uid = ?", [
+      targetUid,
+    ])
+
+    console.log(`🛡️ Admin role "${role}" granted to ${targetUid} by ${req.user.uid}`)
+
+    res.json({
+      success: true,
+      message: `Role "${role}" granted successfully`,
+      data: { admin: rows[0] },
+    })
+  } catch (err) {
+    handleError(res, err, "granting admin role")
+  }
+})
+
+// 9. Super-admin endpoint - Revoke a user's admin role
+app.delete("/api/admin/roles/:uid", authenticate, requireAdminPermission("admins:manage"), async (req, res) => {
+  try {
+    const targetUid = req.params.uid.trim()
+
+    if (targetUid === req.user.uid) {
+      return res.status(400).json({ success: false, error: "You cannot revoke your own admin role" })
+    }
+
+    const [result] = await db.query("DELETE FROM admin_users WHERE uid = ?", [targetUid])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: `No admin role found for UID: ${targetUid}` })
+    }
+
+    console.log(`🛡️ Admin role revoked from ${targetUid} by ${req.user.uid}`)
+
+    res.json({ success: true, message: "Admin role revoked successfully" })
+  } catch (err) {
+    handleError(res, err, "revoking admin role")
+  }
+})
+
+// 10. Admin endpoint - Move an order through the state machine as an admin
+app.put("/api/admin/orders/:id/status", authenticate, requireAdminPermission("orders:manage"), async (req, res) => {
+  const { status, reason } = req.body || {}
+
+  if (!status || !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: "Invalid or missing status" })
+  }
+  if (!reason || typeof reason !== "string" || reason.trim() === "") {
+    return res.status(400).json({ success: false, error: "A reason is required for admin status changes" })
+  }
+
+  try {
+    const transition = await transitionOrder({
+      orderId: req.params.id,
+      to: status,
+      actor: "admin",
+      actorUid: req.user.uid,
+      reason: reason.trim(),
+      set: status === "cancelled" ? { cancelled_by: "admin", cancellation_reason: reason.trim(), cancelled_at: new Date() } : {},
+    })
+
+    const [[updatedOrder]] = await db.query("SELECT * FROM orders WHERE id = ?", [req.params.id])
+
+    io.to(`restaurant_${updatedOrder.restaurant_uid}`).emit("orderStatusUpdated", updatedOrder)
+    io.to(`customer_${updatedOrder.customer_uid}`).emit("orderStatusUpdated", updatedOrder)
+
+    const refund =
+      status === "cancelled" || status === "rejected" ? await refundAndNotify(updatedOrder, reason.trim(), "admin") : null
+
+    console.log(`🛡️ Admin ${req.user.uid} moved order ${updatedOrder.id} from ${transition.from} to ${transition.to}`)
+
+    res.json({
+      success: true,
+      message: "Status updated",
+      data: { order: updatedOrder, refund },
+    })
+  } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating order status as admin")
+  }
+})
+
+// Platform-funded coupons; restaurant_uid in the body targets a single restaurant
+app.get("/api/admin/coupons", authenticate, requireAdminPermission("coupons:manage"), async (req, res) => {
+  try {
+    const fundedBy = COUPON_FUNDERS.includes(req.query.funded_by) ? req.query.funded_by : null
+    const coupons = await listCoupons({ restaurantUid: req.query.restaurant_uid?.trim() || null, fundedBy })
+    res.json({ success: true, data: { coupons } })
+  } catch (err) {
+    handleError(res, err, "fetching coupons")
+  }
+})
+
+const platformCouponInput = async (body) => {
+  const restaurantUid = typeof body.restaurant_uid === "string" && body.restaurant_uid.trim() ? body.restaurant_uid.trim() : null
+  if (restaurantUid) {
+    const [rows] = await db.query("SELECT uid FROM restaurant_owners WHERE uid = ?", [restaurantUid])
+    if (rows.length === 0) throw new CouponError(`Restaurant not found for UID: ${restaurantUid}`, 404)
+  }
+  return normalizeCouponInput(body, { fundedBy: "platform", restaurantUid })
+}
+
+app.post("/api/admin/coupons", authenticate, requireAdminPermission("coupons:manage"), async (req, res) => {
+  try {
+    const coupon = await saveCoupon(await platformCouponInput(req.body || {}), { createdBy: req.user.uid })
+    res.status(201).json({ success: true, message: "Coupon created", data: { coupon } })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "creating coupon")
+  }
+})
+
+app.put("/api/admin/coupons/:id", authenticate, requireAdminPermission("coupons:manage"), async (req, res) => {
+  try {
+    const [existing] = await db.query("SELECT id FROM coupons WHERE id = ? AND funded_by = 'platform'", [req.params.id])
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: "Coupon not found" })
+    }
+    const coupon = await saveCoupon(await platformCouponInput(req.body || {}), { id: existing[0].id })
+    res.json({ success: true, message: "Coupon updated", data: { coupon } })
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating coupon")
+  }
+})
+
+// Review moderation queue, newest first; status filters to visible or hidden reviews
+app.get("/api/admin/reviews", authenticate, requireAdminPermission("reviews:moderate"), async (req, res) => {
+  const { status, restaurant_uid } = req.query
+  if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` })
+  }
+  try {
+    const page = reviewPages.parse(req.query)
+    const { reviews: rows } = await listReviews({
+      restaurantUid: typeof restaurant_uid === "string" ? restaurant_uid.trim() : null,
+      status: status || null,
+      keyset: reviewPages.clause(page),
+    })
+    const { items: reviews, pagination } = reviewPages.build(rows, page)
+    res.json({ success: true, data: { reviews, pagination } })
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "fetching reviews for moderation")
+  }
+})
+
+// Hide an abusive review (reason required) or restore it
+app.put("/api/admin/reviews/:id/moderation", authenticate, requireAdminPermission("reviews:moderate"), async (req, res) => {
+  const { status, reason } = req.body || {}
+  try {
+    const review = await moderateReview(Number(req.params.id), { status, reason, moderatedBy: req.user.uid })
+    console.log(`🛡️ Review ${review.id} set to ${review.status} by ${req.user.uid}`)
+    res.json({ success: true, message: `Review ${review.status}`, data: { review } })
+  } catch (err) {
+    if (err instanceof ReviewError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "moderating review")
+  }
+})
+
+// Food categories shown on the home screen, including inactive ones
+app.get("/api/admin/food-categories", authenticate, requireAdminPermission("food_categories:manage"), async (req, res) => {
+  try {
+    res.json({ success: true, data: { categories: await listFoodCategories({ includeInactive: true }) } })
+  } catch (err) {
+    handleError(res, err, "fetching food categories")
+  }
+})
+
+app.post("/api/admin/food-categories", authenticate, requireAdminPermission("food_categories:manage"), async (req, res) => {
+  try {
+    const category = await createFoodCategory(normalizeFoodCategoryInput(req.body || {}, { requireSlug: true }))
+    res.status(201).json({ success: true, message: "Food category created", data: { category } })
+  } catch (err) {
+    if (err instanceof FoodCategoryError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "creating food category")
+  }
+})
+
+app.put("/api/admin/food-categories/:id", authenticate, requireAdminPermission("food_categories:manage"), async (req, res) => {
+  try {
+    const category = await updateFoodCategory(req.params.id, normalizeFoodCategoryInput(req.body || {}))
+    res.json({ success: true, message: "Food category updated", data: { category } })
+  } catch (err) {
+    if (err instanceof FoodCategoryError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "updating food category")
+  }
+})
+
+app.delete("/api/admin/food-categories/:id", authenticate, requireAdminPermission("food_categories:manage"), async (req, res) => {
+  try {
+    await deleteFoodCategory(req.params.id)
+    res.json({ success: true, message: "Food category deleted" })
+  } catch (err) {
+    if (err instanceof FoodCategoryError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message })
+    }
+    handleError(res, err, "deleting food category")
+  }
+})
+
 // Get notification preferences for a restaurant
-app.get("/api/restaurants/:uid/notification-preferences", async (req, res) => {
+app.get("/api/restaurants/:uid/notification-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { uid } = req.params
   try {
     const trimmedUid = uid.trim()
@@ -2453,8 +4128,183 @@ app.get("/api/restaurants/:uid/notification-preferences", async (req, res) => {
   }
 })
 
+// Get order preferences (acceptance window) for a restaurant
+app.get("/api/restaurants/:uid/order-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    const acceptanceWindowSeconds = await getAcceptanceWindowSeconds(trimmedUid)
+    res.json({ success: true, data: { acceptance_window_seconds: acceptanceWindowSeconds } })
+  } catch (err) {
+    handleError(res, err, "fetching order preferences")
+  }
+})
+
+// Update order preferences (acceptance window) for a restaurant
+app.put("/api/restaurants/:uid/order-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const { acceptance_window_seconds } = req.body || {}
+
+  if (
+    !Number.isInteger(acceptance_window_seconds) ||
+    acceptance_window_seconds < MIN_ACCEPTANCE_WINDOW_SECONDS ||
+    acceptance_window_seconds > MAX_ACCEPTANCE_WINDOW_SECONDS
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `acceptance_window_seconds must be an integer between ${MIN_ACCEPTANCE_WINDOW_SECONDS} and ${MAX_ACCEPTANCE_WINDOW_SECONDS}`,
+    })
+  }
+
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    await db.query(
+      `INSERT INTO restaurant_preferences (restaurant_uid, acceptance_window_seconds, updated_at)
+       VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE acceptance_window_seconds = VALUES(acceptance_window_seconds), updated_at = NOW()`,
+      [trimmedUid, acceptance_window_seconds],
+    )
+
+    res.json({
+      success: true,
+      data: { acceptance_window_seconds },
+      message: "Order preferences updated",
+    })
+  } catch (err) {
+    handleError(res, err, "updating order preferences")
+  }
+})
+
+// Get payment preferences (cash on delivery) for a restaurant
+app.get("/api/restaurants/:uid/payment-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    const preferences = await getRestaurantPaymentPreferences(trimmedUid)
+    res.json({ success: true, data: preferences })
+  } catch (err) {
+    handleError(res, err, "fetching payment preferences")
+  }
+})
+
+// Update payment preferences (cash on delivery) for a restaurant
+app.put("/api/restaurants/:uid/payment-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const body = req.body || {}
+  // Only the fields sent are changed; a null cod_max_order_value removes the cap
+  const updates = ["cod_enabled", "cod_max_order_value"].filter((field) => body[field] !== undefined)
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Provide at least one of: cod_enabled, cod_max_order_value",
+    })
+  }
+  if (body.cod_enabled !== undefined && body.cod_enabled !== 0 && body.cod_enabled !== 1) {
+    return res.status(400).json({
+      success: false,
+      error: "cod_enabled must be 0 or 1",
+    })
+  }
+  if (
+    body.cod_max_order_value !== undefined &&
+    body.cod_max_order_value !== null &&
+    (typeof body.cod_max_order_value !== "number" || body.cod_max_order_value <= 0)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "cod_max_order_value must be a positive number or null",
+    })
+  }
+
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    await db.query(
+      `INSERT INTO restaurant_preferences (restaurant_uid, ${updates.join(", ")}, updated_at)
+       VALUES (?, ${updates.map(() => "?").join(", ")}, NOW())
+       ON DUPLICATE KEY UPDATE ${updates.map((field) => `${field} = VALUES(${field})`).join(", ")}, updated_at = NOW()`,
+      [trimmedUid, ...updates.map((field) => body[field])],
+    )
+
+    const preferences = await getRestaurantPaymentPreferences(trimmedUid)
+    res.json({
+      success: true,
+      data: preferences,
+      message: "Payment preferences updated",
+    })
+  } catch (err) {
+    handleError(res, err, "updating payment preferences")
+  }
+})
+
+// Delivery and packing fees for a restaurant; null fields use the platform defaults
+app.get("/api/restaurants/:uid/pricing", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    const [rows] = await db.query(
+      `SELECT ${RESTAURANT_PRICING_FIELDS.join(", ")} FROM restaurant_preferences WHERE restaurant_uid = ?`,
+      [trimmedUid],
+    )
+    const overrides = Object.fromEntries(
+      RESTAURANT_PRICING_FIELDS.map((field) => [field, rows[0]?.[field] == null ? null : Number(rows[0][field])]),
+    )
+
+    res.json({
+      success: true,
+      data: { overrides, effective: await getRestaurantPricing(trimmedUid), platform: PLATFORM_PRICING },
+    })
+  } catch (err) {
+    handleError(res, err, "fetching restaurant pricing")
+  }
+})
+
+app.put("/api/restaurants/:uid/pricing", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
+  const body = req.body || {}
+  const updates = RESTAURANT_PRICING_FIELDS.filter((field) => body[field] !== undefined)
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Provide at least one of: ${RESTAURANT_PRICING_FIELDS.join(", ")}`,
+    })
+  }
+  const invalid = updates.find((field) => body[field] !== null && (typeof body[field] !== "number" || body[field] < 0))
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: `${invalid} must be a non-negative number or null`,
+    })
+  }
+
+  try {
+    const trimmedUid = req.params.uid.trim()
+    await validateRestaurantUid(trimmedUid)
+
+    await db.query(
+      `INSERT INTO restaurant_preferences (restaurant_uid, ${updates.join(", ")}, updated_at)
+       VALUES (?, ${updates.map(() => "?").join(", ")}, NOW())
+       ON DUPLICATE KEY UPDATE ${updates.map((field) => `${field} = VALUES(${field})`).join(", ")}, updated_at = NOW()`,
+      [trimmedUid, ...updates.map((field) => body[field])],
+    )
+
+    res.json({
+      success: true,
+      data: { effective: await getRestaurantPricing(trimmedUid) },
+      message: "Pricing updated",
+    })
+  } catch (err) {
+    handleError(res, err, "updating restaurant pricing")
+  }
+})
+
 // Update notification preferences for a restaurant
-app.put("/api/restaurants/:uid/notification-preferences", async (req, res) => {
+app.put("/api/restaurants/:uid/notification-preferences", authenticate, requireSelf((req) => req.params.uid), async (req, res) => {
   const { uid } = req.params
   const { order_notifications } = req.body
 
@@ -2477,9 +4327,12 @@ app.put("/api/restaurants/:uid/notification-preferences", async (req, res) => {
       [trimmedUid, order_notifications],
     )
 
+    // Turning notifications back on releases orders parked while they were off
+    const releasedOrders = order_notifications === 1 ? await releaseParkedOrders(trimmedUid) : 0
+
     return res.json({
       success: true,
-      data: { order_notifications },
+      data: { order_notifications, released_orders: releasedOrders },
       message: "Notification preferences updated",
     })
   } catch (err) {
@@ -2489,20 +4342,28 @@ app.put("/api/restaurants/:uid/notification-preferences", async (req, res) => {
 
 // Replace your existing sendFCMNotification function with this fixed version
 
+// Where each app's FCM tokens are stored
+const DEVICE_TOKEN_TABLES = {
+  restaurant: { table: "device_tokens", column: "restaurant_uid" },
+  customer: { table: "customer_device_tokens", column: "customer_uid" },
+};
+
 // Replace your existing sendFCMNotification with this fixed version
-async function sendFCMNotification(restaurantUid, title, body, data) {
+// recipient is "restaurant" (uid is a restaurant_uid) or "customer" (uid is a customer_uid)
+async function sendFCMNotification(uid, title, body, data, recipient = "restaurant") {
+  const { table, column } = DEVICE_TOKEN_TABLES[recipient];
   try {
-    const [rows] = await db.query("SELECT token FROM device_tokens WHERE restaurant_uid = ?", [restaurantUid]);
+    const [rows] = await db.query(`SELECT token FROM ${table} WHERE ${column} = ?`, [uid]);
 
     if (!rows || rows.length === 0) {
-      console.log(`No device tokens found for restaurant ${restaurantUid}`);
+      console.log(`No device tokens found for ${recipient} ${uid}`);
       return;
     }
 
     // Extract tokens
     const tokens = rows.map((r) => r.token).filter(Boolean);
     if (tokens.length === 0) {
-      console.log(`No valid tokens for restaurant ${restaurantUid}`);
+      console.log(`No valid tokens for ${recipient} ${uid}`);
       return;
     }
 
@@ -2536,7 +4397,7 @@ async function sendFCMNotification(restaurantUid, title, body, data) {
       };
 
       const response = await admin.messaging().send(message);
-      console.log(`FCM notification sent to ${restaurantUid}. Message ID: ${response}`);
+      console.log(`FCM notification sent to ${uid}. Message ID: ${response}`);
       return;
     }
 
@@ -2557,7 +4418,7 @@ async function sendFCMNotification(restaurantUid, title, body, data) {
 
     const response = await admin.messaging().sendMulticast(multicast);
     console.log(
-      `FCM multicast sent to restaurant ${restaurantUid}: success=${response.successCount}, failure=${response.failureCount}`
+      `FCM multicast sent to ${recipient} ${uid}: success=${response.successCount}, failure=${response.failureCount}`
     );
 
     if (response.failureCount && response.failureCount > 0) {
@@ -2571,12 +4432,12 @@ async function sendFCMNotification(restaurantUid, title, body, data) {
         }
       });
       if (failedTokens.length > 0) {
-        await db.query("DELETE FROM device_tokens WHERE token IN (?)", [failedTokens]);
-        console.log(`Cleaned up ${failedTokens.length} invalid tokens for ${restaurantUid}`);
+        await db.query(`DELETE FROM ${table} WHERE token IN (?)`, [failedTokens]);
+        console.log(`Cleaned up ${failedTokens.length} invalid tokens for ${uid}`);
       }
     }
   } catch (err) {
-    console.error(`Failed to send FCM notification to ${restaurantUid}:`, err);
+    console.error(`Failed to send FCM notification to ${uid}:`, err);
   }
 }
 
@@ -2592,6 +4453,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5001
 server.listen(PORT, "0.0.0.0", () => {
   console.log(` API server running at http://0.0.0.0:${PORT}`)
-  console.log(" Endpoints: /api/restaurants, /api/menu, /api/categories, /api/customers, /api/orders, /health")
-  console.log(" Socket.IO events: joinRestaurant, joinCustomer, newOrder, orderPlaced, orderStatusUpdated")
+  console.log(" Endpoints: /api/restaurants, /api/menu, /api/categories, /api/customers, /api/orders, /api/search, /health")
+  console.log(" Socket.IO events: joinRestaurant, joinCustomer, joinRejected, newOrder, orderPlaced, orderStatusUpdated, restaurantAvailabilityChanged")
+  startDeadlineScheduler({ onExpired: autoRejectOrder, onParkedExpired: expireParkedOrder, onUnpaidExpired: expireUnpaidCheckout })
+  startOperatingHoursScheduler({ onChange: applyScheduledStatus })
+  startSearchIndexRefresh()
 })
@@ -0,0 +1,265 @@
+import db from "./db.js"
+import { haversineKm, haversineSql, boundingBox, isValidCoordinate, pointInGeometry } from "./geo.js"
+
+// A restaurant with active delivery zones (GeoJSON polygons in delivery_zones) delivers to the points
+// inside them. Without zones it delivers within its delivery_radius_km (restaurant_preferences),
+// else the platform default radius.
+export const DEFAULT_DELIVERY_RADIUS_KM = Number(process.env.DEFAULT_DELIVERY_RADIUS_KM) || 7
+export const MAX_DELIVERY_RADIUS_KM = 50
+
+const MAX_ZONE_VERTICES = 1000
+
+export class ServiceAreaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ServiceAreaError"
+    this.statusCode = statusCode
+  }
+}
+
+const toCoordinate = (value) => (value === null || value === undefined ? null : Number(value))
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value))
+
+// Validate a GeoJSON Polygon or MultiPolygon; a Feature wrapping one is unwrapped and rings that do
+// not repeat their first position are closed. Returns { geometry, bbox }.
+export const normalizeZoneGeometry = (input) => {
+  const geometry = input?.type === "Feature" ? input.geometry : input
+  if (!geometry || !["Polygon", "MultiPolygon"].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    throw new ServiceAreaError("geometry must be a GeoJSON Polygon or MultiPolygon")
+  }
+
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates
+  if (polygons.length === 0) throw new ServiceAreaError("geometry has no polygons")
+
+  const bbox = { minLat: 90, maxLat: -90, minLng: 180, maxLng: -180 }
+  let vertices = 0
+  const normalized = polygons.map((rings, p) => {
+    if (!Array.isArray(rings) || rings.length === 0) throw new ServiceAreaError(`Polygon ${p} has no rings`)
+    return rings.map((ring, r) => {
+      if (!Array.isArray(ring)) throw new ServiceAreaError(`Polygon ${p}, ring ${r} must be an array of positions`)
+      const positions = ring.map((position) => {
+        const [longitude, latitude] = Array.isArray(position) ? position : []
+        if (!isValidCoordinate(latitude, longitude)) {
+          throw new ServiceAreaError(`Polygon ${p}, ring ${r}: positions must be [longitude, latitude]`)
+        }
+        return [longitude, latitude]
+      })
+      const first = positions[0]
+      const last = positions[positions.length - 1]
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) positions.push([...first])
+      if (positions.length < 4) throw new ServiceAreaError(`Polygon ${p}, ring ${r} needs at least 3 distinct points`)
+
+      vertices += positions.length
+      // Holes lie inside the outer ring, so it alone bounds the zone
+      if (r === 0) {
+        for (const [longitude, latitude] of positions) {
+          bbox.minLat = Math.min(bbox.minLat, latitude)
+          bbox.maxLat = Math.max(bbox.maxLat, latitude)
+          bbox.minLng = Math.min(bbox.minLng, longitude)
+          bbox.maxLng = Math.max(bbox.maxLng, longitude)
+        }
+      }
+      return positions
+    })
+  })
+  if (vertices > MAX_ZONE_VERTICES) throw new ServiceAreaError(`geometry may have at most ${MAX_ZONE_VERTICES} positions`)
+
+  return {
+    geometry:
+      geometry.type === "Polygon"
+        ? { type: "Polygon", coordinates: normalized[0] }
+        : { type: "MultiPolygon", coordinates: normalized },
+    bbox,
+  }
+}
+
+const optionalAmount = (body, field) => {
+  const value = body[field]
+  if (value === undefined || value === null) return null
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new ServiceAreaError(`${field} must be a non-negative number or null`)
+  }
+  return Math.round(value * 100) / 100
+}
+
+// Validate a create/update payload: { name, geometry, delivery_fee?, min_order_value?, is_active? }
+export const normalizeZoneInput = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : ""
+  if (!name || name.length > 100) throw new ServiceAreaError("name is required (at most 100 characters)")
+  const { geometry, bbox } = normalizeZoneGeometry(body.geometry)
+  return {
+    name,
+    geometry,
+    bbox,
+    delivery_fee: optionalAmount(body, "delivery_fee"),
+    min_order_value: optionalAmount(body, "min_order_value"),
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1,
+  }
+}
+
+const formatZone = (row) => ({
+  id: row.id,
+  restaurant_uid: row.restaurant_uid,
+  name: row.name,
+  geometry: typeof row.geometry === "string" ? JSON.parse(row.geometry) : row.geometry,
+  delivery_fee: toAmount(row.delivery_fee),
+  min_order_value: toAmount(row.min_order_value),
+  is_active: row.is_active === 1,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+})
+
+export const listDeliveryZones = async (restaurantUid) => {
+  const [rows] = await db.query("SELECT * FROM delivery_zones WHERE restaurant_uid = ? ORDER BY id", [restaurantUid])
+  return rows.map(formatZone)
+}
+
+// Insert or update one of a restaurant's zones and return it as listed
+export const saveDeliveryZone = async (restaurantUid, zone, { id = null, createdBy = null } = {}) => {
+  const values = [
+    zone.name,
+    JSON.stringify(zone.geometry),
+    zone.bbox.minLat,
+    zone.bbox.maxLat,
+    zone.bbox.minLng,
+    zone.bbox.maxLng,
+    zone.delivery_fee,
+    zone.min_order_value,
+    zone.is_active,
+  ]
+  if (id === null) {
+    const [result] = await db.query(
+      `INSERT INTO delivery_zones
+        (restaurant_uid, name, geometry, min_latitude, max_latitude, min_longitude, max_longitude,
+         delivery_fee, min_order_value, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [restaurantUid, ...values, createdBy],
+    )
+    id = result.insertId
+  } else {
+    const [result] = await db.query(
+      `UPDATE delivery_zones
+       SET name = ?, geometry = ?, min_latitude = ?, max_latitude = ?, min_longitude = ?, max_longitude = ?,
+           delivery_fee = ?, min_order_value = ?, is_active = ?
+       WHERE id = ? AND restaurant_uid = ?`,
+      [...values, id, restaurantUid],
+    )
+    if (result.affectedRows === 0) throw new ServiceAreaError("Delivery zone not found", 404)
+  }
+  const [[saved]] = await db.query("SELECT * FROM delivery_zones WHERE id = ?", [id])
+  return formatZone(saved)
+}
+
+export const deleteDeliveryZone = async (restaurantUid, id) => {
+  const [result] = await db.query("DELETE FROM delivery_zones WHERE id = ? AND restaurant_uid = ?", [id, restaurantUid])
+  if (result.affectedRows === 0) throw new ServiceAreaError("Delivery zone not found", 404)
+}
+
+// Active zones containing the point, oldest first; restaurantUid limits them to one restaurant
+const zonesAtPoint = async (conn, latitude, longitude, restaurantUid = null) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM delivery_zones
+     WHERE is_active = 1
+       AND ? BETWEEN min_latitude AND max_latitude
+       AND ? BETWEEN min_longitude AND max_longitude
+       ${restaurantUid ? "AND restaurant_uid = ?" : ""}
+     ORDER BY id`,
+    restaurantUid ? [latitude, longitude, restaurantUid] : [latitude, longitude],
+  )
+  return rows.map(formatZone).filter((zone) => pointInGeometry(latitude, longitude, zone.geometry))
+}
+
+// Where a restaurant delivers from and how far; latitude/longitude are null until set via /geo-location
+export const getServiceArea = async (restaurantUid, conn = db) => {
+  const [[row]] = await conn.query(
+    `SELECT r.latitude, r.longitude, rp.delivery_radius_km,
+            (SELECT COUNT(*) FROM delivery_zones z WHERE z.restaurant_uid = r.uid AND z.is_active = 1) AS active_zones
+     FROM restaurant_owners r
+     LEFT JOIN restaurant_preferences rp ON rp.restaurant_uid = r.uid
+     WHERE r.uid = ?`,
+    [restaurantUid],
+  )
+  return {
+    latitude: toCoordinate(row?.latitude),
+    longitude: toCoordinate(row?.longitude),
+    delivery_radius_km: row?.delivery_radius_km == null ? DEFAULT_DELIVERY_RADIUS_KM : Number(row.delivery_radius_km),
+    has_zones: Number(row?.active_zones || 0) > 0,
+  }
+}
+
+// Reject a delivery point the restaurant does not serve. Orders without coordinates cannot be
+// checked and pass, as do radius restaurants that have not set their location yet.
+// Returns { distance_km, zone } with distance_km null when unknown and zone the matching delivery zone.
+export const assertDeliverable = async (conn, restaurantUid, coordinates) => {
+  if (!coordinates || !isValidCoordinate(coordinates.latitude, coordinates.longitude)) {
+    return { distance_km: null, zone: null }
+  }
+
+  const area = await getServiceArea(restaurantUid, conn)
+  const distanceKm = isValidCoordinate(area.latitude, area.longitude)
+    ? haversineKm(area.latitude, area.longitude, coordinates.latitude, coordinates.longitude)
+    : null
+
+  if (area.has_zones) {
+    const [zone] = await zonesAtPoint(conn, coordinates.latitude, coordinates.longitude, restaurantUid)
+    if (!zone) throw new ServiceAreaError("This address is outside the restaurant's delivery zones")
+    return { distance_km: distanceKm, zone }
+  }
+
+  if (distanceKm !== null && distanceKm > area.delivery_radius_km) {
+    throw new ServiceAreaError(
+      `This address is ${distanceKm.toFixed(1)} km away; the restaurant only delivers within ${area.delivery_radius_km} km`,
+    )
+  }
+  return { distance_km: distanceKm, zone: null }
+}
+
+const LISTING_COLUMNS = `r.uid AS id, r.restaurant_name AS name, r.location, r.email, r.is_online, r.is_pure_veg,
+  r.created_at, r.updated_at`
+
+// Restaurants that deliver to a point: zone restaurants with a zone containing it and radius
+// restaurants whose radius reaches it. Restaurants farther than radiusKm are left out; zone restaurants
+// without a location are kept. Closest first, unknown distances last. Rows carry listing columns
+// plus distance_km, delivery_radius_km (radius restaurants) and zone (zone restaurants).
+export const findDeliveringRestaurants = async (latitude, longitude, radiusKm) => {
+  const box = boundingBox(latitude, longitude, radiusKm)
+  const [byRadius] = await db.query(
+    `SELECT ${LISTING_COLUMNS},
+       COALESCE(rp.delivery_radius_km, ?) AS delivery_radius_km,
+       ${haversineSql("r.latitude", "r.longitude")} AS distance_km
+     FROM restaurant_owners r
+     LEFT JOIN restaurant_preferences rp ON rp.restaurant_uid = r.uid
+     WHERE r.latitude BETWEEN ? AND ? AND r.longitude BETWEEN ? AND ?
+       AND NOT EXISTS (SELECT 1 FROM delivery_zones z WHERE z.restaurant_uid = r.uid AND z.is_active = 1)
+     HAVING distance_km <= delivery_radius_km AND distance_km <= ?`,
+    [DEFAULT_DELIVERY_RADIUS_KM, latitude, latitude, longitude, box.minLat, box.maxLat, box.minLng, box.maxLng, radiusKm],
+  )
+
+  const zoneByRestaurant = new Map()
+  for (const zone of await zonesAtPoint(db, latitude, longitude)) {
+    if (!zoneByRestaurant.has(zone.restaurant_uid)) zoneByRestaurant.set(zone.restaurant_uid, zone)
+  }
+  const [zoned] = zoneByRestaurant.size
+    ? await db.query(`SELECT ${LISTING_COLUMNS}, r.latitude, r.longitude FROM restaurant_owners r WHERE r.uid IN (?)`, [
+        [...zoneByRestaurant.keys()],
+      ])
+    : [[]]
+
+  const results = [
+    ...byRadius.map((r) => ({ ...r, distance_km: Number(r.distance_km), delivery_radius_km: Number(r.delivery_radius_km), zone: null })),
+    ...zoned
+      .map(({ latitude: lat, longitude: lng, ...r }) => {
+        const restaurantLat = toCoordinate(lat)
+        const restaurantLng = toCoordinate(lng)
+        const distanceKm = isValidCoordinate(restaurantLat, restaurantLng)
+          ? haversineKm(restaurantLat, restaurantLng, latitude, longitude)
+          : null
+        return { ...r, distance_km: distanceKm, delivery_radius_km: null, zone: zoneByRestaurant.get(r.id) }
+      })
+      .filter((r) => r.distance_km === null || r.distance_km <= radiusKm),
+  ]
+  return results.sort(
+    (a, b) =>
+      (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) || String(a.name).localeCompare(String(b.name)),
+  )
+}
@@ -0,0 +1,32 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { requireSelf } from "../auth.js"
+
+// Run the middleware for a caller with uid "abc" and report the status it answered, or "next"
+const check = (claimed) => {
+  let outcome = null
+  const res = {
+    status: (code) => {
+      outcome = code
+      return { json: () => {} }
+    },
+  }
+  requireSelf(() => claimed)({ user: { uid: "abc" } }, res, () => (outcome = "next"))
+  return outcome
+}
+
+test("the caller's own UID passes and anyone else's is forbidden", () => {
+  assert.equal(check("abc"), "next")
+  assert.equal(check("xyz"), 403)
+  assert.equal(check(["abc"]), 403)
+})
+
+test("a missing UID is left to the route", () => {
+  assert.equal(check(undefined), "next")
+  assert.equal(check(""), "next")
+})
+
+test("a UID padded with whitespace is rejected instead of trimmed", () => {
+  assert.equal(check(" abc"), 400)
+  assert.equal(check("abc\n"), 400)
+})
@@ -0,0 +1,59 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+// The policy is read from the environment when the module loads; each import below gets a fresh copy
+const loadPolicy = async (env, copy) => {
+  Object.assign(process.env, env)
+  try {
+    return await import(`../cancellationPolicy.js?${copy}`)
+  } finally {
+    for (const name of Object.keys(env)) delete process.env[name]
+  }
+}
+
+const paidOrder = (status) => ({ status, payment_status: "success", total_price: "200.00" })
+
+test("pending orders cancel for free with the whole refundable amount back", async () => {
+  const { getCancellationQuote } = await loadPolicy({ CANCELLATION_POLICY_PENDING: "" }, "defaults")
+  assert.deepEqual(getCancellationQuote(paidOrder("pending"), 150), { allowed: true, policy: "free", fee: 0, refund_amount: 150 })
+})
+
+test("preparing orders cannot be cancelled by default", async () => {
+  const { getCancellationQuote } = await loadPolicy({ CANCELLATION_POLICY_PREPARING: "" }, "defaults-preparing")
+  const quote = getCancellationQuote(paidOrder("preparing"), 200)
+  assert.equal(quote.allowed, false)
+  assert.equal(quote.refund_amount, 0)
+  assert.match(quote.reason, /once they are preparing/)
+})
+
+test("the fee policy keeps CANCELLATION_FEE_PERCENT of the order total", async () => {
+  const { getCancellationQuote, CANCELLATION_FEE_PERCENT } = await loadPolicy(
+    { CANCELLATION_POLICY_PREPARING: "fee", CANCELLATION_FEE_PERCENT: "10" },
+    "fee-10",
+  )
+  assert.equal(CANCELLATION_FEE_PERCENT, 10)
+  assert.deepEqual(getCancellationQuote(paidOrder("preparing"), 200), { allowed: true, policy: "fee", fee: 20, refund_amount: 180 })
+  // The fee never exceeds what is left to refund
+  assert.deepEqual(getCancellationQuote(paidOrder("preparing"), 15), { allowed: true, policy: "fee", fee: 15, refund_amount: 0 })
+})
+
+test("CANCELLATION_FEE_PERCENT=0 means no fee, while unset or invalid values use 25", async () => {
+  assert.equal((await loadPolicy({ CANCELLATION_FEE_PERCENT: "0" }, "fee-0")).CANCELLATION_FEE_PERCENT, 0)
+  assert.equal((await loadPolicy({ CANCELLATION_FEE_PERCENT: "" }, "fee-empty")).CANCELLATION_FEE_PERCENT, 25)
+  assert.equal((await loadPolicy({ CANCELLATION_FEE_PERCENT: "abc" }, "fee-invalid")).CANCELLATION_FEE_PERCENT, 25)
+  assert.equal((await loadPolicy({ CANCELLATION_FEE_PERCENT: "150" }, "fee-capped")).CANCELLATION_FEE_PERCENT, 100)
+})
+
+test("unpaid and cash orders never pay a fee", async () => {
+  const { getCancellationQuote } = await loadPolicy({ CANCELLATION_POLICY_PREPARING: "fee" }, "fee-unpaid")
+  const quote = getCancellationQuote({ ...paidOrder("preparing"), payment_status: "pending" }, 200)
+  assert.deepEqual(quote, { allowed: true, policy: "fee", fee: 0, refund_amount: 0 })
+})
+
+test("orders awaiting payment or a restaurant always cancel for free", async () => {
+  const { getCancellationPolicy } = await loadPolicy({ CANCELLATION_POLICY_PENDING: "none" }, "pending-none")
+  assert.equal(getCancellationPolicy("payment_pending"), "free")
+  assert.equal(getCancellationPolicy("pending_restaurant_online"), "free")
+  assert.equal(getCancellationPolicy("pending"), "none")
+  assert.equal(getCancellationPolicy("on_the_way"), "none")
+})
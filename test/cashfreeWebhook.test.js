@@ -0,0 +1,39 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { computeWebhookSignature, verifyWebhookSignature } from "../cashfreeWebhook.js"
+
+const secret = "whsec_test"
+const rawBody = JSON.stringify({ type: "PAYMENT_SUCCESS_WEBHOOK", data: { order: { order_id: "order_1" } } })
+const now = 1_700_000_000_000
+const timestamp = String(now - 60_000)
+const signed = { rawBody, timestamp, signature: computeWebhookSignature(timestamp, rawBody, secret), secret, now }
+
+test("a correctly signed webhook inside the replay window is valid", () => {
+  assert.deepEqual(verifyWebhookSignature(signed), { valid: true })
+  assert.deepEqual(verifyWebhookSignature({ ...signed, rawBody: Buffer.from(rawBody) }), { valid: true })
+})
+
+test("timestamps in seconds are accepted", () => {
+  const seconds = String(Math.floor(now / 1000) - 60)
+  const result = verifyWebhookSignature({ ...signed, timestamp: seconds, signature: computeWebhookSignature(seconds, rawBody, secret) })
+  assert.deepEqual(result, { valid: true })
+})
+
+test("tampered bodies and wrong secrets fail the signature check", () => {
+  assert.equal(verifyWebhookSignature({ ...signed, rawBody: rawBody.replace("order_1", "order_2") }).reason, "Signature mismatch")
+  assert.equal(verifyWebhookSignature({ ...signed, secret: "other" }).reason, "Signature mismatch")
+  assert.equal(verifyWebhookSignature({ ...signed, signature: "short" }).reason, "Signature mismatch")
+})
+
+test("replayed webhooks outside the window are rejected", () => {
+  const result = verifyWebhookSignature({ ...signed, now: now + 10 * 60_000, toleranceSeconds: 300 })
+  assert.equal(result.valid, false)
+  assert.match(result.reason, /replay window/)
+})
+
+test("missing configuration and headers are rejected", () => {
+  assert.equal(verifyWebhookSignature({ ...signed, secret: "" }).valid, false)
+  assert.equal(verifyWebhookSignature({ ...signed, signature: undefined }).valid, false)
+  assert.equal(verifyWebhookSignature({ ...signed, timestamp: "abc" }).reason, "Malformed timestamp header")
+  assert.equal(verifyWebhookSignature({ ...signed, rawBody: undefined }).reason, "Raw body not captured")
+})
@@ -0,0 +1,35 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { suggestTags } from "../categoryKeywords.js"
+
+const categories = [
+  { id: "paneer", searchKeywords: ["paneer"] },
+  { id: "chicken", searchKeywords: ["chicken"] },
+  { id: "egg", searchKeywords: ["egg", "omelette"] },
+  { id: "south-indian", searchKeywords: ["dosa", "idli", "south indian"] },
+]
+
+test("keywords in the name, description or category suggest a tag", () => {
+  assert.deepEqual(suggestTags({ name: "Paneer Tikka" }, categories), ["paneer"])
+  assert.deepEqual(suggestTags({ name: "Masala Dosa", category: "Breakfast" }, categories), ["south-indian"])
+  assert.deepEqual(suggestTags({ name: "Thali", description: "Rice with Chicken curry and an egg" }, categories), ["chicken", "egg"])
+})
+
+test("keywords only match whole words", () => {
+  assert.deepEqual(suggestTags({ name: "Chickenpox Special" }, categories), [])
+  assert.deepEqual(suggestTags({ name: "Eggless Cake" }, categories), [])
+})
+
+test("multi-word keywords match across punctuation", () => {
+  assert.deepEqual(suggestTags({ name: "South-Indian Platter" }, categories), ["south-indian"])
+})
+
+test("negated keywords are ignored", () => {
+  assert.deepEqual(suggestTags({ name: "Chicken-free Paneer Tikka" }, categories), ["paneer"])
+  assert.deepEqual(suggestTags({ name: "Veg Fried Rice", description: "No egg, without chicken" }, categories), [])
+  assert.deepEqual(suggestTags({ name: "Non chicken platter" }, categories), [])
+})
+
+test("a keyword counts when any mention is not negated", () => {
+  assert.deepEqual(suggestTags({ name: "Egg Curry", description: "Egg-free version on request" }, categories), ["egg"])
+})
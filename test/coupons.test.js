@@ -0,0 +1,85 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { CouponError, calculateDiscount, evaluateCoupon } from "../coupons.js"
+
+const baseCoupon = {
+  id: 3,
+  code: "SAVE20",
+  is_active: 1,
+  restaurant_uid: null,
+  discount_type: "percentage",
+  discount_value: "20",
+  max_discount: null,
+  min_order_value: "100",
+  total_usage_limit: null,
+  per_user_limit: null,
+  first_order_only: 0,
+  valid_from: null,
+  valid_until: null,
+}
+
+// A connection holding one coupon and the given redemption and order counts; records every query
+const couponConnection = (coupon, { redemptions = 0, customerRedemptions = 0, placedOrders = 0 } = {}) => {
+  const conn = {
+    queries: [],
+    query: async (sql, params) => {
+      conn.queries.push(sql)
+      if (sql.startsWith("SELECT * FROM coupons")) return [coupon && coupon.code === params[0] ? [coupon] : []]
+      if (sql.includes("FROM orders")) return [[{ placed: placedOrders }]]
+      if (sql.includes("customer_uid = ?")) return [[{ used: customerRedemptions }]]
+      if (sql.includes("FROM coupon_redemptions")) return [[{ used: redemptions }]]
+      throw new Error(`Unexpected query: ${sql}`)
+    },
+  }
+  return conn
+}
+
+const evaluate = (coupon, counts, cart = {}) =>
+  evaluateCoupon(couponConnection(coupon, counts), { code: "save20", restaurantUid: "r1", customerUid: "c1", subtotal: 300, ...cart })
+
+test("percentage discounts respect the cap and flat discounts never exceed the subtotal", () => {
+  assert.equal(calculateDiscount(baseCoupon, 333), 66.6)
+  assert.equal(calculateDiscount({ ...baseCoupon, max_discount: "50" }, 333), 50)
+  assert.equal(calculateDiscount({ ...baseCoupon, discount_type: "flat", discount_value: "75" }, 60), 60)
+})
+
+test("a valid coupon returns its discount", async () => {
+  const { coupon, discount } = await evaluate(baseCoupon)
+  assert.equal(coupon.id, 3)
+  assert.equal(discount, 60)
+})
+
+test("checkout locks the coupon row", async () => {
+  const conn = couponConnection(baseCoupon)
+  await evaluateCoupon(conn, { code: "SAVE20", restaurantUid: "r1", customerUid: "c1", subtotal: 300, lock: true })
+  assert.match(conn.queries[0], /FOR UPDATE$/)
+})
+
+test("coupons are rejected outside their rules", async () => {
+  const cases = [
+    [null, {}, {}, 404],
+    [{ ...baseCoupon, is_active: 0 }, {}, {}, 404],
+    [{ ...baseCoupon, valid_until: new Date(Date.now() - 1000) }, {}, {}, 400],
+    [{ ...baseCoupon, valid_from: new Date(Date.now() + 60000) }, {}, {}, 400],
+    [{ ...baseCoupon, restaurant_uid: "r2" }, {}, {}, 400],
+    [baseCoupon, {}, { subtotal: 99 }, 400],
+  ]
+  for (const [coupon, counts, cart, statusCode] of cases) {
+    await assert.rejects(evaluate(coupon, counts, cart), (err) => err instanceof CouponError && err.statusCode === statusCode)
+  }
+})
+
+test("usage limits count applied redemptions", async () => {
+  await assert.rejects(evaluate({ ...baseCoupon, total_usage_limit: 5 }, { redemptions: 5 }), /fully redeemed/)
+  await assert.doesNotReject(evaluate({ ...baseCoupon, total_usage_limit: 5 }, { redemptions: 4 }))
+  await assert.rejects(evaluate({ ...baseCoupon, per_user_limit: 1 }, { customerRedemptions: 1 }), /already used/)
+})
+
+test("per-customer rules need a signed-in customer", async () => {
+  await assert.rejects(evaluate({ ...baseCoupon, per_user_limit: 1 }, {}, { customerUid: null }), { statusCode: 401 })
+})
+
+test("first-order coupons are refused once the customer has placed an order", async () => {
+  await assert.rejects(evaluate({ ...baseCoupon, first_order_only: 1 }, { placedOrders: 1 }), /first order/)
+  await assert.doesNotReject(evaluate({ ...baseCoupon, first_order_only: 1 }, { placedOrders: 0 }))
+})
@@ -0,0 +1,50 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { pointInGeometry } from "../geo.js"
+
+// A 2x2 degree square around (1, 1) with a hole around its centre; positions are [longitude, latitude]
+const square = [
+  [0, 0],
+  [2, 0],
+  [2, 2],
+  [0, 2],
+  [0, 0],
+]
+const hole = [
+  [0.8, 0.8],
+  [1.2, 0.8],
+  [1.2, 1.2],
+  [0.8, 1.2],
+  [0.8, 0.8],
+]
+
+test("points inside a polygon are found and points outside are not", () => {
+  const polygon = { type: "Polygon", coordinates: [square] }
+  assert.equal(pointInGeometry(0.5, 1.5, polygon), true)
+  assert.equal(pointInGeometry(2.5, 1, polygon), false)
+  assert.equal(pointInGeometry(1, -0.1, polygon), false)
+})
+
+test("points in a hole are outside the polygon", () => {
+  const polygon = { type: "Polygon", coordinates: [square, hole] }
+  assert.equal(pointInGeometry(1, 1, polygon), false)
+  assert.equal(pointInGeometry(0.5, 0.5, polygon), true)
+})
+
+test("latitude and longitude are not swapped", () => {
+  const wide = { type: "Polygon", coordinates: [[[0, 0], [10, 0], [10, 1], [0, 1], [0, 0]]] }
+  assert.equal(pointInGeometry(0.5, 5, wide), true)
+  assert.equal(pointInGeometry(5, 0.5, wide), false)
+})
+
+test("any polygon of a MultiPolygon counts", () => {
+  const shifted = square.map(([lng, lat]) => [lng + 10, lat])
+  const multi = { type: "MultiPolygon", coordinates: [[square], [shifted]] }
+  assert.equal(pointInGeometry(1, 11, multi), true)
+  assert.equal(pointInGeometry(1, 6, multi), false)
+})
+
+test("other geometries contain nothing", () => {
+  assert.equal(pointInGeometry(1, 1, { type: "Point", coordinates: [1, 1] }), false)
+  assert.equal(pointInGeometry(1, 1, null), false)
+})
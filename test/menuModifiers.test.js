@@ -0,0 +1,165 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { ModifierError, getModifierGroups, normalizeModifierGroups, resolveModifiers, saveModifierGroups } from "../menuModifiers.js"
+
+// In-memory menu_modifier_groups and menu_modifier_options behind the queries menuModifiers.js makes
+const modifierStore = () => {
+  const groups = []
+  const options = []
+  let nextId = 100
+  const store = {
+    groups,
+    options,
+    query: async (sql, params) => {
+      const text = sql.replace(/\s+/g, " ").trim()
+      if (text.startsWith("SELECT g.id AS group_id")) {
+        const rows = groups
+          .filter((g) => params[0].includes(g.menu_item_id))
+          .sort((a, b) => a.sort_order - b.sort_order)
+          .flatMap((g) =>
+            options
+              .filter((o) => o.group_id === g.id)
+              .sort((a, b) => a.sort_order - b.sort_order)
+              .map((o) => ({
+                group_id: g.id,
+                menu_item_id: g.menu_item_id,
+                group_name: g.name,
+                group_type: g.group_type,
+                min_select: g.min_select,
+                max_select: g.max_select,
+                option_id: o.id,
+                option_name: o.name,
+                price: o.price,
+                is_available: o.is_available,
+              })),
+          )
+        return [rows]
+      }
+      if (text.startsWith("INSERT INTO menu_modifier_groups")) {
+        const [menu_item_id, name, group_type, min_select, max_select, sort_order] = params
+        groups.push({ id: ++nextId, menu_item_id, name, group_type, min_select, max_select, sort_order })
+        return [{ insertId: nextId }]
+      }
+      if (text.startsWith("UPDATE menu_modifier_groups")) {
+        const [name, group_type, min_select, max_select, sort_order, id] = params
+        Object.assign(groups.find((g) => g.id === id), { name, group_type, min_select, max_select, sort_order })
+        return [{ affectedRows: 1 }]
+      }
+      if (text.startsWith("INSERT INTO menu_modifier_options")) {
+        const [group_id, name, price, is_available, sort_order] = params
+        options.push({ id: ++nextId, group_id, name, price, is_available, sort_order })
+        return [{ insertId: nextId }]
+      }
+      if (text.startsWith("UPDATE menu_modifier_options")) {
+        const [name, price, isAvailable, sort_order, id] = params
+        const option = options.find((o) => o.id === id)
+        Object.assign(option, { name, price, is_available: isAvailable ?? option.is_available, sort_order })
+        return [{ affectedRows: 1 }]
+      }
+      if (text.startsWith("DELETE FROM menu_modifier_options")) {
+        options.splice(0, options.length, ...options.filter((o) => !params[0].includes(o.id)))
+        return [{ affectedRows: 1 }]
+      }
+      if (text.startsWith("DELETE FROM menu_modifier_groups")) {
+        groups.splice(0, groups.length, ...groups.filter((g) => !params[0].includes(g.id)))
+        return [{ affectedRows: 1 }]
+      }
+      throw new Error(`Unexpected query: ${text}`)
+    },
+  }
+  return store
+}
+
+const payload = [
+  { name: "Size", type: "variant", options: [{ name: "Half", price: 120 }, { name: "Full", price: 200 }] },
+  { name: "Extras", type: "addon", max_select: 2, options: [{ name: "Cheese", price: 30 }, { name: "Butter", price: 20 }] },
+]
+
+const load = async (store) => (await getModifierGroups([1], store)).get(1)
+
+test("variants replace the item price and add-ons add to it", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  const groups = await load(store)
+  const [half, full] = groups[0].options
+  const [cheese, butter] = groups[1].options
+
+  const resolved = resolveModifiers({ name: "Paneer Tikka", price: 180 }, groups, { option_ids: [full.id, cheese.id, butter.id] })
+  assert.equal(resolved.unit_price, 200)
+  assert.equal(resolved.add_on_price, 50)
+  assert.deepEqual(resolved.modifiers.map((m) => m.name), ["Full", "Cheese", "Butter"])
+
+  // Older clients name add-ons instead of sending ids
+  const legacy = resolveModifiers({ name: "Paneer Tikka", price: 180 }, groups, { option_ids: [half.id], add_ons: ["cheese"] })
+  assert.equal(legacy.add_on_price, 30)
+})
+
+test("choices outside the group rules are rejected", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  const groups = await load(store)
+  const [half, full] = groups[0].options
+  const item = { name: "Paneer Tikka", price: 180 }
+
+  assert.throws(() => resolveModifiers(item, groups, {}), /Choose 1 option/)
+  assert.throws(() => resolveModifiers(item, groups, { option_ids: [half.id, full.id] }), /Choose 1 option/)
+  assert.throws(() => resolveModifiers(item, groups, { option_ids: [half.id, half.id] }), /more than once/)
+  assert.throws(() => resolveModifiers(item, groups, { option_ids: [half.id, 9999] }), /does not belong/)
+})
+
+test("saving again keeps the ids of groups and options that are still there", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  const before = await load(store)
+
+  // The client sends back the ids it read, renames Full, drops Butter and adds Olives
+  const edited = [
+    {
+      ...payload[0],
+      id: before[0].id,
+      options: [
+        { id: before[0].options[0].id, name: "Half", price: 120 },
+        { id: before[0].options[1].id, name: "Large", price: 210 },
+      ],
+    },
+    { ...payload[1], id: before[1].id, options: [{ name: "Cheese", price: 35 }, { name: "Olives", price: 25 }] },
+  ]
+  await saveModifierGroups(store, 1, normalizeModifierGroups(edited))
+  const after = await load(store)
+
+  assert.deepEqual(after.map((g) => g.id), before.map((g) => g.id))
+  assert.deepEqual(after[0].options.map((o) => [o.id, o.name, o.price]), [
+    [before[0].options[0].id, "Half", 120],
+    [before[0].options[1].id, "Large", 210],
+  ])
+  // Cheese is matched by name; Butter is gone and Olives is new
+  assert.equal(after[1].options[0].id, before[1].options[0].id)
+  assert.equal(after[1].options[0].price, 35)
+  assert.deepEqual(after[1].options.map((o) => o.name), ["Cheese", "Olives"])
+  assert.ok(!store.options.some((o) => o.id === before[1].options[1].id))
+})
+
+test("omitted availability keeps the stored value", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  const [, extras] = await load(store)
+  store.options.find((o) => o.id === extras.options[0].id).is_available = 0
+
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  const [, saved] = await load(store)
+  assert.equal(saved.options[0].is_available, false)
+  assert.equal(saved.options[1].is_available, true)
+})
+
+test("groups left out of the payload are deleted", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  await saveModifierGroups(store, 1, normalizeModifierGroups([payload[1]]))
+  assert.deepEqual((await load(store)).map((g) => g.name), ["Extras"])
+})
+
+test("ids from another menu item are rejected", async () => {
+  const store = modifierStore()
+  await saveModifierGroups(store, 1, normalizeModifierGroups(payload))
+  await assert.rejects(saveModifierGroups(store, 1, normalizeModifierGroups([{ ...payload[0], id: 9999 }])), ModifierError)
+})
@@ -0,0 +1,66 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+// Times below are India Standard Time (UTC+05:30); 2026-10-19 is a Monday
+process.env.RESTAURANT_TIMEZONE = "Asia/Kolkata"
+const { OperatingHoursError, computeScheduleStatus, normalizeWeeklyHours } = await import("../operatingHours.js")
+
+const at = (local) => new Date(`${local}+05:30`)
+const iso = (local) => at(local).toISOString()
+
+const mondayHours = [{ day_of_week: 1, opens_at: "09:00", closes_at: "22:00" }]
+
+test("restaurants are open inside a slot", () => {
+  assert.deepEqual(computeScheduleStatus(mondayHours, [], at("2026-10-19T10:00:00")), {
+    has_schedule: true,
+    is_open_now: true,
+    opens_at: iso("2026-10-19T09:00:00"),
+    closes_at: iso("2026-10-19T22:00:00"),
+    next_open: null,
+    closure: null,
+  })
+})
+
+test("after closing time the next slot is shown", () => {
+  const status = computeScheduleStatus(mondayHours, [], at("2026-10-19T23:00:00"))
+  assert.equal(status.is_open_now, false)
+  assert.equal(status.next_open, iso("2026-10-26T09:00:00"))
+})
+
+test("slots that close after midnight stay open into the next day", () => {
+  const fridayNight = [{ day_of_week: 5, opens_at: "18:00", closes_at: "02:00" }]
+  const status = computeScheduleStatus(fridayNight, [], at("2026-10-24T01:00:00"))
+  assert.equal(status.is_open_now, true)
+  assert.equal(status.closes_at, iso("2026-10-24T02:00:00"))
+})
+
+test("a closure shuts the restaurant until it ends", () => {
+  const closure = { starts_at: at("2026-10-19T08:00:00"), ends_at: at("2026-10-19T12:00:00") }
+  const status = computeScheduleStatus(mondayHours, [closure], at("2026-10-19T10:00:00"))
+  assert.equal(status.is_open_now, false)
+  assert.equal(status.closure, closure)
+  assert.equal(status.next_open, iso("2026-10-19T12:00:00"))
+})
+
+test("restaurants without hours have no schedule", () => {
+  const status = computeScheduleStatus([], [], at("2026-10-19T10:00:00"))
+  assert.equal(status.has_schedule, false)
+  assert.equal(status.is_open_now, null)
+})
+
+test("weekly hours are validated and normalized", () => {
+  assert.deepEqual(normalizeWeeklyHours([{ day_of_week: 1, opens_at: "9:00", closes_at: "24:00" }]), [
+    { day_of_week: 1, opens_at: "09:00", closes_at: "00:00" },
+  ])
+  const invalid = [
+    "09:00-22:00",
+    [{ day_of_week: 7, opens_at: "09:00", closes_at: "22:00" }],
+    [{ day_of_week: 1, opens_at: "9am", closes_at: "22:00" }],
+    [{ day_of_week: 1, opens_at: "09:00", closes_at: "09:00" }],
+    [
+      { day_of_week: 1, opens_at: "09:00", closes_at: "15:00" },
+      { day_of_week: 1, opens_at: "14:00", closes_at: "22:00" },
+    ],
+  ]
+  for (const slots of invalid) assert.throws(() => normalizeWeeklyHours(slots), OperatingHoursError)
+})
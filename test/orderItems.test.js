@@ -0,0 +1,49 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { attachOrderItems } from "../orderItems.js"
+
+// A connection that answers the order_items query from memory and counts round trips
+const countingConnection = (itemsPerOrder) => {
+  const conn = {
+    queries: 0,
+    query: async (sql, [ids]) => {
+      conn.queries += 1
+      const rows = ids.flatMap((orderId) =>
+        Array.from({ length: itemsPerOrder }, (_, i) => ({
+          id: orderId * 10 + i,
+          order_id: orderId,
+          item_name: `Item ${i}`,
+          selected_add_ons: "[]",
+          selected_modifiers: null,
+        })),
+      )
+      return [rows]
+    },
+  }
+  return conn
+}
+
+const ordersWithIds = (count) => Array.from({ length: count }, (_, i) => ({ id: i + 1 }))
+
+for (const count of [10, 500]) {
+  test(`attachOrderItems loads items for ${count} orders in one query`, async () => {
+    const conn = countingConnection(3)
+    const orders = await attachOrderItems(ordersWithIds(count), conn)
+
+    assert.equal(conn.queries, 1)
+    assert.equal(orders.length, count)
+    assert.ok(orders.every((order) => order.items.length === 3 && order.items.every((item) => item.order_id === order.id)))
+  })
+}
+
+test("attachOrderItems parses the frozen add-ons and modifiers", async () => {
+  const [order] = await attachOrderItems([{ id: 7 }], countingConnection(1))
+  assert.deepEqual(order.items[0].selected_add_ons, [])
+  assert.deepEqual(order.items[0].selected_modifiers, [])
+})
+
+test("attachOrderItems skips the query for an empty page", async () => {
+  const conn = countingConnection(1)
+  assert.deepEqual(await attachOrderItems([], conn), [])
+  assert.equal(conn.queries, 0)
+})
@@ -0,0 +1,42 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { PaginationError } from "../pagination.js"
+import { orderPages, orderListQuery } from "../orderLists.js"
+
+test("the first page is the newest orders of one owner", () => {
+  const { sql, params } = orderListQuery("customer_uid", "c1", { limit: "10" })
+  assert.equal(sql, "SELECT * FROM orders WHERE customer_uid = ? ORDER BY created_at DESC, id DESC LIMIT ?")
+  assert.deepEqual(params, ["c1", 11])
+})
+
+test("sort=total_amount orders by the total_price column", () => {
+  const first = orderListQuery("restaurant_uid", "r1", { sort: "total_amount", limit: "2" })
+  assert.equal(first.sql, "SELECT * FROM orders WHERE restaurant_uid = ? ORDER BY total_price DESC, id DESC LIMIT ?")
+
+  const rows = [
+    { id: 9, total_price: "500.00" },
+    { id: 4, total_price: "320.50" },
+    { id: 7, total_price: "120.00" },
+  ]
+  const { pagination } = orderPages.build(rows, first.page)
+  const next = orderListQuery("restaurant_uid", "r1", { sort: "total_amount", limit: "2", cursor: pagination.next_cursor })
+  assert.equal(
+    next.sql,
+    "SELECT * FROM orders WHERE restaurant_uid = ? AND (total_price < ? OR (total_price = ? AND id < ?)) ORDER BY total_price DESC, id DESC LIMIT ?",
+  )
+  assert.deepEqual(next.params, ["r1", "320.50", "320.50", 4, 3])
+})
+
+test("status and date filters come before the cursor condition", () => {
+  const { sql, params } = orderListQuery("customer_uid", "c1", { status: "pending,delivered", from: "2026-10-01" })
+  assert.equal(
+    sql,
+    "SELECT * FROM orders WHERE customer_uid = ? AND status IN (?) AND created_at >= ? ORDER BY created_at DESC, id DESC LIMIT ?",
+  )
+  assert.deepEqual(params[1], ["pending", "delivered"])
+})
+
+test("bad list parameters are pagination errors", () => {
+  assert.throws(() => orderListQuery("customer_uid", "c1", { sort: "total_price" }), PaginationError)
+  assert.throws(() => orderListQuery("customer_uid", "c1", { status: "lost" }), PaginationError)
+})
@@ -0,0 +1,88 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  OrderTransitionError,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  transitionOrder,
+} from "../orderStateMachine.js"
+
+const TERMINAL = ["delivered", "cancelled", "rejected"]
+
+// A connection holding one order; records every query
+const orderConnection = (status) => {
+  const conn = {
+    queries: [],
+    query: async (sql, params) => {
+      conn.queries.push({ sql, params })
+      if (sql.startsWith("SELECT status FROM orders")) return [status ? [{ status }] : []]
+      if (sql.startsWith("UPDATE orders")) return [{ affectedRows: 1 }]
+      return [{ affectedRows: 1, insertId: 1 }]
+    },
+  }
+  return conn
+}
+
+test("the happy path is open to the restaurant", () => {
+  const path = ["pending", "preparing", "ready", "on_the_way", "delivered"]
+  for (let i = 1; i < path.length; i++) {
+    assert.ok(canTransition(path[i - 1], path[i], "restaurant"), `${path[i - 1]} -> ${path[i]}`)
+  }
+  assert.ok(canTransition("payment_pending", "pending", "system"))
+})
+
+test("terminal statuses allow no moves for any actor", () => {
+  for (const from of TERMINAL) {
+    for (const actor of ORDER_ACTORS) assert.deepEqual(getAllowedTransitions(from, actor), [])
+  }
+})
+
+test("no status can move back to payment_pending", () => {
+  for (const from of ORDER_STATUSES) {
+    for (const actor of ORDER_ACTORS) assert.equal(canTransition(from, "payment_pending", actor), false)
+  }
+})
+
+test("customers can only cancel, and only before the food is ready", () => {
+  for (const from of ORDER_STATUSES) {
+    const allowed = getAllowedTransitions(from, "customer")
+    assert.ok(allowed.every((to) => to === "cancelled"), from)
+  }
+  assert.ok(canTransition("preparing", "cancelled", "customer"))
+  assert.equal(canTransition("ready", "cancelled", "customer"), false)
+  assert.equal(canTransition("on_the_way", "cancelled", "customer"), false)
+})
+
+test("assertTransition tells unknown actors, illegal moves and forbidden actors apart", () => {
+  assert.throws(() => assertTransition("pending", "preparing", "courier"), { name: "OrderTransitionError", statusCode: 400 })
+  assert.throws(() => assertTransition("delivered", "pending", "admin"), { statusCode: 409 })
+  assert.throws(() => assertTransition("pending", "preparing", "customer"), { statusCode: 403 })
+  assert.doesNotThrow(() => assertTransition("pending", "preparing", "restaurant"))
+})
+
+test("transitionOrder updates the status, records history and releases coupons on cancellation", async () => {
+  const conn = orderConnection("preparing")
+  const transition = await transitionOrder({ orderId: 5, to: "cancelled", actor: "customer", actorUid: "c1", reason: "Changed my mind", conn })
+
+  assert.deepEqual(transition, { from: "preparing", to: "cancelled" })
+  const update = conn.queries.find((q) => q.sql.startsWith("UPDATE orders"))
+  assert.deepEqual(update.params, ["cancelled", 5, "preparing"])
+  const history = conn.queries.find((q) => q.sql.includes("INSERT INTO order_status_history"))
+  assert.deepEqual(history.params, [5, "preparing", "cancelled", "customer", "c1", "Changed my mind"])
+  assert.ok(conn.queries.some((q) => q.sql.includes("coupon_redemptions")))
+})
+
+test("transitionOrder rejects illegal moves before writing", async () => {
+  const conn = orderConnection("delivered")
+  await assert.rejects(transitionOrder({ orderId: 5, to: "cancelled", actor: "customer", conn }), OrderTransitionError)
+  assert.equal(conn.queries.length, 1)
+})
+
+test("transitionOrder reports unknown orders as 404", async () => {
+  await assert.rejects(transitionOrder({ orderId: 5, to: "pending", actor: "system", conn: orderConnection(null) }), {
+    statusCode: 404,
+  })
+})
@@ -0,0 +1,96 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import {
+  DEFAULT_PAGE_LIMIT,
+  PaginationError,
+  createPaginator,
+  createRankedPaginator,
+  parseDateRange,
+  parseListFilter,
+} from "../pagination.js"
+
+const pages = createPaginator({
+  sorts: {
+    created_at: { column: "created_at", field: "created_at", type: "date", order: "desc" },
+    name: { column: "name", field: "name", type: "string" },
+  },
+  defaultSort: "created_at",
+  tiebreak: { column: "id", field: "id" },
+})
+
+const rows = (count) =>
+  Array.from({ length: count }, (_, i) => ({ id: i + 1, name: `R${i + 1}`, created_at: new Date(Date.UTC(2026, 0, 31 - i)) }))
+
+test("parse applies the defaults", () => {
+  assert.deepEqual(pages.parse({}), { limit: DEFAULT_PAGE_LIMIT, sort: "created_at", order: "desc", cursor: null })
+  assert.equal(pages.parse({ sort: "name" }).order, "asc")
+})
+
+test("parse rejects bad limits, sorts and orders", () => {
+  for (const query of [{ limit: "0" }, { limit: "101" }, { limit: "2.5" }, { sort: "price" }, { order: "up" }, { cursor: "???" }]) {
+    assert.throws(() => pages.parse(query), PaginationError)
+  }
+})
+
+test("the first page fetches one extra row and builds a cursor from the last item", () => {
+  const page = pages.parse({ limit: "2" })
+  const clause = pages.clause(page)
+  assert.equal(clause.where, null)
+  assert.equal(clause.orderBy, "ORDER BY created_at DESC, id DESC LIMIT ?")
+  assert.equal(clause.limit, 3)
+
+  const { items, pagination } = pages.build(rows(3), page)
+  assert.deepEqual(items.map((r) => r.id), [1, 2])
+  assert.equal(pagination.has_more, true)
+  assert.ok(pagination.next_cursor)
+})
+
+test("the next cursor continues after the last item, with the id breaking ties", () => {
+  const first = pages.parse({ limit: "2" })
+  const { pagination } = pages.build(rows(3), first)
+  const next = pages.parse({ limit: "2", cursor: pagination.next_cursor })
+  const clause = pages.clause(next)
+
+  assert.equal(clause.where, "(created_at < ? OR (created_at = ? AND id < ?))")
+  assert.deepEqual(clause.params, [rows(2)[1].created_at, rows(2)[1].created_at, 2])
+})
+
+test("the last page has no cursor", () => {
+  const { pagination } = pages.build(rows(2), pages.parse({ limit: "2" }))
+  assert.deepEqual(pagination, { limit: 2, sort: "created_at", order: "desc", next_cursor: null, has_more: false })
+})
+
+test("cursors only work with the sort and order they were issued for", () => {
+  const { pagination } = pages.build(rows(3), pages.parse({ limit: "2" }))
+  assert.throws(() => pages.parse({ cursor: pagination.next_cursor, order: "asc" }), /different sort or order/)
+  assert.throws(() => pages.parse({ cursor: pagination.next_cursor, sort: "name" }), /different sort or order/)
+})
+
+test("ranked lists page by position with the same contract", () => {
+  const ranked = createRankedPaginator()
+  const list = ["a", "b", "c", "d", "e"]
+
+  const first = ranked.build(list, ranked.parse({ limit: "2" }))
+  assert.deepEqual(first.items, ["a", "b"])
+  const second = ranked.build(list, ranked.parse({ limit: "2", cursor: first.pagination.next_cursor }))
+  assert.deepEqual(second.items, ["c", "d"])
+  const last = ranked.build(list, ranked.parse({ limit: "2", cursor: second.pagination.next_cursor }))
+  assert.deepEqual(last, { items: ["e"], pagination: { limit: 2, next_cursor: null, has_more: false } })
+
+  // A keyset cursor is not a position
+  const { pagination } = pages.build(rows(3), pages.parse({ limit: "2" }))
+  assert.throws(() => ranked.parse({ cursor: pagination.next_cursor }), PaginationError)
+})
+
+test("list filters accept comma-separated and repeated values", () => {
+  assert.deepEqual(parseListFilter("pending,ready", ["pending", "ready", "delivered"], "status"), ["pending", "ready"])
+  assert.deepEqual(parseListFilter(["pending", "pending"], ["pending"], "status"), ["pending"])
+  assert.equal(parseListFilter(undefined, ["pending"], "status"), null)
+  assert.throws(() => parseListFilter("lost", ["pending"], "status"), PaginationError)
+})
+
+test("a bare to date covers that whole day", () => {
+  const { from, to } = parseDateRange({ from: "2026-10-01", to: "2026-10-01" })
+  assert.equal(to.getTime() - from.getTime(), 24 * 60 * 60 * 1000)
+  assert.throws(() => parseDateRange({ from: "2026-10-02", to: "2026-10-01T00:00:00Z" }), /to must be after from/)
+})
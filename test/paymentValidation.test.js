@@ -0,0 +1,96 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { validatePaymentSecurity, claimPaymentAfterCancellation, expireUnpaidOrder } from "../paymentValidation.js"
+
+const order = { id: 42, status: "payment_pending", payment_status: "pending", total_price: "250.00", payment_id: "cf_9" }
+const payment = { amount: "250.00", currency: "INR", paymentStatus: "SUCCESS", merchantOrderId: "order_42", cfOrderId: "cf_9" }
+
+test("a matching successful payment is valid", () => {
+  assert.deepEqual(validatePaymentSecurity(order, payment), { valid: true })
+  assert.deepEqual(validatePaymentSecurity(order, { ...payment, amount: "250.01" }), { valid: true })
+})
+
+test("payments that do not match the order are rejected", () => {
+  const rejected = [
+    { ...payment, amount: "25.00" },
+    { ...payment, amount: undefined },
+    { ...payment, currency: "USD" },
+    { ...payment, paymentStatus: "FAILED" },
+    { ...payment, merchantOrderId: "order_43" },
+    { ...payment, cfOrderId: "cf_10" },
+  ]
+  for (const details of rejected) assert.equal(validatePaymentSecurity(order, details).valid, false)
+})
+
+test("already verified payments are reported as processed", () => {
+  const result = validatePaymentSecurity({ ...order, status: "pending", payment_status: "success" }, payment)
+  assert.equal(result.alreadyProcessed, true)
+})
+
+test("orders past payment are no longer awaiting it", () => {
+  const result = validatePaymentSecurity({ ...order, status: "preparing" }, payment)
+  assert.equal(result.valid, false)
+  assert.equal(result.paidAfterCancellation, undefined)
+})
+
+test("a genuine payment for a cancelled order is flagged for a refund", () => {
+  const result = validatePaymentSecurity({ ...order, status: "cancelled" }, payment)
+  assert.equal(result.valid, false)
+  assert.equal(result.paidAfterCancellation, true)
+})
+
+test("a mismatched payment for a cancelled order is not flagged for a refund", () => {
+  const result = validatePaymentSecurity({ ...order, status: "cancelled" }, { ...payment, amount: "1.00" })
+  assert.equal(result.paidAfterCancellation, undefined)
+})
+
+test("a late payment is only recorded once", async () => {
+  let recorded = false
+  const conn = {
+    query: async (sql) => {
+      assert.match(sql, /status = 'cancelled' AND payment_status <> 'success'/)
+      const affectedRows = recorded ? 0 : 1
+      recorded = true
+      return [{ affectedRows }]
+    },
+  }
+  assert.equal(await claimPaymentAfterCancellation(42, conn), true)
+  assert.equal(await claimPaymentAfterCancellation(42, conn), false)
+})
+
+// An unpaid order holding one applied coupon redemption; expired says whether the max wait has passed
+const checkoutConnection = ({ expired }) => {
+  const conn = {
+    order: { status: "payment_pending", payment_status: "pending" },
+    redemption: "applied",
+    query: async (sql) => {
+      if (sql.startsWith("SELECT status FROM orders")) return [[{ status: conn.order.status }]]
+      if (sql.startsWith("UPDATE orders")) {
+        assert.match(sql, /payment_status <> 'success' AND created_at <= DATE_SUB\(NOW\(\), INTERVAL \d+ MINUTE\)/)
+        if (!expired) return [{ affectedRows: 0 }]
+        conn.order = { status: "cancelled", payment_status: "cancelled" }
+        return [{ affectedRows: 1 }]
+      }
+      if (sql.startsWith("UPDATE coupon_redemptions")) conn.redemption = "released"
+      return [{ affectedRows: 1 }]
+    },
+  }
+  return conn
+}
+
+test("an abandoned checkout is cancelled and gives its coupon back", async () => {
+  const conn = checkoutConnection({ expired: true })
+  assert.equal(await expireUnpaidOrder(42, conn), true)
+  assert.deepEqual(conn.order, { status: "cancelled", payment_status: "cancelled" })
+  assert.equal(conn.redemption, "released")
+
+  // Expired once; the next scan finds nothing to cancel
+  assert.equal(await expireUnpaidOrder(42, conn), false)
+})
+
+test("a checkout still inside its payment window keeps its coupon", async () => {
+  const conn = checkoutConnection({ expired: false })
+  assert.equal(await expireUnpaidOrder(42, conn), false)
+  assert.equal(conn.order.status, "payment_pending")
+  assert.equal(conn.redemption, "applied")
+})
@@ -0,0 +1,115 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { PLATFORM_PRICING, calculateDeliveryFee, quoteCart } from "../pricing.js"
+
+const MENU = {
+  1: { id: 1, name: "Paneer Tikka", price: "200.00", category: "Mains", packing_charge: null, food_type: 0 },
+  2: { id: 2, name: "Lassi", price: "50.00", category: "Drinks", packing_charge: "5.00", food_type: 0 },
+}
+
+// A connection serving one restaurant's menu, pricing and coupons
+const restaurantConnection = ({ preferences = {}, coupon = null } = {}) => ({
+  query: async (sql, params) => {
+    if (sql.includes("FROM menu_items1")) return [MENU[params[0]] ? [MENU[params[0]]] : []]
+    if (sql.includes("FROM menu_modifier_groups")) return [[]]
+    if (sql.includes("FROM restaurant_preferences")) return [[preferences]]
+    if (sql.includes("FROM categories1")) return [[{ name: "Mains", gst_rate: null }, { name: "Drinks", gst_rate: "12.00" }]]
+    if (sql.includes("FROM coupons")) return [coupon ? [coupon] : []]
+    throw new Error(`Unexpected query: ${sql}`)
+  },
+})
+
+const cart = { restaurantUid: "r1", items: [{ menu_item_id: 1, quantity: 2 }, { menu_item_id: 2, quantity: 1 }], deliveryCoordinates: null }
+
+beforeEach(() => {
+  Object.assign(PLATFORM_PRICING, {
+    gst_rate: 5,
+    fee_gst_rate: 18,
+    platform_fee: 5,
+    delivery_base_fee: 30,
+    delivery_base_distance_km: 2,
+    delivery_fee_per_km: 10,
+    free_delivery_threshold: 500,
+    packing_fee_per_item: 10,
+  })
+})
+
+test("delivery is the base fee plus every started km past the base distance", () => {
+  assert.equal(calculateDeliveryFee(PLATFORM_PRICING, 200, 1.5), 30)
+  assert.equal(calculateDeliveryFee(PLATFORM_PRICING, 200, 4.2), 60)
+  assert.equal(calculateDeliveryFee(PLATFORM_PRICING, 200, null), 30)
+})
+
+test("delivery is free from the threshold and a zone fee replaces the distance fee", () => {
+  assert.equal(calculateDeliveryFee(PLATFORM_PRICING, 500, 10), 0)
+  assert.equal(calculateDeliveryFee(PLATFORM_PRICING, 200, 10, 25), 25)
+  assert.equal(calculateDeliveryFee({ ...PLATFORM_PRICING, free_delivery_threshold: 0 }, 5000, 2), 30)
+})
+
+test("quoteCart taxes each line at its category rate and fees at the fee rate", async () => {
+  const { breakdown, lines } = await quoteCart(restaurantConnection(), cart)
+
+  assert.deepEqual(
+    lines.map((line) => [line.item_name, line.line_total, line.packing_fee, line.gst_rate]),
+    [
+      ["Paneer Tikka", 400, 20, 5],
+      ["Lassi", 50, 5, 12],
+    ],
+  )
+  assert.deepEqual(
+    breakdown.gst_breakdown.map((b) => [b.rate, b.taxable_amount, b.amount]),
+    [
+      [5, 420, 21],
+      [12, 55, 6.6],
+      [18, 35, 6.3],
+    ],
+  )
+  assert.equal(breakdown.subtotal, 450)
+  assert.equal(breakdown.delivery_fee, 30)
+  assert.equal(breakdown.packing_fee, 25)
+  assert.equal(breakdown.platform_fee, 5)
+  assert.equal(breakdown.gst_amount, 33.9)
+  assert.equal(breakdown.cgst_amount + breakdown.sgst_amount, breakdown.gst_amount)
+  assert.equal(breakdown.total, 543.9)
+})
+
+test("restaurant settings override the platform defaults", async () => {
+  const { breakdown } = await quoteCart(restaurantConnection({ preferences: { delivery_base_fee: "0", packing_fee_per_item: null } }), cart)
+  assert.equal(breakdown.delivery_fee, 0)
+  assert.equal(breakdown.packing_fee, 25)
+})
+
+test("a coupon discount lowers the taxable value of every line", async () => {
+  const coupon = {
+    id: 3,
+    code: "SAVE10",
+    is_active: 1,
+    discount_type: "percentage",
+    discount_value: "10",
+    max_discount: "40",
+    min_order_value: "0",
+    total_usage_limit: null,
+    per_user_limit: null,
+    first_order_only: 0,
+    funded_by: "platform",
+  }
+  const { breakdown } = await quoteCart(restaurantConnection({ coupon }), { ...cart, couponCode: "save10" })
+
+  assert.equal(breakdown.discount, 40)
+  assert.equal(breakdown.coupon_code, "SAVE10")
+  assert.deepEqual(
+    breakdown.gst_breakdown.map((b) => [b.rate, b.taxable_amount, b.amount]),
+    [
+      [5, 384.44, 19.22],
+      [12, 50.56, 6.07],
+      [18, 35, 6.3],
+    ],
+  )
+  assert.equal(breakdown.total, 501.59)
+})
+
+test("quoteCart rejects unavailable items", async () => {
+  await assert.rejects(quoteCart(restaurantConnection(), { ...cart, items: [{ menu_item_id: 9, quantity: 1 }] }), {
+    name: "OrderItemError",
+  })
+})
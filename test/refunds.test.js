@@ -0,0 +1,103 @@
+import { test, mock, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import db from "../db.js"
+import { getPaymentGateway } from "../paymentGateway.js"
+import { RefundError, refundOrderInFull, refundOrderItems } from "../refunds.js"
+
+process.env.PAYMENT_PROVIDER = "mock"
+
+// In-memory orders, order_items and refunds behind the queries refunds.js makes
+const store = { orders: [], orderItems: [], refunds: [] }
+
+const handle = async (sql, params = []) => {
+  const text = sql.replace(/\s+/g, " ").trim()
+  if (text.includes("FROM order_items")) return [store.orderItems.filter((it) => params[0].includes(it.order_id))]
+  if (text.startsWith("SELECT * FROM orders WHERE id = ?")) return [store.orders.filter((o) => o.id === params[0])]
+  if (text.startsWith("SELECT * FROM refunds WHERE order_id = ?")) return [store.refunds.filter((r) => r.order_id === params[0])]
+  if (text.startsWith("SELECT * FROM refunds WHERE refund_id = ?")) return [store.refunds.filter((r) => r.refund_id === params[0])]
+  if (text.startsWith("SELECT * FROM refunds WHERE id = ?")) return [store.refunds.filter((r) => r.id === params[0])]
+  if (text.startsWith("INSERT INTO refunds")) {
+    const [order_id, refund_id, amount, refund_type, reason, items, initiated_by] = params
+    const id = store.refunds.length + 1
+    store.refunds.push({ id, order_id, refund_id, amount, refund_type, reason, items, status: "pending", initiated_by })
+    return [{ insertId: id }]
+  }
+  if (text.startsWith("UPDATE refunds SET cf_refund_id")) {
+    const [cfRefundId, status, , , id] = params
+    Object.assign(store.refunds.find((r) => r.id === id), { cf_refund_id: cfRefundId, status })
+    return [{ affectedRows: 1 }]
+  }
+  throw new Error(`Unexpected query: ${text}`)
+}
+
+const connection = { query: handle, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {} }
+
+mock.method(db, "query", handle)
+mock.method(db, "getConnection", async () => connection)
+const createRefund = mock.method(getPaymentGateway(), "createRefund", async (gatewayOrderId, { refundId }) => ({
+  cf_refund_id: `cf_${refundId}`,
+  refund_status: "SUCCESS",
+}))
+mock.method(console, "log", () => {})
+
+// Order 1: ₹118 total for a ₹100 subtotal (2 x ₹30 naan, 1 x ₹40 curry)
+beforeEach(() => {
+  store.orders = [{ id: 1, total_price: "118.00", payment_status: "success" }]
+  store.orderItems = [
+    { id: 11, order_id: 1, menu_item_id: 101, item_name: "Naan", quantity: 2, line_total: "60.00" },
+    { id: 12, order_id: 1, menu_item_id: 102, item_name: "Curry", quantity: 1, line_total: "40.00" },
+  ]
+  store.refunds = []
+  createRefund.mock.resetCalls()
+})
+
+test("item refunds take the lines' share of the order total", async () => {
+  const refund = await refundOrderItems(store.orders[0], [{ order_item_id: 11, quantity: 1 }], "Out of naan", "restaurant")
+
+  // ₹30 of a ₹100 subtotal refunds 30% of ₹118
+  assert.equal(refund.amount, 35.4)
+  assert.equal(refund.refund_id, "refund_1_p1")
+  assert.equal(refund.status, "success")
+  assert.equal(createRefund.mock.calls[0].arguments[0], "order_1")
+})
+
+test("item refunds cannot exceed the quantity left on a line", async () => {
+  await refundOrderItems(store.orders[0], [{ order_item_id: 11, quantity: 2 }], "Out of naan", "restaurant")
+  await assert.rejects(
+    refundOrderItems(store.orders[0], [{ order_item_id: 11, quantity: 1 }], "Out of naan", "restaurant"),
+    (err) => err instanceof RefundError && /Only 0 of "Naan"/.test(err.message),
+  )
+})
+
+test("item refunds reject lines from other orders", async () => {
+  await assert.rejects(refundOrderItems(store.orders[0], [{ order_item_id: 99, quantity: 1 }], "", "restaurant"), RefundError)
+})
+
+test("a failed partial refund does not have its id reused", async () => {
+  store.refunds.push({ id: 1, order_id: 1, refund_id: "refund_1_p1", amount: "35.40", items: null, status: "failed" })
+
+  const refund = await refundOrderItems(store.orders[0], [{ order_item_id: 12, quantity: 1 }], "Out of curry", "restaurant")
+  assert.equal(refund.refund_id, "refund_1_p2")
+  assert.equal(refund.amount, 47.2)
+})
+
+test("full refunds cover what earlier refunds left", async () => {
+  await refundOrderItems(store.orders[0], [{ order_item_id: 11, quantity: 1 }], "Out of naan", "restaurant")
+  const refund = await refundOrderInFull(store.orders[0], "Rejected", "system")
+
+  assert.equal(refund.refund_id, "refund_1_full")
+  assert.equal(refund.amount, 82.6)
+})
+
+test("a cancellation fee is kept back as a partial refund", async () => {
+  const refund = await refundOrderInFull(store.orders[0], "Cancelled by customer", "customer", { fee: 29.5 })
+
+  assert.equal(refund.refund_id, "refund_1_cancel")
+  assert.equal(refund.refund_type, "partial")
+  assert.equal(refund.amount, 88.5)
+})
+
+test("unpaid orders are not refunded", async () => {
+  assert.equal(await refundOrderInFull({ ...store.orders[0], payment_status: "pending" }, "Rejected", "system"), null)
+  assert.equal(createRefund.mock.callCount(), 0)
+})
@@ -0,0 +1,67 @@
+import { test, mock } from "node:test"
+import assert from "node:assert/strict"
+import db from "../db.js"
+import { searchCatalog, tokenize } from "../search.js"
+
+const restaurants = [
+  { uid: "r1", restaurant_name: "Spice Garden", location: "Indiranagar", is_online: 1, is_pure_veg: 0 },
+  { uid: "r2", restaurant_name: "Pizza Palace", location: "Koramangala", is_online: 0, is_pure_veg: 1 },
+]
+const items = [
+  { id: 1, restaurant_uid: "r1", name: "Paneer Tikka", description: "Grilled cottage cheese", category: "Starters", price: "220.00", food_type: 0 },
+  { id: 2, restaurant_uid: "r1", name: "Chicken Tikka", description: null, category: "Starters", price: "260.00", food_type: 1 },
+  { id: 3, restaurant_uid: "r2", name: "Margherita Pizza", description: "Tomato and basil", category: "Pizza", price: "300.00", food_type: 0 },
+]
+
+mock.method(db, "query", async (sql) => {
+  if (sql.includes("FROM restaurant_owners")) return [restaurants]
+  if (sql.includes("FROM menu_items1")) return [items]
+  if (sql.includes("FROM order_reviews")) return [[]]
+  throw new Error(`Unexpected query: ${sql}`)
+})
+
+const names = (results) => results.map((r) => r.name)
+
+test("tokenize lowercases and splits on anything but letters and digits", () => {
+  assert.deepEqual(tokenize("Paneer-Tikka (Half)"), ["paneer", "tikka", "half"])
+})
+
+test("exact word matches are found in every document that has them", async () => {
+  const results = await searchCatalog("tikka")
+  assert.deepEqual(names(results).sort(), ["Chicken Tikka", "Paneer Tikka"])
+  assert.ok(results.every((r) => r.match === "exact"))
+})
+
+test("prefixes match for autocomplete and whole-name prefixes rank first", async () => {
+  const results = await searchCatalog("piz")
+  assert.deepEqual(names(results), ["Pizza Palace", "Margherita Pizza"])
+  assert.ok(results.every((r) => r.match === "prefix"))
+})
+
+test("small typos still match, ranked below exact matches", async () => {
+  const results = await searchCatalog("panner")
+  assert.deepEqual(names(results), ["Paneer Tikka"])
+  assert.equal(results[0].match, "fuzzy")
+
+  const mixed = await searchCatalog("tikka panner")
+  assert.equal(mixed[0].match, "fuzzy")
+})
+
+test("short words must match exactly or as a prefix", async () => {
+  assert.deepEqual(await searchCatalog("tka"), [])
+})
+
+test("every query word has to match", async () => {
+  assert.deepEqual(await searchCatalog("paneer pizza"), [])
+})
+
+test("type and veg filters narrow the results", async () => {
+  assert.deepEqual(names(await searchCatalog("tikka", { vegOnly: true })), ["Paneer Tikka"])
+  assert.deepEqual(names(await searchCatalog("pizza", { type: "restaurant" })), ["Pizza Palace"])
+  assert.deepEqual(names(await searchCatalog("spice", { vegOnly: true })), [])
+})
+
+test("descriptions and categories are searched too", async () => {
+  assert.deepEqual(names(await searchCatalog("basil")), ["Margherita Pizza"])
+  assert.deepEqual(names(await searchCatalog("starters")).sort(), ["Chicken Tikka", "Paneer Tikka"])
+})
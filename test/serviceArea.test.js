@@ -0,0 +1,34 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { ServiceAreaError, normalizeZoneGeometry } from "../serviceArea.js"
+
+const openRing = [
+  [77.5, 12.9],
+  [77.7, 12.9],
+  [77.7, 13.1],
+  [77.5, 13.1],
+]
+
+test("open rings are closed and the bounding box follows the outer ring", () => {
+  const { geometry, bbox } = normalizeZoneGeometry({ type: "Polygon", coordinates: [openRing] })
+  assert.deepEqual(geometry.coordinates[0].at(-1), [77.5, 12.9])
+  assert.equal(geometry.coordinates[0].length, 5)
+  assert.deepEqual(bbox, { minLat: 12.9, maxLat: 13.1, minLng: 77.5, maxLng: 77.7 })
+})
+
+test("features are unwrapped to their geometry", () => {
+  const feature = { type: "Feature", properties: {}, geometry: { type: "MultiPolygon", coordinates: [[openRing]] } }
+  assert.equal(normalizeZoneGeometry(feature).geometry.type, "MultiPolygon")
+})
+
+test("invalid geometries are rejected", () => {
+  const invalid = [
+    null,
+    { type: "Point", coordinates: [77.5, 12.9] },
+    { type: "MultiPolygon", coordinates: [] },
+    { type: "Polygon", coordinates: [openRing.slice(0, 2)] },
+    { type: "Polygon", coordinates: [[[200, 12.9], ...openRing.slice(1)]] },
+    { type: "Polygon", coordinates: [[["77.5", "12.9"], ...openRing.slice(1)]] },
+  ]
+  for (const geometry of invalid) assert.throws(() => normalizeZoneGeometry(geometry), ServiceAreaError)
+})